@@ -1,4 +1,10 @@
-import React, { useMemo, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import {
   Container,
   View,
@@ -7,9 +13,137 @@ import {
   Table,
   TextField,
   FormControl,
+  Select,
   Card,
   Divider,
+  Tabs,
+  useToast,
 } from "reshaped";
+import BandingEditor from "./components/BandingEditor.jsx";
+import CabinetCatalog from "./components/CabinetCatalog.jsx";
+import CabinetBreakdown from "./components/CabinetBreakdown.jsx";
+import CarcassPreview from "./components/CarcassPreview.jsx";
+import CostingPanel from "./components/CostingPanel.jsx";
+import ExportDialog from "./components/ExportDialog.jsx";
+import HardwareEditor from "./components/HardwareEditor.jsx";
+import HardwareList from "./components/HardwareList.jsx";
+import ImportDialog from "./components/ImportDialog.jsx";
+import JobDetails from "./components/JobDetails.jsx";
+import JobLibrary from "./components/JobLibrary.jsx";
+import JobWarnings from "./components/JobWarnings.jsx";
+import PrintView from "./components/PrintView.jsx";
+import ProductionView from "./components/ProductionView.jsx";
+import SheetLayouts from "./components/SheetLayouts.jsx";
+import UnitControls from "./components/UnitControls.jsx";
+import WallElevations from "./components/WallElevations.jsx";
+import { DEFAULT_NESTING_SETTINGS, nestPanels } from "./lib/nesting.js";
+import FormulaEditor from "./components/FormulaEditor.jsx";
+import MaterialsEditor from "./components/MaterialsEditor.jsx";
+import OpeningsEditor from "./components/OpeningsEditor.jsx";
+import { DEFAULT_COST_SETTINGS, computeJobCost } from "./lib/costing.js";
+import {
+  DEFAULT_DRAWER_BOX_SETTINGS,
+  DRAWER_BOX_LENGTH_FIELDS,
+  DRAWER_BOX_PANEL_TYPES,
+  SLIDE_PROFILES,
+} from "./lib/drawerBoxes.js";
+import {
+  DEFAULT_BANDING_SETTINGS,
+  bandingFeet,
+  getBanding,
+  summarizeBanding,
+} from "./lib/edgeBanding.js";
+import {
+  DEFAULT_CONSTRUCTION_STYLES,
+  DEFAULT_CONSTRUCTION_STYLE_ID,
+} from "./lib/formulas.js";
+import {
+  CABINET_TYPES,
+  DEFAULT_CABINET_TYPE,
+  TOP_CONSTRUCTIONS,
+  describeCabinet,
+  getCabinetType,
+} from "./lib/cabinetTypes.js";
+import {
+  createJob,
+  getCurrentJobId,
+  getJob,
+  saveJob,
+  setCurrentJobId,
+} from "./lib/jobStorage.js";
+import {
+  DEFAULT_MATERIAL_SETTINGS,
+  describeMaterial,
+  getGrainDirection,
+  getMaterial,
+  groupByMaterial,
+} from "./lib/materials.js";
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  recordEdit,
+  redoEdit,
+  undoEdit,
+} from "./lib/history.js";
+import {
+  STANDARD_PRESETS,
+  buildCatalog,
+  findPreset,
+  listShopPresets,
+  presetToRow,
+  saveShopPresets,
+} from "./lib/catalog.js";
+import {
+  aggregatePanels,
+  buildCabinetBreakdown,
+  computePanelsForRow,
+  computeRowPanels,
+  getEffectiveBoxHeight,
+} from "./lib/cutList.js";
+import { downloadFile } from "./lib/download.js";
+import {
+  DEFAULT_HARDWARE_SETTINGS,
+  HARDWARE_LENGTH_FIELDS,
+  computeRowHardware,
+  summarizeHardware,
+} from "./lib/hardware.js";
+import { DEFAULT_EXPORT_SETTINGS, csvField } from "./lib/exportFormats.js";
+import {
+  decodeShareFragment,
+  encodeShareFragment,
+  isShareFragment,
+} from "./lib/shareLink.js";
+import {
+  DEFAULT_OPENING_SETTINGS,
+  DOOR_COUNTS,
+  OPENING_LENGTH_FIELDS,
+  OPENING_PANEL_TYPES,
+} from "./lib/openings.js";
+import { DEFAULT_LABEL_LAYOUT, LABEL_LAYOUTS } from "./lib/printing.js";
+import { registerServiceWorker } from "./lib/serviceWorker.js";
+import {
+  PRODUCTION_STAGES,
+  listPartPieces,
+  pruneProgress,
+  summarizeProgress,
+} from "./lib/production.js";
+import {
+  DEFAULT_UNIT_SETTINGS,
+  convertLengthInput,
+  formatLength,
+  getUnitSystem,
+  parseLength,
+} from "./lib/units.js";
+import { hasErrors, validateRow } from "./lib/validation.js";
+import {
+  getWallRows,
+  groupRowsByWall,
+  layoutElevation,
+} from "./lib/walls.js";
+
+// Totals filter value for the whole job
+const ALL_WALLS = "all";
 
 // Responsive label helper (full text on desktop, short on small screens)
 const ResponsiveLabel = ({ full, short }) => (
@@ -19,10 +153,15 @@ const ResponsiveLabel = ({ full, short }) => (
   </span>
 );
 
+// Save CSV lines as a file download
+const downloadCsv = (filename, lines) =>
+  downloadFile(filename, lines.join("\n"), "text/csv;charset=utf-8;");
+
 // Create a blank cabinet row
 const createEmptyRow = (id) => ({
   id,
   label: "",
+  cabinetType: DEFAULT_CABINET_TYPE,
   cabinetHeight: "",
   kickHeight: "",
   // boxHeight is derived, but we keep a field for compatibility;
@@ -31,160 +170,535 @@ const createEmptyRow = (id) => ({
   boxWidth: "",
   boxDepth: "",
   braceHeight: "",
+  // Type-specific fields, shown only for the types that use them
+  shelfCount: "0",
+  topConstruction: "braces",
+  // Openings: doors below a stack of drawers (heights, top-down)
+  doorCount: "0",
+  drawerHeights: "",
+  // Slide profile for drawer boxes, "" for no boxes
+  slideProfile: "",
+  // "" uses the job's default material
+  materialId: "",
+  // Wall the cabinet stands against, "" when not placed
+  wallId: "",
   quantity: "1",
 });
 
-// Safe number parser
-const parseNumber = (value) => {
-  if (value === "" || value === null || value === undefined) return null;
-  const n = parseFloat(value);
-  return Number.isFinite(n) ? n : null;
+// Row fields holding lengths (parsed with the job's units)
+const LENGTH_FIELDS = [
+  "cabinetHeight",
+  "kickHeight",
+  "boxWidth",
+  "boxDepth",
+  "braceHeight",
+];
+
+// Delay between the last edit and the autosave of the open job
+const AUTOSAVE_DELAY = 500;
+
+// Nesting waits this long after the last edit, so typing in the table
+// doesn't rerun it on every keystroke
+const NESTING_DELAY = 400;
+
+// How long "Link copied" shows on the share button
+const LINK_COPIED_DELAY = 2000;
+
+// Job state that is saved with a job
+const createDefaultJobData = () => ({
+  rows: [createEmptyRow(1)],
+  nextId: 2,
+  nestingSettings: DEFAULT_NESTING_SETTINGS,
+  constructionStyles: DEFAULT_CONSTRUCTION_STYLES,
+  constructionStyleId: DEFAULT_CONSTRUCTION_STYLE_ID,
+  unitSettings: DEFAULT_UNIT_SETTINGS,
+  materialSettings: DEFAULT_MATERIAL_SETTINGS,
+  costSettings: DEFAULT_COST_SETTINGS,
+  bandingSettings: DEFAULT_BANDING_SETTINGS,
+  openingSettings: DEFAULT_OPENING_SETTINGS,
+  drawerBoxSettings: DEFAULT_DRAWER_BOX_SETTINGS,
+  hardwareSettings: DEFAULT_HARDWARE_SETTINGS,
+  walls: [],
+  exportSettings: DEFAULT_EXPORT_SETTINGS,
+  // Shop-floor progress, { [pieceId]: stageId } (lib/production.js)
+  production: {},
+});
+
+// Fill in whatever a job saved by an older version lacks
+const normalizeJobData = (data = {}) => {
+  const defaults = createDefaultJobData();
+  const rows =
+    Array.isArray(data.rows) && data.rows.length
+      ? data.rows.map((row) => ({ ...createEmptyRow(row.id), ...row }))
+      : defaults.rows;
+  return {
+    ...defaults,
+    ...data,
+    rows,
+    nextId: Math.max(
+      data.nextId || 0,
+      ...rows.map((row) => row.id + 1)
+    ),
+    nestingSettings: {
+      ...defaults.nestingSettings,
+      ...data.nestingSettings,
+    },
+    unitSettings: {
+      ...defaults.unitSettings,
+      ...data.unitSettings,
+    },
+    materialSettings: {
+      ...defaults.materialSettings,
+      ...data.materialSettings,
+    },
+    costSettings: {
+      ...defaults.costSettings,
+      ...data.costSettings,
+    },
+    bandingSettings: {
+      ...defaults.bandingSettings,
+      ...data.bandingSettings,
+    },
+    openingSettings: {
+      ...defaults.openingSettings,
+      ...data.openingSettings,
+    },
+    drawerBoxSettings: {
+      ...defaults.drawerBoxSettings,
+      ...data.drawerBoxSettings,
+    },
+    hardwareSettings: {
+      ...defaults.hardwareSettings,
+      ...data.hardwareSettings,
+    },
+    walls: Array.isArray(data.walls) ? data.walls : defaults.walls,
+    exportSettings: {
+      ...defaults.exportSettings,
+      ...data.exportSettings,
+    },
+    production:
+      data.production && typeof data.production === "object"
+        ? data.production
+        : defaults.production,
+  };
 };
 
-// Compute effective box height strictly from cabinet & kick
-const getEffectiveBoxHeight = (row) => {
-  const cabinetHeight = parseNumber(row.cabinetHeight);
-  const kickHeight = parseNumber(row.kickHeight);
-  if (cabinetHeight == null || kickHeight == null) return null;
-  return cabinetHeight - kickHeight;
+// Job metadata without the data snapshot
+const getJobDetails = ({ data, updatedAt, ...details }) => details;
+
+// Job to show on startup: the last open job, or a fresh one
+const loadInitialJob = () => {
+  const job = getJob(getCurrentJobId());
+  if (job) return { ...job, data: normalizeJobData(job.data) };
+  return createJob(createDefaultJobData());
 };
 
-/**
- * Panel logic for one cabinet spec
- *
- * Uses:
- *  BoxHeight = CabinetHeight - KickHeight
- *
- * Per ONE cabinet:
- *  - Walls (Left & Right): 2 pcs
- *      H = BoxHeight
- *      W = BoxDepth
- *
- *  - Floor: 1 pc
- *      H = BoxDepth
- *      W = BoxWidth - 0.75
- *
- *  - Back: 1 pc
- *      H = BoxHeight - 1.5
- *      W = BoxWidth - 0.75
- *
- *  - Braces (combined): 3 pcs
- *      H = BraceHeight
- *      W = BoxWidth - 1.5
- */
-const computePanelsForRow = (row) => {
-  const boxHeightEffective = getEffectiveBoxHeight(row);
-  const boxWidth = parseNumber(row.boxWidth);
-  const boxDepth = parseNumber(row.boxDepth);
-  const braceHeight = parseNumber(row.braceHeight);
-  const quantity = parseNumber(row.quantity);
-
-  if (
-    boxHeightEffective == null ||
-    boxWidth == null ||
-    boxDepth == null ||
-    braceHeight == null ||
-    quantity == null ||
-    quantity <= 0
-  ) {
-    return [];
-  }
-
-  const panels = [];
-  const cabinetLabel = (row.label || "").trim() || "Unlabeled";
-
-  // Walls (Left & Right) – 2 pcs
-  panels.push({
-    panelType: "Wall",
-    width: boxDepth,
-    height: boxHeightEffective,
-    count: 2 * quantity,
-    cabinetLabel,
-  });
-
-  // Floor – 1 pc
-  panels.push({
-    panelType: "Floor",
-    width: boxWidth - 0.75,
-    height: boxDepth,
-    count: 1 * quantity,
-    cabinetLabel,
-  });
-
-  // Back – 1 pc
-  panels.push({
-    panelType: "Back",
-    width: boxWidth - 0.75,
-    height: boxHeightEffective - 1.5,
-    count: 1 * quantity,
-    cabinetLabel,
-  });
-
-  // Braces – 3 pcs
-  panels.push({
-    panelType: "Brace",
-    width: boxWidth - 1.5,
-    height: braceHeight,
-    count: 4 * quantity,
-    cabinetLabel,
-  });
-
-  return panels.filter(
-    (p) => p.width > 0 && p.height > 0 && p.count > 0
+const App = () => {
+  const [initialJob] = useState(loadInitialJob);
+  const [jobDetails, setJobDetails] = useState(() =>
+    getJobDetails(initialJob)
+  );
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isCatalogOpen, setIsCatalogOpen] = useState(false);
+  const [shopPresets, setShopPresets] = useState(listShopPresets);
+  const [codeInput, setCodeInput] = useState("");
+  const [codeError, setCodeError] = useState(null);
+  const [printMode, setPrintMode] = useState(null);
+  const [sharedJob, setSharedJob] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [history, setHistory] = useState(createHistory);
+  const undoToastRef = useRef(null);
+  const toast = useToast();
+  const [labelLayout, setLabelLayout] = useState(DEFAULT_LABEL_LAYOUT);
+  const [rows, setRows] = useState(initialJob.data.rows);
+  const [nextId, setNextId] = useState(initialJob.data.nextId);
+  const [nestingSettings, setNestingSettings] = useState(
+    initialJob.data.nestingSettings
+  );
+  const [constructionStyles, setConstructionStyles] = useState(
+    initialJob.data.constructionStyles
+  );
+  const [constructionStyleId, setConstructionStyleId] = useState(
+    initialJob.data.constructionStyleId
+  );
+  const [unitSettings, setUnitSettings] = useState(
+    initialJob.data.unitSettings
+  );
+  const [materialSettings, setMaterialSettings] = useState(
+    initialJob.data.materialSettings
+  );
+  const [costSettings, setCostSettings] = useState(
+    initialJob.data.costSettings
+  );
+  const [bandingSettings, setBandingSettings] = useState(
+    initialJob.data.bandingSettings
+  );
+  const [openingSettings, setOpeningSettings] = useState(
+    initialJob.data.openingSettings
+  );
+  const [drawerBoxSettings, setDrawerBoxSettings] = useState(
+    initialJob.data.drawerBoxSettings
+  );
+  const [hardwareSettings, setHardwareSettings] = useState(
+    initialJob.data.hardwareSettings
+  );
+  const [walls, setWalls] = useState(initialJob.data.walls);
+  const [exportSettings, setExportSettings] = useState(
+    initialJob.data.exportSettings
+  );
+  const [production, setProduction] = useState(initialJob.data.production);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [totalsWallId, setTotalsWallId] = useState(ALL_WALLS);
+  const [totalsView, setTotalsView] = useState("cutlist");
+  const [previewRowId, setPreviewRowId] = useState(null);
+  // Panel key hovered in the totals or the 3D preview
+  const [highlightKey, setHighlightKey] = useState(null);
+
+  const jobData = useMemo(
+    () => ({
+      rows,
+      nextId,
+      nestingSettings,
+      constructionStyles,
+      constructionStyleId,
+      unitSettings,
+      materialSettings,
+      costSettings,
+      bandingSettings,
+      openingSettings,
+      drawerBoxSettings,
+      hardwareSettings,
+      walls,
+      exportSettings,
+      production,
+    }),
+    [
+      rows,
+      nextId,
+      nestingSettings,
+      constructionStyles,
+      constructionStyleId,
+      unitSettings,
+      materialSettings,
+      costSettings,
+      bandingSettings,
+      openingSettings,
+      drawerBoxSettings,
+      hardwareSettings,
+      walls,
+      exportSettings,
+      production,
+    ]
   );
-};
 
-/**
- * Aggregate panels over all rows.
- * Group by (panelType + width + height), and sum counts.
- * Also collect which cabinet labels contribute to each group.
- */
-const aggregatePanels = (rows) => {
-  const map = new Map();
-
-  rows.forEach((row) => {
-    const panels = computePanelsForRow(row);
-    panels.forEach((panel) => {
-      const { panelType, width, height, count, cabinetLabel } = panel;
-      const key = `${panelType}|${width}|${height}`;
-      const existing = map.get(key) || {
-        panelType,
-        width,
-        height,
-        count: 0,
-        cabinetLabels: new Set(),
-      };
-      existing.count += count;
-      if (cabinetLabel) {
-        existing.cabinetLabels.add(cabinetLabel);
+  // Autosave the open job shortly after each change
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      saveJob({ ...jobDetails, data: jobData });
+      setCurrentJobId(jobDetails.id);
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [jobDetails, jobData]);
+
+  const saveCurrentJob = () => {
+    saveJob({ ...jobDetails, data: jobData });
+  };
+
+  const applyJob = (job) => {
+    const data = normalizeJobData(job.data);
+    setJobDetails(getJobDetails(job));
+    setRows(data.rows);
+    setNextId(data.nextId);
+    setNestingSettings(data.nestingSettings);
+    setConstructionStyles(data.constructionStyles);
+    setConstructionStyleId(data.constructionStyleId);
+    setUnitSettings(data.unitSettings);
+    setMaterialSettings(data.materialSettings);
+    setCostSettings(data.costSettings);
+    setBandingSettings(data.bandingSettings);
+    setOpeningSettings(data.openingSettings);
+    setDrawerBoxSettings(data.drawerBoxSettings);
+    setHardwareSettings(data.hardwareSettings);
+    setWalls(data.walls);
+    setExportSettings(data.exportSettings);
+    setProduction(data.production);
+    setTotalsWallId(ALL_WALLS);
+    setHistory(createHistory());
+    setCurrentJobId(job.id);
+  };
+
+  const handleOpenLibrary = () => {
+    // Flush pending edits so the library lists the latest state
+    saveCurrentJob();
+    setIsLibraryOpen(true);
+  };
+
+  const handleOpenJob = (id) => {
+    const job = getJob(id);
+    if (!job) return;
+    saveCurrentJob();
+    applyJob(job);
+    setIsLibraryOpen(false);
+  };
+
+  const handleNewJob = () => {
+    saveCurrentJob();
+    applyJob(saveJob(createJob(createDefaultJobData())));
+    setIsLibraryOpen(false);
+  };
+
+  // Read a shared job link (#job=...) on load, and when one is pasted
+  // into the address bar of an open tab
+  useEffect(() => {
+    const readFragment = async () => {
+      const { hash, pathname, search } = window.location;
+      if (!isShareFragment(hash)) return;
+      // Drop the fragment first, so a reload doesn't open the job again
+      window.history.replaceState(null, "", pathname + search);
+      const shared = await decodeShareFragment(hash);
+      if (shared) {
+        setSharedJob(shared);
+      } else {
+        window.alert(
+          "This job link is incomplete or damaged and can't be opened."
+        );
       }
-      map.set(key, existing);
+    };
+    readFragment();
+    window.addEventListener("hashchange", readFragment);
+    return () => window.removeEventListener("hashchange", readFragment);
+  }, []);
+
+  // A shared job opens as a new job in the library, so the recipient's
+  // own jobs are never overwritten
+  useEffect(() => {
+    if (!sharedJob) return;
+    saveCurrentJob();
+    applyJob(
+      saveJob(
+        createJob(normalizeJobData(sharedJob.data), sharedJob.details)
+      )
+    );
+    setSharedJob(null);
+  }, [sharedJob]);
+
+  // The update toast outlives this render; save the latest edits
+  const saveRef = useRef(saveCurrentJob);
+  saveRef.current = saveCurrentJob;
+
+  // Offer to reload when a new version has been downloaded in the
+  // background (works offline otherwise, see lib/serviceWorker.js)
+  useEffect(() => {
+    registerServiceWorker((applyUpdate) => {
+      toast.show({
+        text: "A new version of the app is ready.",
+        timeout: 0,
+        actionsSlot: (
+          <Button
+            variant="ghost"
+            color="inherit"
+            size="small"
+            onClick={() => {
+              saveRef.current();
+              applyUpdate();
+            }}
+          >
+            Reload
+          </Button>
+        ),
+      });
     });
-  });
-
-  const list = Array.from(map.values()).map((item) => ({
-    panelType: item.panelType,
-    width: item.width,
-    height: item.height,
-    count: item.count,
-    cabinets: Array.from(item.cabinetLabels).sort().join(", "),
-  }));
+  }, []);
 
-  list.sort((a, b) => {
-    if (a.panelType < b.panelType) return -1;
-    if (a.panelType > b.panelType) return 1;
-    if (a.width !== b.width) return a.width - b.width;
-    return a.height - b.height;
-  });
+  useEffect(() => {
+    if (!linkCopied) return undefined;
+    const timer = setTimeout(() => setLinkCopied(false), LINK_COPIED_DELAY);
+    return () => clearTimeout(timer);
+  }, [linkCopied]);
 
-  return list;
-};
+  // Copy a link holding the whole job, for sending to the shop
+  const handleCopyLink = async () => {
+    const fragment = await encodeShareFragment(
+      { details: jobDetails, data: jobData },
+      createDefaultJobData()
+    );
+    const { origin, pathname, search } = window.location;
+    const url = `${origin}${pathname}${search}${fragment}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+    } catch (err) {
+      // Clipboard access can be blocked; let the user copy it by hand
+      window.prompt("Copy this link to share the job:", url);
+    }
+  };
 
-const App = () => {
-  const [rows, setRows] = useState(() => [createEmptyRow(1)]);
-  const [nextId, setNextId] = useState(2);
+  const constructionStyle =
+    constructionStyles.find((s) => s.id === constructionStyleId) ||
+    constructionStyles[0];
+  const unitSystem = getUnitSystem(unitSettings.system);
+
+  const calcOptions = useMemo(
+    () => ({
+      style: constructionStyle,
+      units: unitSettings,
+      materials: materialSettings,
+      banding: bandingSettings,
+      openings: openingSettings,
+      drawerBoxes: drawerBoxSettings,
+    }),
+    [
+      constructionStyle,
+      unitSettings,
+      materialSettings,
+      bandingSettings,
+      openingSettings,
+      drawerBoxSettings,
+    ]
+  );
+
+  const computePreviewPanels = useCallback(
+    (row) => computePanelsForRow(row, calcOptions),
+    [calcOptions]
+  );
+
+  // Switching unit system rewrites typed lengths so they keep their
+  // size (34.5 in -> 876.5 mm) instead of being reread in the new units
+  const handleUnitSettingsChange = (next) => {
+    if (next.system !== unitSettings.system) {
+      // Snapshots hold lengths typed in the old units
+      setHistory(createHistory());
+      const convert = (value) =>
+        convertLengthInput(value, unitSettings, next);
+      setRows((prev) =>
+        prev.map((row) => {
+          const converted = { ...row };
+          LENGTH_FIELDS.forEach((field) => {
+            converted[field] = convert(row[field]);
+          });
+          converted.drawerHeights = String(row.drawerHeights || "")
+            .split(",")
+            .map((entry) => entry.trim())
+            .filter(Boolean)
+            .map(convert)
+            .join(", ");
+          return converted;
+        })
+      );
+      setNestingSettings((prev) => ({
+        ...prev,
+        sheetWidth: convert(prev.sheetWidth),
+        sheetHeight: convert(prev.sheetHeight),
+        kerf: convert(prev.kerf),
+      }));
+      setDrawerBoxSettings((prev) => {
+        const converted = { ...prev };
+        DRAWER_BOX_LENGTH_FIELDS.forEach((field) => {
+          converted[field] = convert(prev[field]);
+        });
+        return converted;
+      });
+      setOpeningSettings((prev) => {
+        const converted = { ...prev };
+        OPENING_LENGTH_FIELDS.forEach((field) => {
+          converted[field] = convert(prev[field]);
+        });
+        return converted;
+      });
+      setHardwareSettings((prev) => {
+        const converted = { ...prev };
+        HARDWARE_LENGTH_FIELDS.forEach((field) => {
+          converted[field] = convert(prev[field]);
+        });
+        return converted;
+      });
+      setWalls((prev) =>
+        prev.map((wall) => ({ ...wall, length: convert(wall.length) }))
+      );
+    }
+    setUnitSettings(next);
+  };
+
+  // Cabinet table history: snapshot the table and its walls before each
+  // edit. A pending undo toast refers to the previous edit, so it goes
+  // away
+  const recordRows = (key = null) => {
+    setHistory((prev) => recordEdit(prev, { rows, nextId, walls }, key));
+    if (undoToastRef.current) {
+      toast.hide(undoToastRef.current);
+      undoToastRef.current = null;
+    }
+  };
+
+  const restoreRows = (step) => {
+    if (!step) return;
+    setHistory(step.history);
+    setRows(step.snapshot.rows);
+    setNextId(step.snapshot.nextId);
+    setWalls(step.snapshot.walls);
+  };
+
+  const handleUndo = () => {
+    restoreRows(undoEdit(history, { rows, nextId, walls }));
+    if (undoToastRef.current) {
+      toast.hide(undoToastRef.current);
+      undoToastRef.current = null;
+    }
+  };
+
+  const handleRedo = () =>
+    restoreRows(redoEdit(history, { rows, nextId, walls }));
+
+  // The toast outlives this render; call the latest undo
+  const undoRef = useRef(handleUndo);
+  undoRef.current = handleUndo;
+
+  // Destructive edits happen right away, with a toast to take them back
+  const showUndoToast = (text) => {
+    undoToastRef.current = toast.show({
+      text,
+      timeout: "long",
+      actionsSlot: (
+        <Button
+          variant="ghost"
+          color="inherit"
+          size="small"
+          onClick={() => undoRef.current()}
+        >
+          Undo
+        </Button>
+      ),
+    });
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), and Ctrl+Y. Inputs outside
+  // the cabinet table keep the browser's own undo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      const target = event.target;
+      const editable =
+        target instanceof HTMLElement &&
+        (target.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+      if (editable && !target.closest(".cabinet-table")) return;
+
+      event.preventDefault();
+      if (key === "y" || event.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [history, rows, nextId]);
 
   const handleChange = (id, field, value) => {
+    recordRows(`${id}:${field}`);
     setRows((prev) =>
       prev.map((row) =>
         row.id === id ? { ...row, [field]: value } : row
@@ -192,16 +706,129 @@ const App = () => {
     );
   };
 
-  const handleAddRow = () => {
-    setRows((prev) => [...prev, createEmptyRow(nextId)]);
+  // Switching type also applies that type's defaults (e.g. no kick
+  // for wall cabinets)
+  const handleTypeChange = (id, cabinetType) => {
+    const type = getCabinetType(cabinetType);
+    recordRows();
+    setRows((prev) =>
+      prev.map((row) =>
+        row.id === id
+          ? { ...row, ...type.defaults, cabinetType: type.id }
+          : row
+      )
+    );
+  };
+
+  const handleAddRow = (wallId = "") => {
+    recordRows();
+    setRows((prev) => [...prev, { ...createEmptyRow(nextId), wallId }]);
     setNextId((id) => id + 1);
   };
 
+  // Imported values are partial rows on top of the type defaults;
+  // ids continue from nextId, even when replacing, so production
+  // progress (keyed by row id) never carries over to a new cabinet
+  const handleImportRows = (importedRows, mode) => {
+    const startId = nextId;
+    const newRows = importedRows.map((values, index) => ({
+      ...createEmptyRow(startId + index),
+      ...(values.cabinetType
+        ? getCabinetType(values.cabinetType).defaults
+        : {}),
+      ...values,
+    }));
+    recordRows();
+    setRows((prev) =>
+      mode === "replace" ? newRows : [...prev, ...newRows]
+    );
+    setNextId(startId + newRows.length);
+    setIsImportOpen(false);
+  };
+
+  const catalog = useMemo(() => buildCatalog(shopPresets), [shopPresets]);
+
+  // Shop presets are kept across jobs, not with the job
+  const handleShopPresetsChange = (next) => {
+    setShopPresets(next);
+    saveShopPresets(next);
+  };
+
+  const handleInsertPresets = (presets) => {
+    const newRows = presets.map((preset, index) => ({
+      ...createEmptyRow(nextId + index),
+      ...presetToRow(preset, unitSettings),
+    }));
+    recordRows();
+    setRows((prev) => [...prev, ...newRows]);
+    setNextId(nextId + newRows.length);
+    showUndoToast(
+      `Added ${presets.map((preset) => preset.code).join(", ")}`
+    );
+  };
+
+  // Codes typed in the spec table header, one or more ("B24 W3030")
+  const handleInsertCode = () => {
+    const codes = codeInput.split(/[\s,;]+/).filter(Boolean);
+    if (!codes.length) return;
+    const missing = codes.filter((code) => !findPreset(catalog, code));
+    if (missing.length) {
+      setCodeError(`Not in the catalog: ${missing.join(", ")}`);
+      return;
+    }
+    handleInsertPresets(codes.map((code) => findPreset(catalog, code)));
+    setCodeInput("");
+    setCodeError(null);
+  };
+
   const handleRemoveRow = (id) => {
+    const removed = rows.find((row) => row.id === id);
+    recordRows();
     setRows((prev) => prev.filter((row) => row.id !== id));
+    const label = (removed?.label || "").trim();
+    showUndoToast(label ? `Removed ${label}` : "Removed cabinet");
+  };
+
+  // Swap a row with its neighbour on the same wall (its place in the
+  // elevation); direction is -1 for left/up, 1 for right/down
+  const handleMoveRow = (id, direction) => {
+    const index = rows.findIndex((row) => row.id === id);
+    const group = groupRowsByWall(rows, walls).find(({ entries }) =>
+      entries.some((entry) => entry.index === index)
+    );
+    const position = group.entries.findIndex((e) => e.index === index);
+    const other = group.entries[position + direction];
+    if (!other) return;
+    recordRows();
+    setRows((prev) => {
+      const next = [...prev];
+      next[index] = prev[other.index];
+      next[other.index] = prev[index];
+      return next;
+    });
+  };
+
+  // Wall edits go in the table history too, since rows refer to walls
+  const handleWallsChange = (next, key = null) => {
+    recordRows(key);
+    setWalls(next);
+  };
+
+  // Cabinets on a removed wall go back to the unplaced group
+  const handleRemoveWall = (id) => {
+    const removed = walls.find((wall) => wall.id === id);
+    recordRows();
+    setRows((prev) =>
+      prev.map((row) => (row.wallId === id ? { ...row, wallId: "" } : row))
+    );
+    setWalls((prev) => prev.filter((wall) => wall.id !== id));
+    if (totalsWallId === id) setTotalsWallId(ALL_WALLS);
+    const name = (removed?.name || "").trim();
+    showUndoToast(name ? `Removed ${name}` : "Removed wall");
   };
 
   const handleDuplicateRow = (row) => {
+    recordRows();
     setRows((prev) => [
       ...prev,
       {
@@ -213,137 +840,1377 @@ const App = () => {
   };
 
   const handleReset = () => {
-    setRows([createEmptyRow(1)]);
-    setNextId(2);
+    recordRows();
+    setRows([createEmptyRow(nextId)]);
+    setNextId(nextId + 1);
+    showUndoToast(
+      `Cleared ${rows.length} cabinet${rows.length === 1 ? "" : "s"}`
+    );
   };
 
+  // Two stock sizes from the catalog, in the job's units, numbered on
+  // from nextId like any new rows
   const handleLoadExample = () => {
+    const fromCatalog = (id, code, values) => ({
+      ...createEmptyRow(id),
+      ...presetToRow(findPreset(STANDARD_PRESETS, code), unitSettings),
+      ...values,
+    });
     const exampleRows = [
-      {
-        id: 1,
+      fromCatalog(nextId, "B30", {
         label: 'Base 30"',
-        cabinetHeight: "34.5",
-        kickHeight: "4.5",
-        boxHeight: "",
-        boxWidth: "30",
-        boxDepth: "24",
-        braceHeight: "3",
+        shelfCount: "1",
+        doorCount: "2",
+        drawerHeights: convertLengthInput(
+          "5",
+          DEFAULT_UNIT_SETTINGS,
+          unitSettings
+        ),
+        slideProfile: "side-mount",
         quantity: "4",
-      },
-      {
-        id: 2,
+      }),
+      fromCatalog(nextId + 1, "W3030", {
         label: 'Upper 30"',
-        cabinetHeight: "30",
-        kickHeight: "0",
-        boxHeight: "",
-        boxWidth: "30",
-        boxDepth: "12",
-        braceHeight: "3",
+        shelfCount: "2",
+        doorCount: "2",
         quantity: "6",
-      },
+      }),
     ];
+    recordRows();
     setRows(exampleRows);
-    setNextId(3);
+    setNextId(nextId + 2);
   };
 
   const panelSummary = useMemo(
-    () => aggregatePanels(rows),
-    [rows]
+    () => aggregatePanels(rows, calcOptions),
+    [rows, calcOptions]
+  );
+
+  // Panels and issues per row. When the spec itself has errors, the
+  // calculation's complaints would only repeat them
+  const rowPanels = useMemo(
+    () =>
+      rows.map((row) => {
+        const { panels, issues } = computeRowPanels(row, calcOptions);
+        const specIssues = validateRow(row, unitSettings);
+        return {
+          row,
+          panels,
+          issues: hasErrors(specIssues)
+            ? specIssues
+            : [...specIssues, ...issues],
+        };
+      }),
+    [rows, calcOptions, unitSettings]
+  );
+
+  const jobHasErrors = rowPanels.some(({ issues }) => hasErrors(issues));
+
+  // Exporting or printing a cut-list that is missing parts needs a nod
+  const confirmIncomplete = () =>
+    !jobHasErrors ||
+    window.confirm(
+      "Some cabinets have errors and are missing parts from the " +
+        "cut-list. Continue anyway?"
+    );
+
+  const handlePrint = (mode) => {
+    if (confirmIncomplete()) setPrintMode(mode);
+  };
+
+  // Print once the print view for the chosen mode has rendered
+  useEffect(() => {
+    if (!printMode) return undefined;
+    const handleAfterPrint = () => setPrintMode(null);
+    window.addEventListener("afterprint", handleAfterPrint);
+    window.print();
+    return () => window.removeEventListener("afterprint", handleAfterPrint);
+  }, [printMode]);
+
+  // Panel roles offered for pinning: every panel the styles define,
+  // then the face frame and front parts
+  const materialPanelTypes = useMemo(
+    () =>
+      Array.from(
+        new Set([
+          ...constructionStyles.flatMap((style) =>
+            style.panels.map((panel) => panel.panelType.trim())
+          ),
+          ...OPENING_PANEL_TYPES,
+          ...DRAWER_BOX_PANEL_TYPES,
+        ])
+      ).filter(Boolean),
+    [constructionStyles]
+  );
+
+  const materialGroups = useMemo(
+    () => groupByMaterial(panelSummary, materialSettings),
+    [panelSummary, materialSettings]
+  );
+
+  const sheetSize = useMemo(
+    () => ({
+      sheetWidth: parseLength(nestingSettings.sheetWidth, unitSettings),
+      sheetHeight: parseLength(nestingSettings.sheetHeight, unitSettings),
+      kerf: parseLength(nestingSettings.kerf, unitSettings) || 0,
+    }),
+    [nestingSettings, unitSettings]
+  );
+
+  // Nesting is the slow part of a recalculation (a second or so for a
+  // few hundred pieces), so it runs on the panels as they stood when
+  // edits paused
+  const [nestingInput, setNestingInput] = useState(() => ({
+    materialGroups,
+    sheetSize,
+  }));
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setNestingInput({ materialGroups, sheetSize }),
+      NESTING_DELAY
+    );
+    return () => clearTimeout(timer);
+  }, [materialGroups, sheetSize]);
+  const nestingPending =
+    nestingInput.materialGroups !== materialGroups ||
+    nestingInput.sheetSize !== sheetSize;
+
+  // Each material is nested on its own sheets
+  const materialLayouts = useMemo(
+    () =>
+      nestingInput.materialGroups.map(({ material, items }) => ({
+        material,
+        result: nestPanels(items, nestingInput.sheetSize),
+      })),
+    [nestingInput]
+  );
+
+  const bandingSummary = useMemo(
+    () => summarizeBanding(panelSummary, bandingSettings),
+    [panelSummary, bandingSettings]
+  );
+
+  const quote = useMemo(
+    () =>
+      computeJobCost({
+        rowPanels,
+        layouts: materialLayouts,
+        banding: bandingSettings,
+        settings: costSettings,
+      }),
+    [rowPanels, materialLayouts, bandingSettings, costSettings]
+  );
+
+  // The totals card can show one wall; exports, sheets and costing
+  // always cover the whole job
+  const totalsRows = useMemo(() => {
+    if (totalsWallId === ALL_WALLS) return rows;
+    const group = groupRowsByWall(rows, walls).find(
+      ({ wall }) => (wall ? wall.id : "") === totalsWallId
+    );
+    return group ? group.entries.map(({ row }) => row) : [];
+  }, [totalsWallId, rows, walls]);
+
+  const totalsPanels = useMemo(
+    () =>
+      totalsWallId === ALL_WALLS
+        ? panelSummary
+        : aggregatePanels(totalsRows, calcOptions),
+    [totalsWallId, panelSummary, totalsRows, calcOptions]
+  );
+
+  const totalsGroups = useMemo(
+    () =>
+      totalsWallId === ALL_WALLS
+        ? materialGroups
+        : groupByMaterial(totalsPanels, materialSettings),
+    [totalsWallId, materialGroups, totalsPanels, materialSettings]
+  );
+
+  const totalsBanding = useMemo(
+    () =>
+      totalsWallId === ALL_WALLS
+        ? bandingSummary
+        : summarizeBanding(totalsPanels, bandingSettings),
+    [totalsWallId, bandingSummary, totalsPanels, bandingSettings]
   );
 
   const totalPanels = useMemo(
-    () => panelSummary.reduce((sum, p) => sum + p.count, 0),
-    [panelSummary]
+    () => totalsPanels.reduce((sum, p) => sum + p.count, 0),
+    [totalsPanels]
   );
 
+  // Piece numbers run down the whole-job totals, so they stay put when
+  // the totals show one wall
+  const pieceNumbers = useMemo(() => {
+    const numbers = new Map();
+    materialGroups.forEach(({ items }) =>
+      items.forEach((p) => numbers.set(p.key, numbers.size + 1))
+    );
+    return numbers;
+  }, [materialGroups]);
+
+  const cabinetBreakdown = useMemo(
+    () => buildCabinetBreakdown(rowPanels, pieceNumbers),
+    [rowPanels, pieceNumbers]
+  );
+
+  const totalsBreakdown = useMemo(() => {
+    const ids = new Set(totalsRows.map((row) => row.id));
+    return cabinetBreakdown.filter(({ row }) => ids.has(row.id));
+  }, [cabinetBreakdown, totalsRows]);
+
+  const productionSummary = useMemo(
+    () => summarizeProgress(totalsBreakdown, production),
+    [totalsBreakdown, production]
+  );
+
+  // Progress for pieces that left the cut-list is dropped on the next
+  // change, so it doesn't pile up in the saved job
+  const handleProductionChange = (next) =>
+    setProduction(pruneProgress(next, cabinetBreakdown));
+
+  const handleResetProduction = () => {
+    if (window.confirm("Clear the production progress of every piece?")) {
+      setProduction({});
+    }
+  };
+
+  // Hardware per row, null for every row when a rule can't be read
+  const rowHardware = useMemo(
+    () =>
+      rowPanels.map(({ row, panels }) => ({
+        row,
+        items: computeRowHardware(row, panels, calcOptions, hardwareSettings),
+      })),
+    [rowPanels, calcOptions, hardwareSettings]
+  );
+  const hardwareInvalid = rowHardware.some(({ items }) => items == null);
+
+  const hardwareSummary = useMemo(
+    () => summarizeHardware(rowHardware),
+    [rowHardware]
+  );
+
+  const totalsHardware = useMemo(() => {
+    if (totalsWallId === ALL_WALLS) return hardwareSummary;
+    const ids = new Set(totalsRows.map((row) => row.id));
+    return summarizeHardware(
+      rowHardware.filter(({ row }) => ids.has(row.id))
+    );
+  }, [totalsWallId, hardwareSummary, rowHardware, totalsRows]);
+
+  // Cabinet table: grouped under wall headers once the job has walls
+  const tableEntries = useMemo(() => {
+    if (walls.length === 0) {
+      return rows.map((row, index) => ({
+        row,
+        index,
+        first: index === 0,
+        last: index === rows.length - 1,
+      }));
+    }
+    return groupRowsByWall(rows, walls).flatMap(({ wall, entries }) => {
+      if (!wall && entries.length === 0) return [];
+      return [
+        {
+          wall,
+          entries,
+          layout: wall
+            ? layoutElevation(getWallRows(rows, wall.id), unitSettings)
+            : null,
+        },
+        ...entries.map((entry, position) => ({
+          ...entry,
+          first: position === 0,
+          last: position === entries.length - 1,
+        })),
+      ];
+    });
+  }, [rows, walls, unitSettings]);
+
   const handleExportCSV = () => {
+    if (!panelSummary.length || !confirmIncomplete()) return;
+
+    const header =
+      "Piece,Material,PanelType,Width,Height,Count,Grain,Edges,Banding," +
+      "BandingFt,Cabinets";
+    // Sizes rounded to the job precision, as decimals for spreadsheets
+    const size = (n) =>
+      formatLength(n, unitSettings, { fractions: false });
+    const lines = materialGroups.flatMap(({ material, items }) =>
+      items.map((p) =>
+        [
+          pieceNumbers.get(p.key),
+          csvField(describeMaterial(material, unitSettings)),
+          csvField(p.panelType),
+          size(p.width),
+          size(p.height),
+          p.count,
+          getGrainDirection(p.grain).label,
+          p.bandingCode,
+          p.bandingCode
+            ? csvField(getBanding(bandingSettings, p.bandingId).name)
+            : "",
+          p.bandingCode ? bandingFeet([p], bandingSettings).toFixed(1) : "",
+          csvField(p.cabinets),
+        ].join(",")
+      )
+    );
+    downloadCsv("cabinet-panels.csv", [header, ...lines]);
+  };
+
+  // Whole-job hardware for purchase orders
+  const handleExportHardwareCSV = () => {
+    if (!hardwareSummary.length || !confirmIncomplete()) return;
+
+    const lines = hardwareSummary.map((item) =>
+      [
+        csvField(item.category),
+        csvField(item.name),
+        item.count,
+        csvField(item.cabinets),
+      ].join(",")
+    );
+    downloadCsv("cabinet-hardware.csv", [
+      "Category,Item,Quantity,Cabinets",
+      ...lines,
+    ]);
+  };
+
+  // One line per physical piece with the last stage it's been through
+  const handleExportProductionCSV = () => {
     if (!panelSummary.length) return;
 
-    const header = "PanelType,Width,Height,Count,Cabinets";
-    const lines = panelSummary.map((p) =>
-      [p.panelType, p.width, p.height, p.count, p.cabinets].join(",")
+    const size = (n) =>
+      formatLength(n, unitSettings, { fractions: false });
+    const stageLabel = (id) =>
+      (PRODUCTION_STAGES.find((stage) => stage.id === id) || {}).label ||
+      "Not started";
+    const lines = cabinetBreakdown.flatMap(({ row, parts }) =>
+      parts.flatMap((part) =>
+        listPartPieces(row.id, part).map(({ id, n }) =>
+          [
+            csvField((row.label || "").trim() || "Unlabeled"),
+            part.piece,
+            n,
+            csvField(part.panelType),
+            size(part.width),
+            size(part.height),
+            stageLabel(production[id]),
+          ].join(",")
+        )
+      )
     );
-    const csv = [header, ...lines].join("\n");
+    downloadCsv("cabinet-production.csv", [
+      "Cabinet,Piece,Number,PanelType,Width,Height,Stage",
+      ...lines,
+    ]);
+  };
 
-    const blob = new Blob([csv], {
-      type: "text/csv;charset=utf-8;",
-    });
-    const url = URL.createObjectURL(blob);
+  // One line per part per cabinet row, in table order, with the piece
+  // number of its line in the panel CSV
+  const handleExportBreakdownCSV = () => {
+    if (!panelSummary.length || !confirmIncomplete()) return;
 
-    const link = document.createElement("a");
-    link.href = url;
-    link.setAttribute("download", "cabinet-panels.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    const header =
+      "Cabinet,Description,Quantity,Piece,Material,PanelType,Width," +
+      "Height,PerCabinet,Total,Edges";
+    const size = (n) =>
+      formatLength(n, unitSettings, { fractions: false });
+    const lines = cabinetBreakdown.flatMap(({ row, quantity, parts }) =>
+      parts.map((part) =>
+        [
+          csvField((row.label || "").trim() || "Unlabeled"),
+          csvField(describeCabinet(row, unitSettings)),
+          quantity,
+          part.piece,
+          csvField(
+            describeMaterial(
+              getMaterial(materialSettings, part.materialId),
+              unitSettings
+            )
+          ),
+          csvField(part.panelType),
+          size(part.width),
+          size(part.height),
+          part.perCabinet,
+          part.count,
+          part.bandingCode,
+        ].join(",")
+      )
+    );
+    downloadCsv("cabinet-parts.csv", [header, ...lines]);
   };
 
-  return (
-    <View
-      backgroundColor="neutral-faded"
-      minHeight="100vh"
-      paddingBlock={8}
-    >
-      <Container maxWidth="1120px">
-        <Card elevated padding={5}>
-          <View gap={4}>
-            {/* Top bar */}
-            <View
-              direction={{ s: "column", m: "row" }}
-              justify="space-between"
-              align={{ s: "stretch", m: "center" }}
-              gap={3}
-            >
-              <View gap={0.5}>
-                <Text variant="featured-1" weight="bold">
-                  Cabinet Panel Calculator
-                </Text>
-                <Text variant="body-2" color="neutral-faded">
-                  Enter cabinet styles and quantities. The app
-                  calculates a consolidated cut-list using your
-                  panel formulas.
-                </Text>
-              </View>
+  // Exports use the panels the layouts were nested from
+  const exportContext = useMemo(
+    () => ({
+      groups: nestingInput.materialGroups,
+      layouts: materialLayouts,
+      sheetSize: nestingInput.sheetSize,
+      pieceNumbers,
+    }),
+    [nestingInput, materialLayouts, pieceNumbers]
+  );
+
+  const handleCncExport = (format, contents) => {
+    if (!confirmIncomplete()) return;
+    downloadFile(
+      `cabinet-panels.${format.extension}`,
+      contents,
+      format.mimeType
+    );
+    setIsExportOpen(false);
+  };
 
+  return (
+    <>
+      <View
+        className="screen-only"
+        backgroundColor="neutral-faded"
+        minHeight="100vh"
+        paddingBlock={8}
+      >
+        <Container maxWidth="1120px">
+          <Card elevated padding={5}>
+            <View gap={4}>
+              {/* Top bar */}
               <View
-                direction="row"
-                justify={{ s: "flex-start", m: "flex-end" }}
-                gap={2}
+                direction={{ s: "column", m: "row" }}
+                justify="space-between"
+                align={{ s: "stretch", m: "center" }}
+                gap={3}
               >
-                <Button
-                  variant="outline"
-                  color="neutral"
-                  onClick={handleReset}
-                >
-                  Reset
-                </Button>
-                <Button
-                  variant="solid"
-                  color="primary"
-                  onClick={handleLoadExample}
+                <View gap={0.5}>
+                  <Text variant="featured-1" weight="bold">
+                    Cabinet Panel Calculator
+                  </Text>
+                  <Text variant="body-2" weight="medium">
+                    {jobDetails.name || "Untitled job"}
+                  </Text>
+                  <Text variant="body-2" color="neutral-faded">
+                    Enter cabinet styles and quantities. The app
+                    calculates a consolidated cut-list using your
+                    panel formulas.
+                  </Text>
+                </View>
+
+                <View
+                  direction="row"
+                  justify={{ s: "flex-start", m: "flex-end" }}
+                  gap={2}
                 >
-                  Load example
-                </Button>
+                  <Button
+                    variant="outline"
+                    color="neutral"
+                    onClick={handleOpenLibrary}
+                  >
+                    Jobs
+                  </Button>
+                  <Button
+                    variant="outline"
+                    color="neutral"
+                    onClick={handleCopyLink}
+                  >
+                    {linkCopied ? "Link copied" : "Copy link"}
+                  </Button>
+                  <Button
+                    variant="outline"
+                    color="neutral"
+                    onClick={handleReset}
+                  >
+                    Reset
+                  </Button>
+                  <Button
+                    variant="solid"
+                    color="primary"
+                    onClick={handleLoadExample}
+                  >
+                    Load example
+                  </Button>
+                </View>
               </View>
-            </View>
 
-            <Divider />
-
-            {/* Main content: specs + totals */}
-            <View
-              gap={6}
-              direction={{ s: "column", m: "row" }}
-              align="stretch"
-            >
-              {/* Left: cabinet table */}
-              <View.Item grow>
-                <View gap={3}>
+              <JobDetails
+                details={jobDetails}
+                onChange={setJobDetails}
+              />
+
+              <UnitControls
+                settings={unitSettings}
+                onChange={handleUnitSettingsChange}
+              />
+
+              <JobLibrary
+                active={isLibraryOpen}
+                onClose={() => setIsLibraryOpen(false)}
+                currentJobId={jobDetails.id}
+                onOpenJob={handleOpenJob}
+                onNewJob={handleNewJob}
+                onRenameCurrent={(name) =>
+                  setJobDetails((prev) => ({ ...prev, name }))
+                }
+              />
+
+              <ExportDialog
+                active={isExportOpen}
+                onClose={() => setIsExportOpen(false)}
+                settings={exportSettings}
+                onSettingsChange={setExportSettings}
+                context={exportContext}
+                onDownload={handleCncExport}
+              />
+
+              <CabinetCatalog
+                active={isCatalogOpen}
+                onClose={() => setIsCatalogOpen(false)}
+                catalog={catalog}
+                shopPresets={shopPresets}
+                onShopPresetsChange={handleShopPresetsChange}
+                onInsert={(preset) => handleInsertPresets([preset])}
+                units={unitSettings}
+              />
+
+              <ImportDialog
+                active={isImportOpen}
+                onClose={() => setIsImportOpen(false)}
+                onImport={handleImportRows}
+                units={unitSettings}
+              />
+
+              <Divider />
+
+              {/* Main content: specs + totals */}
+              <View
+                gap={6}
+                direction={{ s: "column", m: "row" }}
+                align="stretch"
+              >
+                {/* Left: cabinet table */}
+                <View.Item grow>
+                  <View gap={3}>
+                    <View
+                      direction="row"
+                      justify="space-between"
+                      align="center"
+                      wrap
+                      gap={2}
+                    >
+                      <View gap={0.5}>
+                        <Text
+                          variant="featured-4"
+                          weight="medium"
+                        >
+                          Cabinet specs
+                        </Text>
+                        <Text
+                          variant="caption-1"
+                          color="neutral-faded"
+                        >
+                          Each row is a cabinet style. Quantities are
+                          multiplied into the final cut-list.
+                        </Text>
+                      </View>
+                      <View direction="row" gap={2}>
+                        <Button
+                          onClick={handleUndo}
+                          variant="ghost"
+                          color="neutral"
+                          size="medium"
+                          disabled={!canUndo(history)}
+                          attributes={{ title: "Undo (Ctrl+Z)" }}
+                        >
+                          Undo
+                        </Button>
+                        <Button
+                          onClick={handleRedo}
+                          variant="ghost"
+                          color="neutral"
+                          size="medium"
+                          disabled={!canRedo(history)}
+                          attributes={{ title: "Redo (Ctrl+Shift+Z)" }}
+                        >
+                          Redo
+                        </Button>
+                        <Button
+                          onClick={() => setIsImportOpen(true)}
+                          variant="outline"
+                          color="neutral"
+                          size="medium"
+                        >
+                          Import
+                        </Button>
+                        <Button
+                          onClick={() => handleAddRow()}
+                          variant="solid"
+                          color="primary"
+                          size="medium"
+                        >
+                          Add cabinet
+                        </Button>
+                      </View>
+                    </View>
+
+                    <View direction="row" gap={2} align="start" wrap>
+                      <View.Item grow>
+                        <FormControl hasError={Boolean(codeError)}>
+                          <TextField
+                            name="cabinetCode"
+                            placeholder="Add by code, e.g. B24 or B24 W3030"
+                            value={codeInput}
+                            onChange={({ value }) => {
+                              setCodeInput(value);
+                              setCodeError(null);
+                            }}
+                            inputAttributes={{
+                              list: "catalog-codes",
+                              onKeyDown: (event) => {
+                                if (event.key !== "Enter") return;
+                                event.preventDefault();
+                                handleInsertCode();
+                              },
+                            }}
+                          />
+                          {codeError && (
+                            <FormControl.Error>{codeError}</FormControl.Error>
+                          )}
+                        </FormControl>
+                      </View.Item>
+                      <Button
+                        onClick={handleInsertCode}
+                        variant="outline"
+                        color="neutral"
+                        disabled={!codeInput.trim()}
+                      >
+                        Insert
+                      </Button>
+                      <Button
+                        onClick={() => setIsCatalogOpen(true)}
+                        variant="outline"
+                        color="neutral"
+                      >
+                        Catalog
+                      </Button>
+                      <datalist id="catalog-codes">
+                        {catalog
+                          .filter((preset) => preset.code)
+                          .map((preset) => (
+                            <option key={preset.id} value={preset.code}>
+                              {describeCabinet(preset, preset.units)}
+                            </option>
+                          ))}
+                      </datalist>
+                    </View>
+
+                    <View
+                      className="cabinet-table"
+                      borderColor="neutral-faded"
+                      borderRadius="large"
+                      borderWidth={1}
+                      overflow="hidden"
+                    >
+                      <Table border columnBorder>
+                        <Table.Row highlighted>
+                          <Table.Heading>#</Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Cabinet label"
+                              short="Label"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Cabinet type"
+                              short="Type"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Cabinet height"
+                              short="Cab H"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Kick height"
+                              short="Kick H"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Box height"
+                              short="Box H"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Box width"
+                              short="Box W"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Box depth"
+                              short="Depth"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Brace height"
+                              short="Brace H"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Options & material"
+                              short="Options"
+                            />
+                          </Table.Heading>
+                          <Table.Heading>
+                            <ResponsiveLabel
+                              full="Quantity"
+                              short="Qty"
+                            />
+                          </Table.Heading>
+                          <Table.Heading />
+                        </Table.Row>
+
+                        {tableEntries.map((entry) => {
+                          if (!entry.row) {
+                            const { wall, entries, layout } = entry;
+                            const wallLength =
+                              wall &&
+                              parseLength(wall.length, unitSettings);
+                            const size = (n) =>
+                              `${formatLength(n, unitSettings)} ${
+                                unitSystem.suffix
+                              }`;
+                            return (
+                              <Table.Row
+                                key={wall ? wall.id : "unplaced"}
+                                highlighted
+                              >
+                                <Table.Cell colSpan={12}>
+                                  <View
+                                    direction="row"
+                                    justify="space-between"
+                                    align="center"
+                                    gap={2}
+                                  >
+                                    <View gap={0.5}>
+                                      <Text
+                                        variant="body-2"
+                                        weight="medium"
+                                      >
+                                        {wall
+                                          ? wall.name || "Unnamed wall"
+                                          : "Not on a wall"}
+                                      </Text>
+                                      <Text
+                                        variant="caption-1"
+                                        color="neutral-faded"
+                                      >
+                                        {entries.length} row
+                                        {entries.length === 1 ? "" : "s"}
+                                        {layout &&
+                                          ` · run ${size(layout.runLength)}`}
+                                        {wallLength != null &&
+                                          ` of ${size(wallLength)}`}
+                                      </Text>
+                                    </View>
+                                    {wall && (
+                                      <Button
+                                        variant="ghost"
+                                        color="neutral"
+                                        size="small"
+                                        onClick={() =>
+                                          handleAddRow(wall.id)
+                                        }
+                                      >
+                                        Add cabinet
+                                      </Button>
+                                    )}
+                                  </View>
+                                </Table.Cell>
+                              </Table.Row>
+                            );
+                          }
+
+                          const { row, index } = entry;
+                          const boxHeightEff =
+                            getEffectiveBoxHeight(row, unitSettings);
+                          const cabinetType = getCabinetType(
+                            row.cabinetType
+                          );
+                          const { issues } = rowPanels[index];
+                          const flagged = (field) =>
+                            issues.some(
+                              (item) =>
+                                item.field === field &&
+                                item.level === "error"
+                            );
+
+                          return (
+                            <Table.Row key={row.id}>
+                              {/* Index */}
+                              <Table.Cell>
+                                <Text variant="body-3">
+                                  {index + 1}
+                                </Text>
+                              </Table.Cell>
+
+                              {/* Cabinet label */}
+                              <Table.Cell>
+                                <FormControl size="small">
+                                  <FormControl.Label>
+                                    Label
+                                  </FormControl.Label>
+                                  <TextField
+                                    size="small"
+                                    value={row.label}
+                                    onChange={({ value }) =>
+                                      handleChange(
+                                        row.id,
+                                        "label",
+                                        value
+                                      )
+                                    }
+                                  />
+                                </FormControl>
+                                {walls.length > 0 && (
+                                  <FormControl size="small">
+                                    <FormControl.Label>
+                                      Wall
+                                    </FormControl.Label>
+                                    <Select
+                                      name={`wall-${row.id}`}
+                                      size="small"
+                                      value={row.wallId || ""}
+                                      onChange={({ value }) =>
+                                        handleChange(
+                                          row.id,
+                                          "wallId",
+                                          value
+                                        )
+                                      }
+                                    >
+                                      <option value="">Not on a wall</option>
+                                      {walls.map((wall) => (
+                                        <option
+                                          key={wall.id}
+                                          value={wall.id}
+                                        >
+                                          {wall.name || "Unnamed wall"}
+                                        </option>
+                                      ))}
+                                    </Select>
+                                  </FormControl>
+                                )}
+                                {issues.map((item) => (
+                                  <Text
+                                    key={`${item.field}-${item.message}`}
+                                    variant="caption-1"
+                                    color={
+                                      item.level === "error"
+                                        ? "critical"
+                                        : "warning"
+                                    }
+                                  >
+                                    {item.message}
+                                  </Text>
+                                ))}
+                              </Table.Cell>
+
+                              {/* Cabinet type */}
+                              <Table.Cell>
+                                <FormControl size="small">
+                                  <FormControl.Label>
+                                    Type
+                                  </FormControl.Label>
+                                  <Select
+                                    name={`cabinetType-${row.id}`}
+                                    size="small"
+                                    value={cabinetType.id}
+                                    onChange={({ value }) =>
+                                      handleTypeChange(row.id, value)
+                                    }
+                                  >
+                                    {CABINET_TYPES.map((type) => (
+                                      <option
+                                        key={type.id}
+                                        value={type.id}
+                                      >
+                                        {type.label}
+                                      </option>
+                                    ))}
+                                  </Select>
+                                </FormControl>
+                              </Table.Cell>
+
+                              {/* Cabinet Height */}
+                              <Table.Cell>
+                                <FormControl
+                                  size="small"
+                                  hasError={flagged("cabinetHeight")}
+                                >
+                                  <FormControl.Label>
+                                    <ResponsiveLabel
+                                      full="Cabinet"
+                                      short="Cab"
+                                    />{" "}
+                                    <ResponsiveLabel
+                                      full="height"
+                                      short="H"
+                                    />
+                                  </FormControl.Label>
+                                  <TextField
+                                    suffix={unitSystem.suffix}
+                                    size="small"
+                                    value={row.cabinetHeight}
+                                    onChange={({ value }) =>
+                                      handleChange(
+                                        row.id,
+                                        "cabinetHeight",
+                                        value
+                                      )
+                                    }
+                                  />
+                                </FormControl>
+                              </Table.Cell>
+
+                              {/* Kick Height */}
+                              <Table.Cell>
+                                <FormControl
+                                  size="small"
+                                  hasError={flagged("kickHeight")}
+                                >
+                                  <FormControl.Label>
+                                    <ResponsiveLabel
+                                      full="Kick"
+                                      short="Kick"
+                                    />{" "}
+                                    <ResponsiveLabel
+                                      full="height"
+                                      short="H"
+                                    />
+                                  </FormControl.Label>
+                                  <TextField
+                                    suffix={unitSystem.suffix}
+                                    size="small"
+                                    value={row.kickHeight}
+                                    onChange={({ value }) =>
+                                      handleChange(
+                                        row.id,
+                                        "kickHeight",
+                                        value
+                                      )
+                                    }
+                                  />
+                                </FormControl>
+                              </Table.Cell>
+
+                              {/* Box Height (derived, read-only) */}
+                              <Table.Cell>
+                                <FormControl size="small">
+                                  <FormControl.Label>
+                                    <ResponsiveLabel
+                                      full="Box"
+                                      short="Box"
+                                    />{" "}
+                                    <ResponsiveLabel
+                                      full="height"
+                                      short="H"
+                                    />
+                                  </FormControl.Label>
+                                  <TextField
+                                    suffix={unitSystem.suffix}
+                                    size="small"
+                                    value={
+                                      boxHeightEff != null
+                                        ? formatLength(
+                                            boxHeightEff,
+                                            unitSettings
+                                          )
+                                        : ""
+                                    }
+                                    disabled
+                                  />
+                                </FormControl>
+                              </Table.Cell>
+
+                              {/* Box Width */}
+                              <Table.Cell>
+                                <FormControl
+                                  size="small"
+                                  hasError={flagged("boxWidth")}
+                                >
+                                  <FormControl.Label>
+                                    <ResponsiveLabel
+                                      full="Box"
+                                      short="Box"
+                                    />{" "}
+                                    <ResponsiveLabel
+                                      full="width"
+                                      short="W"
+                                    />
+                                  </FormControl.Label>
+                                  <TextField
+                                    suffix={unitSystem.suffix}
+                                    size="small"
+                                    value={row.boxWidth}
+                                    onChange={({ value }) =>
+                                      handleChange(
+                                        row.id,
+                                        "boxWidth",
+                                        value
+                                      )
+                                    }
+                                  />
+                                </FormControl>
+                              </Table.Cell>
+
+                              {/* Box Depth */}
+                              <Table.Cell>
+                                <FormControl
+                                  size="small"
+                                  hasError={flagged("boxDepth")}
+                                >
+                                  <FormControl.Label>
+                                    <ResponsiveLabel
+                                      full="Box depth"
+                                      short="Depth"
+                                    />
+                                  </FormControl.Label>
+                                  <TextField
+                                    suffix={unitSystem.suffix}
+                                    size="small"
+                                    value={row.boxDepth}
+                                    onChange={({ value }) =>
+                                      handleChange(
+                                        row.id,
+                                        "boxDepth",
+                                        value
+                                      )
+                                    }
+                                  />
+                                </FormControl>
+                              </Table.Cell>
+
+                              {/* Brace Height */}
+                              <Table.Cell>
+                                <FormControl
+                                  size="small"
+                                  hasError={flagged("braceHeight")}
+                                >
+                                  <FormControl.Label>
+                                    <ResponsiveLabel
+                                      full="Brace"
+                                      short="Brace"
+                                    />{" "}
+                                    <ResponsiveLabel
+                                      full="height"
+                                      short="H"
+                                    />
+                                  </FormControl.Label>
+                                  <TextField
+                                    suffix={unitSystem.suffix}
+                                    size="small"
+                                    value={row.braceHeight}
+                                    onChange={({ value }) =>
+                                      handleChange(
+                                        row.id,
+                                        "braceHeight",
+                                        value
+                                      )
+                                    }
+                                  />
+                                </FormControl>
+                              </Table.Cell>
+
+                              {/* Type-specific options */}
+                              <Table.Cell>
+                                <View gap={1}>
+                                  {cabinetType.fields.includes(
+                                    "shelfCount"
+                                  ) && (
+                                    <FormControl
+                                      size="small"
+                                      hasError={flagged("shelfCount")}
+                                    >
+                                      <FormControl.Label>
+                                        Shelves
+                                      </FormControl.Label>
+                                      <TextField
+                                        type="number"
+                                        size="small"
+                                        value={row.shelfCount}
+                                        onChange={({ value }) =>
+                                          handleChange(
+                                            row.id,
+                                            "shelfCount",
+                                            value
+                                          )
+                                        }
+                                      />
+                                    </FormControl>
+                                  )}
+                                  {cabinetType.fields.includes(
+                                    "topConstruction"
+                                  ) && (
+                                    <FormControl size="small">
+                                      <FormControl.Label>
+                                        Top
+                                      </FormControl.Label>
+                                      <Select
+                                        name={`topConstruction-${row.id}`}
+                                        size="small"
+                                        value={row.topConstruction}
+                                        onChange={({ value }) =>
+                                          handleChange(
+                                            row.id,
+                                            "topConstruction",
+                                            value
+                                          )
+                                        }
+                                      >
+                                        {TOP_CONSTRUCTIONS.map((top) => (
+                                          <option
+                                            key={top.id}
+                                            value={top.id}
+                                          >
+                                            {top.label}
+                                          </option>
+                                        ))}
+                                      </Select>
+                                    </FormControl>
+                                  )}
+                                  {cabinetType.fields.includes(
+                                    "doorCount"
+                                  ) && (
+                                    <FormControl
+                                      size="small"
+                                      hasError={flagged("doorCount")}
+                                    >
+                                      <FormControl.Label>
+                                        Doors
+                                      </FormControl.Label>
+                                      <Select
+                                        name={`doorCount-${row.id}`}
+                                        size="small"
+                                        value={row.doorCount || "0"}
+                                        onChange={({ value }) =>
+                                          handleChange(
+                                            row.id,
+                                            "doorCount",
+                                            value
+                                          )
+                                        }
+                                      >
+                                        {DOOR_COUNTS.map((count) => (
+                                          <option key={count} value={count}>
+                                            {count}
+                                          </option>
+                                        ))}
+                                      </Select>
+                                    </FormControl>
+                                  )}
+                                  {cabinetType.fields.includes(
+                                    "drawerHeights"
+                                  ) && (
+                                    <FormControl
+                                      size="small"
+                                      hasError={flagged("drawerHeights")}
+                                    >
+                                      <FormControl.Label>
+                                        Drawers
+                                      </FormControl.Label>
+                                      <TextField
+                                        size="small"
+                                        placeholder="e.g. 6, 8, 8"
+                                        value={row.drawerHeights || ""}
+                                        onChange={({ value }) =>
+                                          handleChange(
+                                            row.id,
+                                            "drawerHeights",
+                                            value
+                                          )
+                                        }
+                                      />
+                                    </FormControl>
+                                  )}
+                                  {cabinetType.fields.includes(
+                                    "slideProfile"
+                                  ) && (
+                                    <FormControl size="small">
+                                      <FormControl.Label>
+                                        Drawer slides
+                                      </FormControl.Label>
+                                      <Select
+                                        name={`slideProfile-${row.id}`}
+                                        size="small"
+                                        value={row.slideProfile || ""}
+                                        onChange={({ value }) =>
+                                          handleChange(
+                                            row.id,
+                                            "slideProfile",
+                                            value
+                                          )
+                                        }
+                                      >
+                                        <option value="">No boxes</option>
+                                        {SLIDE_PROFILES.map((profile) => (
+                                          <option
+                                            key={profile.id}
+                                            value={profile.id}
+                                          >
+                                            {profile.label}
+                                          </option>
+                                        ))}
+                                      </Select>
+                                    </FormControl>
+                                  )}
+                                  <FormControl size="small">
+                                    <FormControl.Label>
+                                      Material
+                                    </FormControl.Label>
+                                    <Select
+                                      name={`material-${row.id}`}
+                                      size="small"
+                                      value={row.materialId || ""}
+                                      onChange={({ value }) =>
+                                        handleChange(
+                                          row.id,
+                                          "materialId",
+                                          value
+                                        )
+                                      }
+                                    >
+                                      <option value="">Job default</option>
+                                      {materialSettings.materials.map(
+                                        (material) => (
+                                          <option
+                                            key={material.id}
+                                            value={material.id}
+                                          >
+                                            {material.name}
+                                          </option>
+                                        )
+                                      )}
+                                    </Select>
+                                  </FormControl>
+                                </View>
+                              </Table.Cell>
+
+                              {/* Quantity */}
+                              <Table.Cell>
+                                <FormControl
+                                  size="small"
+                                  hasError={flagged("quantity")}
+                                >
+                                  <FormControl.Label>
+                                    <ResponsiveLabel
+                                      full="Quantity"
+                                      short="Qty"
+                                    />
+                                  </FormControl.Label>
+                                  <TextField
+                                    type="number"
+                                    size="small"
+                                    value={row.quantity}
+                                    onChange={({ value }) =>
+                                      handleChange(
+                                        row.id,
+                                        "quantity",
+                                        value
+                                      )
+                                    }
+                                  />
+                                </FormControl>
+                              </Table.Cell>
+
+                              {/* Actions */}
+                              <Table.Cell>
+                                <View
+                                  direction="row"
+                                  gap={1}
+                                  justify="flex-end"
+                                >
+                                  <Button
+                                    variant="ghost"
+                                    color="neutral"
+                                    size="small"
+                                    onClick={() =>
+                                      handleMoveRow(row.id, -1)
+                                    }
+                                    disabled={entry.first}
+                                    attributes={{ "aria-label": "Move up" }}
+                                  >
+                                    ↑
+                                  </Button>
+                                  <Button
+                                    variant="ghost"
+                                    color="neutral"
+                                    size="small"
+                                    onClick={() =>
+                                      handleMoveRow(row.id, 1)
+                                    }
+                                    disabled={entry.last}
+                                    attributes={{
+                                      "aria-label": "Move down",
+                                    }}
+                                  >
+                                    ↓
+                                  </Button>
+                                  <Button
+                                    variant="ghost"
+                                    color="neutral"
+                                    size="small"
+                                    onClick={() =>
+                                      handleDuplicateRow(row)
+                                    }
+                                  >
+                                    Copy
+                                  </Button>
+                                  <Button
+                                    variant="ghost"
+                                    color="neutral"
+                                    size="small"
+                                    onClick={() =>
+                                      handleRemoveRow(row.id)
+                                    }
+                                    disabled={rows.length === 1}
+                                  >
+                                    Remove
+                                  </Button>
+                                </View>
+                              </Table.Cell>
+                            </Table.Row>
+                          );
+                        })}
+                      </Table>
+                    </View>
+                  </View>
+                </View.Item>
+
+                {/* Right: panel totals */}
+                <View width={{ s: "100%", m: "38%" }} gap={3}>
+                  <JobWarnings rows={rowPanels} />
+
+                  <CarcassPreview
+                    entries={rowPanels}
+                    rowId={previewRowId}
+                    onRowChange={setPreviewRowId}
+                    options={calcOptions}
+                    highlightKey={highlightKey}
+                    onHighlight={setHighlightKey}
+                    units={unitSettings}
+                  />
+
                   <View
                     direction="row"
                     justify="space-between"
                     align="center"
-                    wrap
                     gap={2}
                   >
                     <View gap={0.5}>
@@ -351,493 +2218,425 @@ const App = () => {
                         variant="featured-4"
                         weight="medium"
                       >
-                        Cabinet specs
+                        Panel totals
                       </Text>
                       <Text
                         variant="caption-1"
                         color="neutral-faded"
                       >
-                        Each row is a cabinet style. Quantities are
-                        multiplied into the final cut-list.
+                        Grouped by panel type and size. Uses cabinet
+                        labels so you can see where each panel comes
+                        from.
                       </Text>
                     </View>
+
                     <Button
-                      onClick={handleAddRow}
-                      variant="solid"
+                      variant="outline"
                       color="primary"
-                      size="medium"
+                      size="small"
+                      onClick={
+                        totalsView === "cabinets"
+                          ? handleExportBreakdownCSV
+                          : totalsView === "hardware"
+                            ? handleExportHardwareCSV
+                            : totalsView === "production"
+                              ? handleExportProductionCSV
+                              : handleExportCSV
+                      }
+                      disabled={
+                        totalsView === "hardware"
+                          ? hardwareSummary.length === 0
+                          : panelSummary.length === 0
+                      }
                     >
-                      Add cabinet
+                      Download CSV
                     </Button>
                   </View>
 
-                  <View
-                    borderColor="neutral-faded"
-                    borderRadius="large"
-                    borderWidth={1}
-                    overflow="hidden"
+                  <Tabs
+                    value={totalsView}
+                    onChange={({ value }) => setTotalsView(value)}
+                    variant="pills-elevated"
+                    itemWidth="equal"
                   >
-                    <Table border columnBorder>
-                      <Table.Row highlighted>
-                        <Table.Heading>#</Table.Heading>
-                        <Table.Heading>
-                          <ResponsiveLabel
-                            full="Cabinet label"
-                            short="Label"
-                          />
-                        </Table.Heading>
-                        <Table.Heading>
-                          <ResponsiveLabel
-                            full="Cabinet height"
-                            short="Cab H"
-                          />
-                        </Table.Heading>
-                        <Table.Heading>
-                          <ResponsiveLabel
-                            full="Kick height"
-                            short="Kick H"
-                          />
-                        </Table.Heading>
-                        <Table.Heading>
-                          <ResponsiveLabel
-                            full="Box height"
-                            short="Box H"
-                          />
-                        </Table.Heading>
-                        <Table.Heading>
-                          <ResponsiveLabel
-                            full="Box width"
-                            short="Box W"
-                          />
-                        </Table.Heading>
-                        <Table.Heading>
-                          <ResponsiveLabel
-                            full="Box depth"
-                            short="Depth"
-                          />
-                        </Table.Heading>
-                        <Table.Heading>
-                          <ResponsiveLabel
-                            full="Brace height"
-                            short="Brace H"
-                          />
-                        </Table.Heading>
-                        <Table.Heading>
-                          <ResponsiveLabel
-                            full="Quantity"
-                            short="Qty"
-                          />
-                        </Table.Heading>
-                        <Table.Heading />
-                      </Table.Row>
-
-                      {rows.map((row, index) => {
-                        const boxHeightEff =
-                          getEffectiveBoxHeight(row);
-
-                        return (
-                          <Table.Row key={row.id}>
-                            {/* Index */}
-                            <Table.Cell>
-                              <Text variant="body-3">
-                                {index + 1}
-                              </Text>
-                            </Table.Cell>
-
-                            {/* Cabinet label */}
-                            <Table.Cell>
-                              <FormControl size="small">
-                                <FormControl.Label>
-                                  Label
-                                </FormControl.Label>
-                                <TextField
-                                  size="small"
-                                  value={row.label}
-                                  onChange={({ value }) =>
-                                    handleChange(
-                                      row.id,
-                                      "label",
-                                      value
-                                    )
-                                  }
-                                />
-                              </FormControl>
-                            </Table.Cell>
-
-                            {/* Cabinet Height */}
-                            <Table.Cell>
-                              <FormControl size="small">
-                                <FormControl.Label>
-                                  <ResponsiveLabel
-                                    full="Cabinet"
-                                    short="Cab"
-                                  />{" "}
-                                  <ResponsiveLabel
-                                    full="height"
-                                    short="H"
-                                  />
-                                </FormControl.Label>
-                                <TextField
-                                  type="number"
-                                  suffix="in"
-                                  size="small"
-                                  value={row.cabinetHeight}
-                                  onChange={({ value }) =>
-                                    handleChange(
-                                      row.id,
-                                      "cabinetHeight",
-                                      value
-                                    )
-                                  }
-                                />
-                              </FormControl>
-                            </Table.Cell>
-
-                            {/* Kick Height */}
-                            <Table.Cell>
-                              <FormControl size="small">
-                                <FormControl.Label>
-                                  <ResponsiveLabel
-                                    full="Kick"
-                                    short="Kick"
-                                  />{" "}
-                                  <ResponsiveLabel
-                                    full="height"
-                                    short="H"
-                                  />
-                                </FormControl.Label>
-                                <TextField
-                                  type="number"
-                                  suffix="in"
-                                  size="small"
-                                  value={row.kickHeight}
-                                  onChange={({ value }) =>
-                                    handleChange(
-                                      row.id,
-                                      "kickHeight",
-                                      value
-                                    )
-                                  }
-                                />
-                              </FormControl>
-                            </Table.Cell>
-
-                            {/* Box Height (derived, read-only) */}
-                            <Table.Cell>
-                              <FormControl size="small">
-                                <FormControl.Label>
-                                  <ResponsiveLabel
-                                    full="Box"
-                                    short="Box"
-                                  />{" "}
-                                  <ResponsiveLabel
-                                    full="height"
-                                    short="H"
-                                  />
-                                </FormControl.Label>
-                                <TextField
-                                  type="number"
-                                  suffix="in"
-                                  size="small"
-                                  value={
-                                    boxHeightEff != null
-                                      ? String(boxHeightEff)
-                                      : ""
-                                  }
-                                  disabled
-                                />
-                              </FormControl>
-                            </Table.Cell>
-
-                            {/* Box Width */}
-                            <Table.Cell>
-                              <FormControl size="small">
-                                <FormControl.Label>
-                                  <ResponsiveLabel
-                                    full="Box"
-                                    short="Box"
-                                  />{" "}
-                                  <ResponsiveLabel
-                                    full="width"
-                                    short="W"
-                                  />
-                                </FormControl.Label>
-                                <TextField
-                                  type="number"
-                                  suffix="in"
-                                  size="small"
-                                  value={row.boxWidth}
-                                  onChange={({ value }) =>
-                                    handleChange(
-                                      row.id,
-                                      "boxWidth",
-                                      value
-                                    )
-                                  }
-                                />
-                              </FormControl>
-                            </Table.Cell>
-
-                            {/* Box Depth */}
-                            <Table.Cell>
-                              <FormControl size="small">
-                                <FormControl.Label>
-                                  <ResponsiveLabel
-                                    full="Box depth"
-                                    short="Depth"
-                                  />
-                                </FormControl.Label>
-                                <TextField
-                                  type="number"
-                                  suffix="in"
-                                  size="small"
-                                  value={row.boxDepth}
-                                  onChange={({ value }) =>
-                                    handleChange(
-                                      row.id,
-                                      "boxDepth",
-                                      value
-                                    )
-                                  }
-                                />
-                              </FormControl>
-                            </Table.Cell>
-
-                            {/* Brace Height */}
-                            <Table.Cell>
-                              <FormControl size="small">
-                                <FormControl.Label>
-                                  <ResponsiveLabel
-                                    full="Brace"
-                                    short="Brace"
-                                  />{" "}
-                                  <ResponsiveLabel
-                                    full="height"
-                                    short="H"
-                                  />
-                                </FormControl.Label>
-                                <TextField
-                                  type="number"
-                                  suffix="in"
-                                  size="small"
-                                  value={row.braceHeight}
-                                  onChange={({ value }) =>
-                                    handleChange(
-                                      row.id,
-                                      "braceHeight",
-                                      value
-                                    )
-                                  }
-                                />
-                              </FormControl>
-                            </Table.Cell>
-
-                            {/* Quantity */}
-                            <Table.Cell>
-                              <FormControl size="small">
-                                <FormControl.Label>
-                                  <ResponsiveLabel
-                                    full="Quantity"
-                                    short="Qty"
-                                  />
-                                </FormControl.Label>
-                                <TextField
-                                  type="number"
-                                  size="small"
-                                  value={row.quantity}
-                                  onChange={({ value }) =>
-                                    handleChange(
-                                      row.id,
-                                      "quantity",
-                                      value
-                                    )
-                                  }
-                                />
-                              </FormControl>
-                            </Table.Cell>
-
-                            {/* Actions */}
-                            <Table.Cell>
-                              <View
-                                direction="row"
-                                gap={1}
-                                justify="flex-end"
-                              >
-                                <Button
-                                  variant="ghost"
-                                  color="neutral"
-                                  size="small"
-                                  onClick={() =>
-                                    handleDuplicateRow(row)
-                                  }
-                                >
-                                  Copy
-                                </Button>
-                                <Button
-                                  variant="ghost"
-                                  color="neutral"
-                                  size="small"
-                                  onClick={() =>
-                                    handleRemoveRow(row.id)
-                                  }
-                                  disabled={rows.length === 1}
-                                >
-                                  Remove
-                                </Button>
-                              </View>
-                            </Table.Cell>
-                          </Table.Row>
-                        );
-                      })}
-                    </Table>
-                  </View>
-                </View>
-              </View.Item>
+                    <Tabs.List>
+                      <Tabs.Item value="cutlist">Cut-list</Tabs.Item>
+                      <Tabs.Item value="cabinets">By cabinet</Tabs.Item>
+                      <Tabs.Item value="hardware">Hardware</Tabs.Item>
+                      <Tabs.Item value="production">Production</Tabs.Item>
+                    </Tabs.List>
+                  </Tabs>
 
-              {/* Right: panel totals */}
-              <View width={{ s: "100%", m: "38%" }} gap={3}>
-                <View
-                  direction="row"
-                  justify="space-between"
-                  align="center"
-                  gap={2}
-                >
-                  <View gap={0.5}>
-                    <Text
-                      variant="featured-4"
-                      weight="medium"
+                  <View direction="row" gap={2} align="end" wrap>
+                    <View.Item grow>
+                      <FormControl size="small">
+                        <FormControl.Label>Label sheets</FormControl.Label>
+                        <Select
+                          name="labelLayout"
+                          size="small"
+                          value={labelLayout}
+                          onChange={({ value }) => setLabelLayout(value)}
+                        >
+                          {LABEL_LAYOUTS.map((layout) => (
+                            <option key={layout.id} value={layout.id}>
+                              {layout.label}
+                            </option>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    </View.Item>
+                    <Button
+                      variant="outline"
+                      color="neutral"
+                      size="small"
+                      onClick={() => handlePrint("labels")}
+                      disabled={panelSummary.length === 0}
                     >
-                      Panel totals
-                    </Text>
-                    <Text
-                      variant="caption-1"
-                      color="neutral-faded"
+                      Print labels
+                    </Button>
+                    <Button
+                      variant="outline"
+                      color="neutral"
+                      size="small"
+                      onClick={() => handlePrint("cutsheet")}
+                      disabled={panelSummary.length === 0}
                     >
-                      Grouped by panel type and size. Uses cabinet
-                      labels so you can see where each panel comes
-                      from.
-                    </Text>
+                      Print cut-sheet
+                    </Button>
+                    <Button
+                      variant="outline"
+                      color="neutral"
+                      size="small"
+                      onClick={() => setIsExportOpen(true)}
+                      disabled={panelSummary.length === 0}
+                    >
+                      CNC export
+                    </Button>
                   </View>
 
-                  <Button
-                    variant="outline"
-                    color="primary"
-                    size="small"
-                    onClick={handleExportCSV}
-                    disabled={panelSummary.length === 0}
-                  >
-                    Download CSV
-                  </Button>
-                </View>
-
-                <Card
-                  padding={3}
-                  backgroundColor="neutral-faded"
-                >
-                  {panelSummary.length === 0 ? (
-                    <View gap={2}>
-                      <Text
-                        variant="body-2"
-                        color="neutral-faded"
-                      >
-                        Start by adding at least one cabinet style
-                        with dimensions and quantity. Panel totals
-                        will appear here.
-                      </Text>
-                    </View>
-                  ) : (
-                    <View gap={3}>
-                      <View
-                        direction="row"
-                        justify="space-between"
-                        align="center"
+                  {walls.length > 0 && (
+                    <FormControl size="small">
+                      <FormControl.Label>Show totals for</FormControl.Label>
+                      <Select
+                        name="totalsWall"
+                        size="small"
+                        value={totalsWallId}
+                        onChange={({ value }) => setTotalsWallId(value)}
                       >
-                        <View gap={0.5}>
-                          <Text
-                            variant="caption-1"
-                            color="neutral-faded"
-                          >
-                            Total panels
-                          </Text>
-                          <Text
-                            variant="featured-4"
-                            weight="bold"
-                          >
-                            {totalPanels}
-                          </Text>
-                        </View>
-                        <View gap={0.5} align="end">
-                          <Text
-                            variant="caption-1"
-                            color="neutral-faded"
-                          >
-                            Panel types
-                          </Text>
-                          <Text
-                            variant="featured-4"
-                            weight="bold"
-                          >
-                            {panelSummary.length}
-                          </Text>
-                        </View>
+                        <option value={ALL_WALLS}>Whole job</option>
+                        {walls.map((wall) => (
+                          <option key={wall.id} value={wall.id}>
+                            {wall.name || "Unnamed wall"}
+                          </option>
+                        ))}
+                        <option value="">Not on a wall</option>
+                      </Select>
+                    </FormControl>
+                  )}
+
+                  <Card
+                    padding={3}
+                    backgroundColor="neutral-faded"
+                  >
+                    {totalsPanels.length === 0 ? (
+                      <View gap={2}>
+                        <Text
+                          variant="body-2"
+                          color="neutral-faded"
+                        >
+                          Start by adding at least one cabinet style
+                          with dimensions and quantity. Panel totals
+                          will appear here.
+                        </Text>
                       </View>
+                    ) : totalsView === "cabinets" ? (
+                      <CabinetBreakdown
+                        entries={totalsBreakdown}
+                        materials={materialSettings}
+                        units={unitSettings}
+                      />
+                    ) : totalsView === "hardware" ? (
+                      hardwareInvalid ? (
+                        <Text variant="body-2" color="critical">
+                          A hardware rule can&apos;t be read; check the
+                          hardware rules below.
+                        </Text>
+                      ) : (
+                        <HardwareList items={totalsHardware} />
+                      )
+                    ) : totalsView === "production" ? (
+                      <ProductionView
+                        entries={totalsBreakdown}
+                        summary={productionSummary}
+                        progress={production}
+                        onChange={handleProductionChange}
+                        onReset={handleResetProduction}
+                        materials={materialSettings}
+                        units={unitSettings}
+                      />
+                    ) : (
+                      <View gap={3}>
+                        <View
+                          direction="row"
+                          justify="space-between"
+                          align="center"
+                        >
+                          <View gap={0.5}>
+                            <Text
+                              variant="caption-1"
+                              color="neutral-faded"
+                            >
+                              Total panels
+                            </Text>
+                            <Text
+                              variant="featured-4"
+                              weight="bold"
+                            >
+                              {totalPanels}
+                            </Text>
+                          </View>
+                          <View gap={0.5} align="end">
+                            <Text
+                              variant="caption-1"
+                              color="neutral-faded"
+                            >
+                              Materials
+                            </Text>
+                            <Text
+                              variant="featured-4"
+                              weight="bold"
+                            >
+                              {totalsGroups.length}
+                            </Text>
+                          </View>
+                        </View>
 
-                      <View
-                        borderRadius="medium"
-                        borderColor="neutral-faded"
-                        borderWidth={1}
-                        overflow="hidden"
-                      >
-                        <Table border columnBorder>
-                          <Table.Row highlighted>
-                            <Table.Heading>Type</Table.Heading>
-                            <Table.Heading>Width</Table.Heading>
-                            <Table.Heading>Height</Table.Heading>
-                            <Table.Heading>Count</Table.Heading>
-                            <Table.Heading>Cabinets</Table.Heading>
-                          </Table.Row>
-                          {panelSummary.map((p, idx) => (
-                            <Table.Row
-                              key={`${p.panelType}-${idx}-${p.width}-${p.height}`}
+                        {totalsGroups.map(({ material, items }) => (
+                          <View key={material.id} gap={1.5}>
+                            <View
+                              direction="row"
+                              justify="space-between"
+                              align="center"
+                              gap={2}
                             >
-                              <Table.Cell>
-                                <Text variant="body-3">
-                                  {p.panelType}
-                                </Text>
-                              </Table.Cell>
-                              <Table.Cell>
-                                <Text variant="body-3">
-                                  {p.width}
-                                </Text>
-                              </Table.Cell>
-                              <Table.Cell>
-                                <Text variant="body-3">
-                                  {p.height}
-                                </Text>
-                              </Table.Cell>
-                              <Table.Cell>
-                                <Text variant="body-3">
-                                  {p.count}
-                                </Text>
-                              </Table.Cell>
-                              <Table.Cell>
-                                <Text variant="body-3">
-                                  {p.cabinets || "—"}
+                              <Text variant="body-2" weight="medium">
+                                {describeMaterial(material, unitSettings)}
+                              </Text>
+                              <Text
+                                variant="caption-1"
+                                color="neutral-faded"
+                              >
+                                {items.reduce((sum, p) => sum + p.count, 0)}{" "}
+                                pcs
+                              </Text>
+                            </View>
+                            <View
+                              borderRadius="medium"
+                              borderColor="neutral-faded"
+                              borderWidth={1}
+                              overflow="hidden"
+                            >
+                              <Table border columnBorder>
+                                <Table.Row highlighted>
+                                  <Table.Heading>#</Table.Heading>
+                                  <Table.Heading>Type</Table.Heading>
+                                  <Table.Heading>Width</Table.Heading>
+                                  <Table.Heading>Height</Table.Heading>
+                                  <Table.Heading>Count</Table.Heading>
+                                  <Table.Heading>Grain</Table.Heading>
+                                  <Table.Heading>Edges</Table.Heading>
+                                  <Table.Heading>Cabinets</Table.Heading>
+                                </Table.Row>
+                                {items.map((p, idx) => (
+                                  <Table.Row
+                                    key={`${p.panelType}-${idx}-${p.width}-${p.height}`}
+                                    highlighted={p.key === highlightKey}
+                                    attributes={{
+                                      onMouseEnter: () =>
+                                        setHighlightKey(p.key),
+                                      onMouseLeave: () =>
+                                        setHighlightKey(null),
+                                    }}
+                                  >
+                                    <Table.Cell>
+                                      <Text variant="body-3" weight="medium">
+                                        {pieceNumbers.get(p.key)}
+                                      </Text>
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                      <Text variant="body-3">
+                                        {p.panelType}
+                                      </Text>
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                      <Text variant="body-3">
+                                        {formatLength(p.width, unitSettings)}
+                                      </Text>
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                      <Text variant="body-3">
+                                        {formatLength(p.height, unitSettings)}
+                                      </Text>
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                      <Text variant="body-3">
+                                        {p.count}
+                                      </Text>
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                      <Text
+                                        variant="body-3"
+                                        attributes={{
+                                          title: getGrainDirection(p.grain)
+                                            .label,
+                                        }}
+                                      >
+                                        {getGrainDirection(p.grain).symbol}
+                                      </Text>
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                      <Text variant="body-3">
+                                        {p.bandingCode || "—"}
+                                      </Text>
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                      <Text variant="body-3">
+                                        {p.cabinets || "—"}
+                                      </Text>
+                                    </Table.Cell>
+                                  </Table.Row>
+                                ))}
+                              </Table>
+                            </View>
+                          </View>
+                        ))}
+
+                        {totalsBanding.length > 0 && (
+                          <View gap={1}>
+                            <Text variant="body-2" weight="medium">
+                              Edge banding
+                            </Text>
+                            {totalsBanding.map(({ banding, feet }) => (
+                              <View
+                                key={banding.id}
+                                direction="row"
+                                justify="space-between"
+                                gap={2}
+                              >
+                                <Text variant="body-3">{banding.name}</Text>
+                                <Text variant="body-3" weight="medium">
+                                  {feet.toFixed(1)} ft
                                 </Text>
-                              </Table.Cell>
-                            </Table.Row>
-                          ))}
-                        </Table>
+                              </View>
+                            ))}
+                            <Text
+                              variant="caption-1"
+                              color="neutral-faded"
+                            >
+                              Includes {bandingSettings.overagePercent || 0}%
+                              overage.
+                            </Text>
+                          </View>
+                        )}
                       </View>
-                    </View>
-                  )}
-                </Card>
+                    )}
+                  </Card>
+
+                  <SheetLayouts
+                    layouts={materialLayouts}
+                    sheetSize={nestingInput.sheetSize}
+                    updating={nestingPending}
+                    settings={nestingSettings}
+                    onSettingsChange={setNestingSettings}
+                    units={unitSettings}
+                  />
+                </View>
               </View>
+
+              <Divider />
+
+              <WallElevations
+                walls={walls}
+                onChange={handleWallsChange}
+                onRemoveWall={handleRemoveWall}
+                rows={rows}
+                units={unitSettings}
+              />
+
+              <Divider />
+
+              <FormulaEditor
+                styles={constructionStyles}
+                activeStyleId={constructionStyle.id}
+                onStylesChange={setConstructionStyles}
+                onActiveStyleChange={setConstructionStyleId}
+                rows={rows}
+                computePanels={computePreviewPanels}
+                units={unitSettings}
+              />
+
+              <Divider />
+
+              <OpeningsEditor
+                settings={openingSettings}
+                onChange={setOpeningSettings}
+                drawerBoxSettings={drawerBoxSettings}
+                onDrawerBoxSettingsChange={setDrawerBoxSettings}
+                units={unitSettings}
+              />
+
+              <Divider />
+
+              <HardwareEditor
+                settings={hardwareSettings}
+                onChange={setHardwareSettings}
+                units={unitSettings}
+              />
+
+              <Divider />
+
+              <MaterialsEditor
+                settings={materialSettings}
+                onChange={setMaterialSettings}
+                panelTypes={materialPanelTypes}
+                units={unitSettings}
+              />
+
+              <Divider />
+
+              <BandingEditor
+                settings={bandingSettings}
+                onChange={setBandingSettings}
+                panelTypes={materialPanelTypes}
+              />
+
+              <Divider />
+
+              <CostingPanel
+                settings={costSettings}
+                onChange={setCostSettings}
+                quote={quote}
+                units={unitSettings}
+                onPrintQuote={() => handlePrint("quote")}
+              />
             </View>
-          </View>
-        </Card>
-      </Container>
-    </View>
+          </Card>
+        </Container>
+      </View>
+
+      <PrintView
+        mode={printMode}
+        job={jobDetails}
+        panels={panelSummary}
+        rowPanels={rowPanels}
+        materials={materialSettings}
+        banding={bandingSettings}
+        quote={quote}
+        currency={costSettings.currency}
+        units={unitSettings}
+        labelLayout={labelLayout}
+      />
+    </>
   );
 };
 
@@ -0,0 +1,198 @@
+import React from "react";
+import {
+  View,
+  Text,
+  Button,
+  Table,
+  TextField,
+  FormControl,
+  Select,
+  Checkbox,
+  Accordion,
+} from "reshaped";
+import { PANEL_EDGES, createBandingId } from "../lib/edgeBanding.js";
+
+/**
+ * Editor for edge banding: the banding materials on hand, the overage
+ * ordered on top, and which edges of each panel role get banded.
+ * W edges run along the panel width, H edges along its height.
+ */
+const BandingEditor = ({ settings, onChange, panelTypes }) => {
+  const { bandings, roleEdges } = settings;
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const updateBanding = (id, name) => {
+    update({
+      bandings: bandings.map((b) => (b.id === id ? { ...b, name } : b)),
+    });
+  };
+
+  const handleAddBanding = () => {
+    update({
+      bandings: [...bandings, { id: createBandingId(), name: "New banding" }],
+    });
+  };
+
+  const handleRemoveBanding = (id) => {
+    const remaining = bandings.filter((b) => b.id !== id);
+    const fallback = (remaining[0] && remaining[0].id) || "";
+    // Roles banded with the removed banding move to the first one left
+    const nextRoles = Object.fromEntries(
+      Object.entries(roleEdges).map(([role, spec]) => [
+        role,
+        spec.bandingId === id ? { ...spec, bandingId: fallback } : spec,
+      ])
+    );
+    update({ bandings: remaining, roleEdges: nextRoles });
+  };
+
+  const getSpec = (panelType) =>
+    roleEdges[panelType] || {
+      bandingId: (bandings[0] && bandings[0].id) || "",
+      edges: [],
+    };
+
+  const updateRole = (panelType, patch) => {
+    update({
+      roleEdges: {
+        ...roleEdges,
+        [panelType]: { ...getSpec(panelType), ...patch },
+      },
+    });
+  };
+
+  const toggleEdge = (panelType, edgeId, checked) => {
+    const edges = getSpec(panelType).edges.filter((id) => id !== edgeId);
+    updateRole(panelType, { edges: checked ? [...edges, edgeId] : edges });
+  };
+
+  const bandedRoles = panelTypes.filter(
+    (panelType) => getSpec(panelType).edges.length > 0
+  ).length;
+
+  return (
+    <Accordion>
+      <Accordion.Trigger>
+        <View gap={0.5}>
+          <Text variant="featured-4" weight="medium">
+            Edge banding
+          </Text>
+          <Text variant="caption-1" color="neutral-faded">
+            {bandedRoles} banded panel role{bandedRoles === 1 ? "" : "s"}
+          </Text>
+        </View>
+      </Accordion.Trigger>
+      <Accordion.Content>
+        <View gap={4} paddingTop={3}>
+          <View
+            borderColor="neutral-faded"
+            borderRadius="large"
+            borderWidth={1}
+            overflow="hidden"
+          >
+            <Table border columnBorder>
+              <Table.Row highlighted>
+                <Table.Heading>Panel role</Table.Heading>
+                <Table.Heading>Banded edges</Table.Heading>
+                <Table.Heading>Banding</Table.Heading>
+              </Table.Row>
+              {panelTypes.map((panelType) => {
+                const spec = getSpec(panelType);
+                return (
+                  <Table.Row key={panelType}>
+                    <Table.Cell>
+                      <Text variant="body-3">{panelType}</Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <View direction="row" gap={3} wrap>
+                        {PANEL_EDGES.map((edge) => (
+                          <Checkbox
+                            key={edge.id}
+                            name={`edge-${panelType}-${edge.id}`}
+                            checked={spec.edges.includes(edge.id)}
+                            onChange={({ checked }) =>
+                              toggleEdge(panelType, edge.id, checked)
+                            }
+                          >
+                            {edge.label}
+                          </Checkbox>
+                        ))}
+                      </View>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Select
+                        name={`banding-${panelType}`}
+                        size="small"
+                        value={spec.bandingId}
+                        onChange={({ value }) =>
+                          updateRole(panelType, { bandingId: value })
+                        }
+                      >
+                        {bandings.map((b) => (
+                          <option key={b.id} value={b.id}>
+                            {b.name}
+                          </option>
+                        ))}
+                      </Select>
+                    </Table.Cell>
+                  </Table.Row>
+                );
+              })}
+            </Table>
+          </View>
+
+          <View gap={2}>
+            <Text variant="body-2" weight="medium">
+              Banding materials
+            </Text>
+            {bandings.map((banding) => (
+              <View key={banding.id} direction="row" gap={2} align="center">
+                <View.Item grow>
+                  <TextField
+                    size="small"
+                    value={banding.name}
+                    onChange={({ value }) => updateBanding(banding.id, value)}
+                  />
+                </View.Item>
+                <Button
+                  variant="ghost"
+                  color="neutral"
+                  size="small"
+                  disabled={bandings.length <= 1}
+                  onClick={() => handleRemoveBanding(banding.id)}
+                >
+                  Remove
+                </Button>
+              </View>
+            ))}
+          </View>
+
+          <View direction="row" justify="space-between" align="end" gap={2}>
+            <View.Item columns={{ s: 6, m: 3 }}>
+              <FormControl size="small">
+                <FormControl.Label>Overage</FormControl.Label>
+                <TextField
+                  size="small"
+                  suffix="%"
+                  value={settings.overagePercent}
+                  onChange={({ value }) => update({ overagePercent: value })}
+                />
+              </FormControl>
+            </View.Item>
+            <Button
+              variant="outline"
+              color="primary"
+              size="small"
+              onClick={handleAddBanding}
+            >
+              Add banding
+            </Button>
+          </View>
+        </View>
+      </Accordion.Content>
+    </Accordion>
+  );
+};
+
+export default BandingEditor;
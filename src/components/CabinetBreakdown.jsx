@@ -0,0 +1,98 @@
+import React from "react";
+import { View, Text, Table } from "reshaped";
+import { describeCabinet } from "../lib/cabinetTypes.js";
+import { getMaterial } from "../lib/materials.js";
+import { formatLength } from "../lib/units.js";
+
+/**
+ * Per-cabinet view of the cut-list: every part of each cabinet row,
+ * with the piece number of its line in the totals so cut parts can be
+ * kitted per cabinet.
+ *
+ * entries: [{ row, quantity, parts }] from buildCabinetBreakdown in
+ * lib/cutList.js.
+ */
+const CabinetBreakdown = ({ entries, materials, units }) => {
+  const size = (n) => formatLength(n, units);
+
+  return (
+    <View gap={3}>
+      {entries.map(({ row, quantity, parts }) => (
+        <View key={row.id} gap={1.5}>
+          <View
+            direction="row"
+            justify="space-between"
+            align="center"
+            gap={2}
+          >
+            <View gap={0.5}>
+              <Text variant="body-2" weight="medium">
+                {(row.label || "").trim() || "Unlabeled"}
+              </Text>
+              <Text variant="caption-1" color="neutral-faded">
+                {describeCabinet(row, units)}
+              </Text>
+            </View>
+            <Text variant="caption-1" color="neutral-faded">
+              x {quantity}
+            </Text>
+          </View>
+          {parts.length === 0 ? (
+            <Text variant="caption-1" color="critical">
+              No parts – check this cabinet&apos;s warnings.
+            </Text>
+          ) : (
+            <View
+              borderRadius="medium"
+              borderColor="neutral-faded"
+              borderWidth={1}
+              overflow="hidden"
+            >
+              <Table border columnBorder>
+                <Table.Row highlighted>
+                  <Table.Heading>#</Table.Heading>
+                  <Table.Heading>Part</Table.Heading>
+                  <Table.Heading>Width</Table.Heading>
+                  <Table.Heading>Height</Table.Heading>
+                  <Table.Heading>Each</Table.Heading>
+                  <Table.Heading>Edges</Table.Heading>
+                </Table.Row>
+                {parts.map((part) => (
+                  <Table.Row key={part.key}>
+                    <Table.Cell>
+                      <Text variant="body-3" weight="medium">
+                        {part.piece}
+                      </Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">{part.panelType}</Text>
+                      <Text variant="caption-1" color="neutral-faded">
+                        {getMaterial(materials, part.materialId).name}
+                      </Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">{size(part.width)}</Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">{size(part.height)}</Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">{part.perCabinet}</Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">
+                        {part.bandingCode || "—"}
+                      </Text>
+                    </Table.Cell>
+                  </Table.Row>
+                ))}
+              </Table>
+            </View>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+export default CabinetBreakdown;
@@ -0,0 +1,367 @@
+import React, { useRef, useState } from "react";
+import {
+  View,
+  Text,
+  Button,
+  Table,
+  TextField,
+  FormControl,
+  Select,
+  Modal,
+  Divider,
+} from "reshaped";
+import { CABINET_TYPES, describeCabinet } from "../lib/cabinetTypes.js";
+import {
+  PRESET_LENGTH_FIELDS,
+  copyPreset,
+  createPresetId,
+  exportCatalog,
+  getPresetErrors,
+  mergePresets,
+  normalizeCode,
+  parseCatalog,
+  searchPresets,
+} from "../lib/catalog.js";
+import { downloadFile } from "../lib/download.js";
+import { getUnitSystem } from "../lib/units.js";
+
+// A shop preset with its inputs, edited in place
+const PresetEditor = ({ preset, duplicate, onChange, onRemove, onInsert }) => {
+  const errors = getPresetErrors(preset);
+  const suffix = getUnitSystem(preset.units && preset.units.system).suffix;
+  const update = (patch) => onChange({ ...preset, ...patch });
+
+  return (
+    <View
+      gap={2}
+      padding={3}
+      borderColor="neutral-faded"
+      borderRadius="medium"
+      borderWidth={1}
+    >
+      <View direction="row" gap={2} align="end" wrap>
+        <FormControl size="small" hasError={!preset.code || duplicate}>
+          <FormControl.Label>Code</FormControl.Label>
+          <TextField
+            size="small"
+            value={preset.code}
+            onChange={({ value }) => update({ code: normalizeCode(value) })}
+            inputAttributes={{ size: 8 }}
+          />
+        </FormControl>
+        <FormControl size="small">
+          <FormControl.Label>Type</FormControl.Label>
+          <Select
+            name={`presetType-${preset.id}`}
+            size="small"
+            value={preset.cabinetType}
+            onChange={({ value }) => update({ cabinetType: value })}
+          >
+            {CABINET_TYPES.map((type) => (
+              <option key={type.id} value={type.id}>
+                {type.label}
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+        {PRESET_LENGTH_FIELDS.map(({ field, label }) => (
+          <FormControl
+            key={field}
+            size="small"
+            hasError={errors.includes(field)}
+          >
+            <FormControl.Label>{label}</FormControl.Label>
+            <TextField
+              size="small"
+              value={preset[field]}
+              suffix={suffix}
+              onChange={({ value }) => update({ [field]: value })}
+              inputAttributes={{ size: 6 }}
+            />
+          </FormControl>
+        ))}
+        <View.Item grow>
+          <View direction="row" justify="end" gap={1}>
+            <Button
+              variant="outline"
+              color="neutral"
+              size="small"
+              disabled={!preset.code || errors.length > 0}
+              onClick={() => onInsert(preset)}
+            >
+              Insert
+            </Button>
+            <Button
+              variant="ghost"
+              color="critical"
+              size="small"
+              onClick={onRemove}
+            >
+              Delete
+            </Button>
+          </View>
+        </View.Item>
+      </View>
+      {duplicate && (
+        <Text variant="caption-1" color="critical">
+          Another shop preset uses {preset.code}; only the first is used.
+        </Text>
+      )}
+    </View>
+  );
+};
+
+/**
+ * Cabinet catalog: search the standard sizes and the shop's own
+ * presets, insert them into the spec table, and keep the shop presets
+ * (add, edit, delete, export and import as JSON). Shop presets live in
+ * the browser across jobs, so the component edits them through
+ * onShopPresetsChange rather than the job.
+ *
+ * catalog: buildCatalog(shopPresets), what codes resolve against.
+ * onInsert(preset) adds a row for the preset.
+ */
+const CabinetCatalog = ({
+  active,
+  onClose,
+  catalog,
+  shopPresets,
+  onShopPresetsChange,
+  onInsert,
+  units,
+}) => {
+  const fileInputRef = useRef(null);
+  const [query, setQuery] = useState("");
+  const [importMessage, setImportMessage] = useState(null);
+
+  const matches = searchPresets(catalog, query);
+  const shopMatches = searchPresets(shopPresets, query);
+  const standardMatches = matches.filter((preset) => preset.standard);
+  // Codes resolve to the first shop preset that has them
+  const isDuplicate = (preset) =>
+    Boolean(preset.code) &&
+    shopPresets.find((p) => p.code === preset.code) !== preset;
+
+  const updatePreset = (id, next) =>
+    onShopPresetsChange(
+      shopPresets.map((preset) => (preset.id === id ? next : preset))
+    );
+
+  const handleAddPreset = () => {
+    setQuery("");
+    onShopPresetsChange([
+      ...shopPresets,
+      {
+        id: createPresetId(),
+        code: "",
+        cabinetType: CABINET_TYPES[0].id,
+        cabinetHeight: "",
+        kickHeight: "",
+        boxWidth: "",
+        boxDepth: "",
+        braceHeight: "",
+        units: { system: units.system, precision: units.precision },
+      },
+    ]);
+  };
+
+  const handleCustomize = (preset) => {
+    onShopPresetsChange([...shopPresets, copyPreset(preset)]);
+    setQuery(preset.code);
+  };
+
+  const handleExport = () =>
+    downloadFile(
+      "cabinet-catalog.json",
+      exportCatalog(shopPresets),
+      "application/json"
+    );
+
+  const handleFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const imported = parseCatalog(String(reader.result || ""));
+        onShopPresetsChange(mergePresets(shopPresets, imported));
+        setImportMessage({
+          color: "positive",
+          text: `Imported ${imported.length} preset${
+            imported.length === 1 ? "" : "s"
+          }.`,
+        });
+      } catch (err) {
+        setImportMessage({ color: "critical", text: err.message });
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = "";
+  };
+
+  return (
+    <Modal active={active} onClose={onClose} size="960px" padding={5}>
+      <View gap={4}>
+        <View gap={0.5}>
+          <Modal.Title>Cabinet catalog</Modal.Title>
+          <Modal.Subtitle>
+            Insert standard sizes and your shop&apos;s presets, or type a
+            code like B24 in the spec table. A shop preset replaces the
+            standard size with the same code.
+          </Modal.Subtitle>
+        </View>
+
+        <TextField
+          name="catalogSearch"
+          placeholder="Search codes or types (B24, W30, sink...)"
+          value={query}
+          onChange={({ value }) => setQuery(value)}
+        />
+
+        <View gap={2}>
+          <View
+            direction="row"
+            justify="space-between"
+            align="center"
+            gap={2}
+            wrap
+          >
+            <Text variant="body-2" weight="medium">
+              Shop presets
+            </Text>
+            <View direction="row" gap={2}>
+              <Button
+                variant="outline"
+                color="neutral"
+                size="small"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                Import
+              </Button>
+              <Button
+                variant="outline"
+                color="neutral"
+                size="small"
+                disabled={shopPresets.length === 0}
+                onClick={handleExport}
+              >
+                Export
+              </Button>
+              <Button
+                variant="solid"
+                color="primary"
+                size="small"
+                onClick={handleAddPreset}
+              >
+                Add preset
+              </Button>
+            </View>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: "none" }}
+              onChange={handleFile}
+            />
+          </View>
+          {importMessage && (
+            <Text variant="caption-1" color={importMessage.color}>
+              {importMessage.text}
+            </Text>
+          )}
+          {shopPresets.length === 0 && (
+            <Text variant="body-3" color="neutral-faded">
+              No shop presets yet. Add one, or customize a standard size
+              below.
+            </Text>
+          )}
+          {shopMatches.map((preset) => (
+            <PresetEditor
+              key={preset.id}
+              preset={preset}
+              duplicate={isDuplicate(preset)}
+              onChange={(next) => updatePreset(preset.id, next)}
+              onRemove={() =>
+                onShopPresetsChange(
+                  shopPresets.filter((p) => p.id !== preset.id)
+                )
+              }
+              onInsert={onInsert}
+            />
+          ))}
+        </View>
+
+        <Divider />
+
+        <View gap={2}>
+          <Text variant="body-2" weight="medium">
+            Standard sizes
+          </Text>
+          {standardMatches.length === 0 ? (
+            <Text variant="body-3" color="neutral-faded">
+              No standard size matches &quot;{query}&quot;.
+            </Text>
+          ) : (
+            <View
+              borderColor="neutral-faded"
+              borderRadius="medium"
+              borderWidth={1}
+              overflow="auto"
+              maxHeight="320px"
+            >
+              <Table border columnBorder>
+                <Table.Row highlighted>
+                  <Table.Heading>Code</Table.Heading>
+                  <Table.Heading>Cabinet</Table.Heading>
+                  <Table.Heading />
+                </Table.Row>
+                {standardMatches.map((preset) => (
+                  <Table.Row key={preset.id}>
+                    <Table.Cell>
+                      <Text variant="body-3" weight="medium">
+                        {preset.code}
+                      </Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">
+                        {describeCabinet(preset, preset.units)}
+                      </Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <View direction="row" justify="end" gap={1}>
+                        <Button
+                          variant="outline"
+                          color="neutral"
+                          size="small"
+                          onClick={() => onInsert(preset)}
+                        >
+                          Insert
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          color="neutral"
+                          size="small"
+                          onClick={() => handleCustomize(preset)}
+                        >
+                          Customize
+                        </Button>
+                      </View>
+                    </Table.Cell>
+                  </Table.Row>
+                ))}
+              </Table>
+            </View>
+          )}
+        </View>
+
+        <View direction="row" justify="end">
+          <Button variant="outline" color="neutral" onClick={onClose}>
+            Done
+          </Button>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default CabinetCatalog;
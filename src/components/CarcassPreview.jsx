@@ -0,0 +1,207 @@
+import React, { useMemo, useRef, useState } from "react";
+import { View, Text, Button, Select, FormControl } from "reshaped";
+import { describeCabinet } from "../lib/cabinetTypes.js";
+import { layoutCarcass, projectCarcass } from "../lib/carcassView.js";
+import { formatLength, getUnitSystem } from "../lib/units.js";
+
+const WOOD = [232, 211, 176];
+const HIGHLIGHT = [251, 146, 60];
+const KICK = [161, 161, 170];
+
+const START_YAW = -0.6;
+const START_PITCH = 0.45;
+const MIN_PITCH = -0.2;
+const MAX_PITCH = 1.3;
+// Radians turned per pixel dragged, and per button press
+const DRAG_SPEED = 0.01;
+const TURN_STEP = Math.PI / 12;
+
+const shade = ([r, g, b], light) =>
+  `rgb(${[r, g, b].map((c) => Math.round(Math.min(255, c * light)))})`;
+
+const clampPitch = (pitch) =>
+  Math.min(MAX_PITCH, Math.max(MIN_PITCH, pitch));
+
+/**
+ * Rotatable 3D view of one cabinet's carcass (see lib/carcassView.js),
+ * to sanity-check a row's numbers. Drag to turn it. Parts of the line
+ * hovered in the panel totals are highlighted, and hovering a part
+ * highlights its line in turn.
+ *
+ * entries: rowPanels ([{ row, panels }]); rowId picks the one shown,
+ * falling back to the first with panels. highlightKey is a panel key
+ * (panelKey in lib/cutList.js); onHighlight(key or null).
+ */
+const CarcassPreview = ({
+  entries,
+  rowId,
+  onRowChange,
+  options,
+  highlightKey,
+  onHighlight,
+  units,
+}) => {
+  const [view, setView] = useState({ yaw: START_YAW, pitch: START_PITCH });
+  const dragRef = useRef(null);
+
+  const choices = entries.filter(({ panels }) => panels.length > 0);
+  const entry =
+    choices.find(({ row }) => row.id === rowId) || choices[0] || null;
+
+  const carcass = useMemo(
+    () => entry && layoutCarcass(entry.row, entry.panels, options),
+    [entry, options]
+  );
+  const faces = useMemo(
+    () => (carcass ? projectCarcass(carcass, view.yaw, view.pitch) : []),
+    [carcass, view]
+  );
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { x: event.clientX, y: event.clientY, ...view };
+  };
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView({
+      yaw: drag.yaw - (event.clientX - drag.x) * DRAG_SPEED,
+      pitch: clampPitch(drag.pitch + (event.clientY - drag.y) * DRAG_SPEED),
+    });
+  };
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  if (!entry) {
+    return (
+      <Text variant="body-3" color="neutral-faded">
+        Add a cabinet with dimensions and a quantity to see it in 3D.
+      </Text>
+    );
+  }
+
+  const suffix = getUnitSystem(units.system).suffix;
+  const size = (n) => `${formatLength(n, units)} ${suffix}`;
+  const points = faces.flatMap((face) => face.points);
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const margin = 2;
+  const minX = Math.min(...xs) - margin;
+  const minY = Math.min(...ys) - margin;
+  const width = Math.max(...xs) - minX + margin;
+  const height = Math.max(...ys) - minY + margin;
+
+  return (
+    <View gap={2}>
+      <View direction="row" gap={2} align="end" wrap>
+        <View.Item grow>
+          <FormControl size="small">
+            <FormControl.Label>3D preview</FormControl.Label>
+            <Select
+              name="previewRow"
+              size="small"
+              value={String(entry.row.id)}
+              onChange={({ value }) => onRowChange(Number(value))}
+            >
+              {choices.map(({ row }) => (
+                <option key={row.id} value={row.id}>
+                  {(row.label || "").trim() || "Unlabeled"} –{" "}
+                  {describeCabinet(row, units)}
+                </option>
+              ))}
+            </Select>
+          </FormControl>
+        </View.Item>
+        <Button
+          variant="outline"
+          color="neutral"
+          size="small"
+          onClick={() => setView({ ...view, yaw: view.yaw + TURN_STEP })}
+          attributes={{ "aria-label": "Turn left" }}
+        >
+          ↺
+        </Button>
+        <Button
+          variant="outline"
+          color="neutral"
+          size="small"
+          onClick={() => setView({ ...view, yaw: view.yaw - TURN_STEP })}
+          attributes={{ "aria-label": "Turn right" }}
+        >
+          ↻
+        </Button>
+        <Button
+          variant="ghost"
+          color="neutral"
+          size="small"
+          onClick={() => setView({ yaw: START_YAW, pitch: START_PITCH })}
+        >
+          Reset
+        </Button>
+      </View>
+
+      {carcass ? (
+        <View
+          borderRadius="medium"
+          borderColor="neutral-faded"
+          borderWidth={1}
+          backgroundColor="elevation-base"
+          padding={2}
+        >
+          <svg
+            viewBox={`${minX} ${minY} ${width} ${height}`}
+            width="100%"
+            height="260"
+            role="img"
+            aria-label={`3D view of ${
+              (entry.row.label || "").trim() || "the cabinet"
+            }`}
+            style={{ display: "block", touchAction: "none", cursor: "grab" }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          >
+            {faces.map((face, i) => {
+              const part = carcass.parts[face.part];
+              const lit = part.key != null && part.key === highlightKey;
+              const color = lit ? HIGHLIGHT : part.key ? WOOD : KICK;
+              return (
+                <polygon
+                  key={i}
+                  points={face.points.map((p) => p.join(",")).join(" ")}
+                  fill={shade(color, face.light)}
+                  stroke="#52525b"
+                  strokeWidth={0.15}
+                  strokeLinejoin="round"
+                  onMouseEnter={() => part.key && onHighlight(part.key)}
+                  onMouseLeave={() => part.key && onHighlight(null)}
+                >
+                  <title>{part.panelType}</title>
+                </polygon>
+              );
+            })}
+          </svg>
+        </View>
+      ) : (
+        <Text variant="body-3" color="critical">
+          This cabinet&apos;s box can&apos;t be sized; check its
+          dimensions.
+        </Text>
+      )}
+
+      {carcass && (
+        <Text variant="caption-1" color="neutral-faded">
+          {size(carcass.size.width)} W x {size(carcass.size.height)} H x{" "}
+          {size(carcass.size.depth)} D. Drag to turn; hover a line in the
+          totals to find its parts.
+          {carcass.unplaced.length > 0 &&
+            ` Not drawn: ${carcass.unplaced.join(", ")}.`}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+export default CarcassPreview;
@@ -0,0 +1,272 @@
+import React from "react";
+import {
+  View,
+  Text,
+  Button,
+  Table,
+  TextField,
+  FormControl,
+  Select,
+  Card,
+  Accordion,
+} from "reshaped";
+import { describeCabinet } from "../lib/cabinetTypes.js";
+import {
+  PRICE_UNITS,
+  formatMoney,
+  getMaterialPrice,
+} from "../lib/costing.js";
+import { describeMaterial } from "../lib/materials.js";
+
+// Job-wide rates: [field, label, suffix] (null suffix = currency)
+const RATE_FIELDS = [
+  ["hardwarePerCabinet", "Hardware per cabinet", null],
+  ["labourPerPanel", "Labour per panel", null],
+  ["labourPerCabinet", "Labour per cabinet", null],
+  ["edgeBandingPerFoot", "Edge banding per ft", null],
+  ["markupPercent", "Markup", "%"],
+  ["taxPercent", "Tax", "%"],
+];
+
+const RateField = ({ label, suffix, value, onChange }) => (
+  <FormControl size="small">
+    <FormControl.Label>{label}</FormControl.Label>
+    <TextField
+      size="small"
+      inputAttributes={{ inputMode: "decimal" }}
+      suffix={suffix}
+      value={value}
+      onChange={({ value: next }) => onChange(next)}
+    />
+  </FormControl>
+);
+
+/**
+ * Prices for the job and the resulting cost breakdown and quote lines.
+ * `quote` comes from computeJobCost in App; printing the customer
+ * quote goes through the shared print view.
+ */
+const CostingPanel = ({ settings, onChange, quote, units, onPrintQuote }) => {
+  const money = (amount) => formatMoney(amount, settings.currency);
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const updateMaterialPrice = (materialId, patch) => {
+    update({
+      materialPrices: {
+        ...settings.materialPrices,
+        [materialId]: { ...getMaterialPrice(settings, materialId), ...patch },
+      },
+    });
+  };
+
+  const breakdown = [
+    ["Sheet goods", quote.costs.material],
+    [`Edge banding (${quote.banding.feet.toFixed(1)} ft)`, quote.costs.banding],
+    ["Hardware", quote.costs.hardware],
+    ["Labour", quote.costs.labour],
+    ["Markup", quote.markup],
+  ];
+
+  return (
+    <Accordion>
+      <Accordion.Trigger>
+        <View gap={0.5}>
+          <Text variant="featured-4" weight="medium">
+            Costing &amp; quote
+          </Text>
+          <Text variant="caption-1" color="neutral-faded">
+            {quote.area.toFixed(1)} sq ft of panels · quote total{" "}
+            {money(quote.total)}
+          </Text>
+        </View>
+      </Accordion.Trigger>
+      <Accordion.Content>
+        <View gap={4} paddingTop={3}>
+          <View
+            borderColor="neutral-faded"
+            borderRadius="large"
+            borderWidth={1}
+            overflow="hidden"
+          >
+            <Table border columnBorder>
+              <Table.Row highlighted>
+                <Table.Heading>Material</Table.Heading>
+                <Table.Heading>Price</Table.Heading>
+                <Table.Heading>Sheets</Table.Heading>
+                <Table.Heading>Sq ft</Table.Heading>
+                <Table.Heading>Cost</Table.Heading>
+              </Table.Row>
+              {quote.materials.map(({ material, sheetCount, area, cost }) => {
+                const materialPrice = getMaterialPrice(settings, material.id);
+                return (
+                  <Table.Row key={material.id}>
+                    <Table.Cell>
+                      <Text variant="body-3">
+                        {describeMaterial(material, units)}
+                      </Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <View direction="row" gap={1} wrap>
+                        <View.Item columns={6}>
+                          <TextField
+                            size="small"
+                            inputAttributes={{ inputMode: "decimal" }}
+                            suffix={settings.currency}
+                            value={materialPrice.price}
+                            onChange={({ value }) =>
+                              updateMaterialPrice(material.id, {
+                                price: value,
+                              })
+                            }
+                          />
+                        </View.Item>
+                        <View.Item columns={6}>
+                          <Select
+                            name={`priceUnit-${material.id}`}
+                            size="small"
+                            value={materialPrice.unit}
+                            onChange={({ value }) =>
+                              updateMaterialPrice(material.id, {
+                                unit: value,
+                              })
+                            }
+                          >
+                            {PRICE_UNITS.map((unit) => (
+                              <option key={unit.id} value={unit.id}>
+                                {unit.label}
+                              </option>
+                            ))}
+                          </Select>
+                        </View.Item>
+                      </View>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">{sheetCount}</Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">{area.toFixed(1)}</Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">{money(cost)}</Text>
+                    </Table.Cell>
+                  </Table.Row>
+                );
+              })}
+            </Table>
+          </View>
+
+          <View direction="row" gap={2} wrap>
+            {RATE_FIELDS.map(([field, label, suffix]) => (
+              <View.Item key={field} columns={{ s: 6, m: 3 }}>
+                <RateField
+                  label={label}
+                  suffix={suffix || settings.currency}
+                  value={settings[field]}
+                  onChange={(value) => update({ [field]: value })}
+                />
+              </View.Item>
+            ))}
+            <View.Item columns={{ s: 6, m: 3 }}>
+              <RateField
+                label="Currency"
+                value={settings.currency}
+                onChange={(value) =>
+                  update({ currency: value.toUpperCase() })
+                }
+              />
+            </View.Item>
+          </View>
+
+          <Card padding={3} backgroundColor="neutral-faded">
+            <View gap={3}>
+              <View direction="row" gap={4} wrap>
+                {breakdown.map(([label, amount]) => (
+                  <View key={label} gap={0.5}>
+                    <Text variant="caption-1" color="neutral-faded">
+                      {label}
+                    </Text>
+                    <Text variant="body-2" weight="medium">
+                      {money(amount)}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+
+              {quote.lines.length === 0 ? (
+                <Text variant="body-3" color="neutral-faded">
+                  Quote lines appear once cabinets have complete specs.
+                </Text>
+              ) : (
+                <Table border columnBorder>
+                  <Table.Row highlighted>
+                    <Table.Heading>Cabinet</Table.Heading>
+                    <Table.Heading>Qty</Table.Heading>
+                    <Table.Heading>Cost</Table.Heading>
+                    <Table.Heading>Unit price</Table.Heading>
+                    <Table.Heading>Amount</Table.Heading>
+                  </Table.Row>
+                  {quote.lines.map((line) => (
+                    <Table.Row key={line.row.id}>
+                      <Table.Cell>
+                        <View gap={0.5}>
+                          <Text variant="body-3" weight="medium">
+                            {(line.row.label || "").trim() || "Unlabeled"}
+                          </Text>
+                          <Text variant="caption-1" color="neutral-faded">
+                            {describeCabinet(line.row, units)}
+                          </Text>
+                        </View>
+                      </Table.Cell>
+                      <Table.Cell>
+                        <Text variant="body-3">{line.quantity}</Text>
+                      </Table.Cell>
+                      <Table.Cell>
+                        <Text variant="body-3">{money(line.cost)}</Text>
+                      </Table.Cell>
+                      <Table.Cell>
+                        <Text variant="body-3">{money(line.unitPrice)}</Text>
+                      </Table.Cell>
+                      <Table.Cell>
+                        <Text variant="body-3">{money(line.amount)}</Text>
+                      </Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table>
+              )}
+
+              <View
+                direction="row"
+                justify="space-between"
+                align="end"
+                gap={2}
+                wrap
+              >
+                <View gap={0.5}>
+                  <Text variant="body-3" color="neutral-faded">
+                    Subtotal {money(quote.subtotal)} · Tax{" "}
+                    {money(quote.tax)}
+                  </Text>
+                  <Text variant="featured-4" weight="bold">
+                    Total {money(quote.total)}
+                  </Text>
+                </View>
+                <Button
+                  variant="outline"
+                  color="primary"
+                  size="small"
+                  onClick={onPrintQuote}
+                  disabled={quote.lines.length === 0}
+                >
+                  Print quote
+                </Button>
+              </View>
+            </View>
+          </Card>
+        </View>
+      </Accordion.Content>
+    </Accordion>
+  );
+};
+
+export default CostingPanel;
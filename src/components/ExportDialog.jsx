@@ -0,0 +1,271 @@
+import React, { useMemo } from "react";
+import {
+  View,
+  Text,
+  Button,
+  FormControl,
+  Select,
+  Checkbox,
+  Modal,
+} from "reshaped";
+import {
+  CSV_PRESETS,
+  DXF_LAYOUTS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  EXPORT_UNITS,
+  getExportFormat,
+} from "../lib/exportFormats.js";
+
+// Lines of the file shown before downloading
+const PREVIEW_LINES = 8;
+
+const getColumn = (id) => EXPORT_COLUMNS.find((column) => column.id === id);
+
+/**
+ * Modal for CNC and optimizer exports: pick a format from
+ * EXPORT_FORMATS, set it up (columns and units for CSV, outlines or
+ * nested sheets for DXF) and download. Settings are saved with the job.
+ *
+ * context: what the formats build from (see lib/exportFormats.js),
+ * without the settings. onDownload(format, contents) saves the file.
+ */
+const ExportDialog = ({
+  active,
+  onClose,
+  settings,
+  onSettingsChange,
+  context,
+  onDownload,
+}) => {
+  const format = getExportFormat(settings.formatId);
+  const update = (patch) => onSettingsChange({ ...settings, ...patch });
+
+  const contents = useMemo(
+    () => (active ? format.build({ ...context, settings }) : ""),
+    [active, format, context, settings]
+  );
+
+  const preset =
+    CSV_PRESETS.find(
+      (p) => p.columns.join(",") === settings.columns.join(",")
+    ) || null;
+  const unusedColumns = EXPORT_COLUMNS.filter(
+    (column) => !settings.columns.includes(column.id)
+  );
+
+  const moveColumn = (index, direction) => {
+    const columns = [...settings.columns];
+    const [column] = columns.splice(index, 1);
+    columns.splice(index + direction, 0, column);
+    update({ columns });
+  };
+
+  const lines = contents.split(/\r?\n/);
+
+  return (
+    <Modal active={active} onClose={onClose} size="720px" padding={5}>
+      <View gap={4}>
+        <View gap={0.5}>
+          <Modal.Title>Export for CNC &amp; optimizers</Modal.Title>
+          <Modal.Subtitle>
+            Parts are numbered as in the panel totals.
+          </Modal.Subtitle>
+        </View>
+
+        <View direction="row" gap={2} wrap>
+          <View.Item columns={{ s: 12, m: 6 }}>
+            <FormControl size="small">
+              <FormControl.Label>Format</FormControl.Label>
+              <Select
+                name="exportFormat"
+                size="small"
+                value={format.id}
+                onChange={({ value }) => update({ formatId: value })}
+              >
+                {EXPORT_FORMATS.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </Select>
+            </FormControl>
+          </View.Item>
+          <View.Item columns={{ s: 12, m: 6 }}>
+            <FormControl size="small">
+              <FormControl.Label>Units</FormControl.Label>
+              <Select
+                name="exportUnits"
+                size="small"
+                value={settings.units}
+                onChange={({ value }) => update({ units: value })}
+              >
+                {EXPORT_UNITS.map((u) => (
+                  <option key={u.id} value={u.id}>
+                    {u.label}
+                  </option>
+                ))}
+              </Select>
+            </FormControl>
+          </View.Item>
+        </View>
+
+        {format.id === "dxf" && (
+          <FormControl size="small">
+            <FormControl.Label>Layout</FormControl.Label>
+            <Select
+              name="exportDxfLayout"
+              size="small"
+              value={settings.dxfLayout}
+              onChange={({ value }) => update({ dxfLayout: value })}
+            >
+              {DXF_LAYOUTS.map((layout) => (
+                <option key={layout.id} value={layout.id}>
+                  {layout.label}
+                </option>
+              ))}
+            </Select>
+            <FormControl.Helper>
+              Outlines are on one layer per material, labels on a
+              matching _LABELS layer, and grain lines on GRAIN.
+            </FormControl.Helper>
+          </FormControl>
+        )}
+
+        {format.id === "csv" && (
+          <View gap={2}>
+            <View direction="row" gap={2} align="end" wrap>
+              <View.Item grow>
+                <FormControl size="small">
+                  <FormControl.Label>Column layout</FormControl.Label>
+                  <Select
+                    name="exportPreset"
+                    size="small"
+                    value={preset ? preset.id : ""}
+                    onChange={({ value }) => {
+                      const next = CSV_PRESETS.find((p) => p.id === value);
+                      if (next) update({ columns: next.columns });
+                    }}
+                  >
+                    {!preset && <option value="">Custom</option>}
+                    {CSV_PRESETS.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.label}
+                      </option>
+                    ))}
+                  </Select>
+                </FormControl>
+              </View.Item>
+              <Checkbox
+                name="exportHeader"
+                checked={settings.header}
+                onChange={({ checked }) => update({ header: checked })}
+              >
+                Header row
+              </Checkbox>
+            </View>
+
+            <View gap={1}>
+              {settings.columns.map((id, index) => (
+                <View
+                  key={id}
+                  direction="row"
+                  align="center"
+                  justify="space-between"
+                  gap={2}
+                >
+                  <Text variant="body-3">
+                    {index + 1}. {getColumn(id)?.label || id}
+                  </Text>
+                  <View direction="row" gap={1}>
+                    <Button
+                      variant="ghost"
+                      color="neutral"
+                      size="small"
+                      disabled={index === 0}
+                      onClick={() => moveColumn(index, -1)}
+                      attributes={{ "aria-label": "Move column left" }}
+                    >
+                      ↑
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      color="neutral"
+                      size="small"
+                      disabled={index === settings.columns.length - 1}
+                      onClick={() => moveColumn(index, 1)}
+                      attributes={{ "aria-label": "Move column right" }}
+                    >
+                      ↓
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      color="critical"
+                      size="small"
+                      disabled={settings.columns.length === 1}
+                      onClick={() =>
+                        update({
+                          columns: settings.columns.filter((c) => c !== id),
+                        })
+                      }
+                    >
+                      Remove
+                    </Button>
+                  </View>
+                </View>
+              ))}
+            </View>
+
+            {unusedColumns.length > 0 && (
+              <FormControl size="small">
+                <FormControl.Label>Add column</FormControl.Label>
+                <Select
+                  name="exportAddColumn"
+                  size="small"
+                  value=""
+                  onChange={({ value }) =>
+                    value && update({ columns: [...settings.columns, value] })
+                  }
+                >
+                  <option value="">Choose a column…</option>
+                  {unusedColumns.map((column) => (
+                    <option key={column.id} value={column.id}>
+                      {column.label}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+          </View>
+        )}
+
+        {format.id === "csv" && (
+          <View gap={1}>
+            <Text variant="caption-1" color="neutral-faded">
+              Preview
+            </Text>
+            <pre className="export-preview">
+              {lines.slice(0, PREVIEW_LINES).join("\n")}
+              {lines.length > PREVIEW_LINES + 1 && "\n…"}
+            </pre>
+          </View>
+        )}
+
+        <View direction="row" justify="end" gap={2}>
+          <Button variant="outline" color="neutral" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant="solid"
+            color="primary"
+            onClick={() => onDownload(format, contents)}
+          >
+            Download .{format.extension}
+          </Button>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,365 @@
+import React, { useMemo, useState } from "react";
+import {
+  View,
+  Text,
+  Button,
+  Table,
+  TextField,
+  FormControl,
+  Select,
+  Card,
+  Accordion,
+} from "reshaped";
+import {
+  FORMULA_VARIABLES,
+  validateStyle,
+  nextNumericId,
+} from "../lib/formulas.js";
+import { CABINET_TYPES } from "../lib/cabinetTypes.js";
+import { formatLength } from "../lib/units.js";
+
+// A formula input with its validation message
+const FormulaField = ({ label, value, error, onChange }) => (
+  <FormControl size="small" hasError={Boolean(error)}>
+    <FormControl.Label>{label}</FormControl.Label>
+    <TextField size="small" value={value} onChange={onChange} />
+    {error && <FormControl.Error>{error}</FormControl.Error>}
+  </FormControl>
+);
+
+/**
+ * Editor for construction styles: each style is a named panel list with
+ * count/width/height formulas, each panel limited to some cabinet
+ * types. Edits apply immediately, so the panel totals double as a live
+ * preview; the preview table here shows one cabinet of the chosen row.
+ * Formulas and thickness work in inches, whatever units the job
+ * displays.
+ */
+const FormulaEditor = ({
+  styles,
+  activeStyleId,
+  onStylesChange,
+  onActiveStyleChange,
+  rows,
+  computePanels,
+  units,
+}) => {
+  const [previewRowId, setPreviewRowId] = useState(null);
+
+  const style =
+    styles.find((s) => s.id === activeStyleId) || styles[0];
+  const errors = useMemo(() => validateStyle(style), [style]);
+
+  const previewRow =
+    rows.find((row) => row.id === previewRowId) || rows[0];
+  const previewPanels = useMemo(
+    () =>
+      previewRow
+        ? computePanels({ ...previewRow, quantity: "1" })
+        : [],
+    [computePanels, previewRow]
+  );
+
+  const updateStyle = (patch) => {
+    onStylesChange(
+      styles.map((s) => (s.id === style.id ? { ...s, ...patch } : s))
+    );
+  };
+
+  const updatePanel = (panelId, field, value) => {
+    updateStyle({
+      panels: style.panels.map((p) =>
+        p.id === panelId ? { ...p, [field]: value } : p
+      ),
+    });
+  };
+
+  const handleAddPanel = () => {
+    updateStyle({
+      panels: [
+        ...style.panels,
+        {
+          id: nextNumericId(style.panels),
+          panelType: "",
+          cabinetTypes: [],
+          count: "1",
+          width: "",
+          height: "",
+        },
+      ],
+    });
+  };
+
+  const handleRemovePanel = (panelId) => {
+    updateStyle({
+      panels: style.panels.filter((p) => p.id !== panelId),
+    });
+  };
+
+  const handleDuplicateStyle = () => {
+    const id = `style-${Date.now().toString(36)}`;
+    onStylesChange([
+      ...styles,
+      {
+        ...style,
+        id,
+        name: `${style.name} (copy)`,
+        panels: style.panels.map((p) => ({ ...p })),
+      },
+    ]);
+    onActiveStyleChange(id);
+  };
+
+  const handleDeleteStyle = () => {
+    if (styles.length <= 1) return;
+    const remaining = styles.filter((s) => s.id !== style.id);
+    onStylesChange(remaining);
+    onActiveStyleChange(remaining[0].id);
+  };
+
+  const errorCount = Object.keys(errors).length;
+
+  return (
+    <Accordion>
+      <Accordion.Trigger>
+        <View gap={0.5}>
+          <Text variant="featured-4" weight="medium">
+            Panel formulas
+          </Text>
+          <Text variant="caption-1" color="neutral-faded">
+            Construction style: {style.name}
+            {errorCount > 0 &&
+              ` · ${errorCount} formula error${
+                errorCount === 1 ? "" : "s"
+              }`}
+          </Text>
+        </View>
+      </Accordion.Trigger>
+      <Accordion.Content>
+        <View gap={4} paddingTop={3}>
+          <View direction="row" gap={2} align="end" wrap>
+            <View.Item grow>
+              <FormControl size="small">
+                <FormControl.Label>Construction style</FormControl.Label>
+                <Select
+                  name="constructionStyle"
+                  size="small"
+                  value={style.id}
+                  onChange={({ value }) => onActiveStyleChange(value)}
+                >
+                  {styles.map((s) => (
+                    <option key={s.id} value={s.id}>
+                      {s.name}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+            </View.Item>
+            <Button
+              variant="outline"
+              color="neutral"
+              size="small"
+              onClick={handleDuplicateStyle}
+            >
+              Duplicate style
+            </Button>
+            <Button
+              variant="ghost"
+              color="critical"
+              size="small"
+              onClick={handleDeleteStyle}
+              disabled={styles.length <= 1}
+            >
+              Delete style
+            </Button>
+          </View>
+
+          <View direction="row" gap={2} wrap>
+            <View.Item grow>
+              <FormControl size="small">
+                <FormControl.Label>Style name</FormControl.Label>
+                <TextField
+                  size="small"
+                  value={style.name}
+                  onChange={({ value }) => updateStyle({ name: value })}
+                />
+              </FormControl>
+            </View.Item>
+            <View.Item columns={{ s: 12, m: 3 }}>
+              <FormControl size="small" hasError={Boolean(errors.thickness)}>
+                <FormControl.Label>Material thickness</FormControl.Label>
+                <TextField
+                  type="number"
+                  suffix="in"
+                  size="small"
+                  value={style.thickness}
+                  onChange={({ value }) =>
+                    updateStyle({ thickness: value })
+                  }
+                />
+                {errors.thickness && (
+                  <FormControl.Error>{errors.thickness}</FormControl.Error>
+                )}
+              </FormControl>
+            </View.Item>
+          </View>
+
+          <View
+            borderColor="neutral-faded"
+            borderRadius="large"
+            borderWidth={1}
+            overflow="hidden"
+          >
+            <Table border columnBorder>
+              <Table.Row highlighted>
+                <Table.Heading>Panel</Table.Heading>
+                <Table.Heading>Cabinet types</Table.Heading>
+                <Table.Heading>Count per cabinet</Table.Heading>
+                <Table.Heading>Width</Table.Heading>
+                <Table.Heading>Height</Table.Heading>
+                <Table.Heading />
+              </Table.Row>
+              {style.panels.map((panel) => (
+                <Table.Row key={panel.id}>
+                  <Table.Cell>
+                    <FormulaField
+                      label="Name"
+                      value={panel.panelType}
+                      error={errors[`${panel.id}.panelType`]}
+                      onChange={({ value }) =>
+                        updatePanel(panel.id, "panelType", value)
+                      }
+                    />
+                  </Table.Cell>
+                  <Table.Cell>
+                    <FormControl size="small">
+                      <FormControl.Label>Applies to</FormControl.Label>
+                      <Select
+                        name={`cabinetTypes-${panel.id}`}
+                        size="small"
+                        multiple
+                        placeholder="All types"
+                        value={panel.cabinetTypes || []}
+                        onChange={({ value }) =>
+                          updatePanel(panel.id, "cabinetTypes", value)
+                        }
+                      >
+                        {CABINET_TYPES.map((type) => (
+                          <Select.Option key={type.id} value={type.id}>
+                            {type.label}
+                          </Select.Option>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Table.Cell>
+                  {["count", "width", "height"].map((field) => (
+                    <Table.Cell key={field}>
+                      <FormulaField
+                        label="Formula"
+                        value={panel[field]}
+                        error={errors[`${panel.id}.${field}`]}
+                        onChange={({ value }) =>
+                          updatePanel(panel.id, field, value)
+                        }
+                      />
+                    </Table.Cell>
+                  ))}
+                  <Table.Cell>
+                    <Button
+                      variant="ghost"
+                      color="neutral"
+                      size="small"
+                      onClick={() => handleRemovePanel(panel.id)}
+                    >
+                      Remove
+                    </Button>
+                  </Table.Cell>
+                </Table.Row>
+              ))}
+            </Table>
+          </View>
+
+          <View direction="row" justify="space-between" gap={2} wrap>
+            <Text variant="caption-1" color="neutral-faded">
+              Variables:{" "}
+              {FORMULA_VARIABLES.map((v) => v.name).join(", ")}.
+              Functions: min, max, round, floor, ceil.
+            </Text>
+            <Button
+              variant="outline"
+              color="primary"
+              size="small"
+              onClick={handleAddPanel}
+            >
+              Add panel
+            </Button>
+          </View>
+
+          <Card padding={3} backgroundColor="neutral-faded">
+            <View gap={3}>
+              <View
+                direction="row"
+                justify="space-between"
+                align="center"
+                gap={2}
+                wrap
+              >
+                <Text variant="body-2" weight="medium">
+                  Preview (one cabinet)
+                </Text>
+                <Select
+                  name="previewRow"
+                  size="small"
+                  value={previewRow ? String(previewRow.id) : ""}
+                  onChange={({ value }) => setPreviewRowId(Number(value))}
+                >
+                  {rows.map((row, index) => (
+                    <option key={row.id} value={String(row.id)}>
+                      {`${index + 1}. ${
+                        (row.label || "").trim() || "Unlabeled"
+                      }`}
+                    </option>
+                  ))}
+                </Select>
+              </View>
+
+              {previewPanels.length === 0 ? (
+                <Text variant="body-3" color="neutral-faded">
+                  Fill in the dimensions this style uses on the selected
+                  cabinet to preview its panels.
+                </Text>
+              ) : (
+                <Table border columnBorder>
+                  <Table.Row highlighted>
+                    <Table.Heading>Type</Table.Heading>
+                    <Table.Heading>Width</Table.Heading>
+                    <Table.Heading>Height</Table.Heading>
+                    <Table.Heading>Count</Table.Heading>
+                  </Table.Row>
+                  {previewPanels.map((p, idx) => (
+                    <Table.Row key={`${p.panelType}-${idx}`}>
+                      <Table.Cell>
+                        <Text variant="body-3">{p.panelType}</Text>
+                      </Table.Cell>
+                      <Table.Cell>
+                        <Text variant="body-3">{formatLength(p.width, units)}</Text>
+                      </Table.Cell>
+                      <Table.Cell>
+                        <Text variant="body-3">{formatLength(p.height, units)}</Text>
+                      </Table.Cell>
+                      <Table.Cell>
+                        <Text variant="body-3">{p.count}</Text>
+                      </Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table>
+              )}
+            </View>
+          </Card>
+        </View>
+      </Accordion.Content>
+    </Accordion>
+  );
+};
+
+export default FormulaEditor;
@@ -0,0 +1,108 @@
+import React from "react";
+import {
+  View,
+  Text,
+  TextField,
+  FormControl,
+  Select,
+  Accordion,
+} from "reshaped";
+import {
+  CARCASS_FASTENERS,
+  HINGE_RULES,
+  getCarcassFastener,
+} from "../lib/hardware.js";
+import { getUnitSystem } from "../lib/units.js";
+
+// Length settings: [field, label]
+const LENGTH_FIELDS = [
+  ["fastenerSpacing", "Fastener spacing"],
+  ["backScrewSpacing", "Back screw spacing"],
+  ["legSpacing", "Max leg spacing"],
+];
+
+/**
+ * Job-wide rules for the hardware take-off (see lib/hardware.js):
+ * which carcass fastener, how far apart fasteners and legs go, and
+ * pins per shelf. Lengths are typed in the job's units.
+ */
+const HardwareEditor = ({ settings, onChange, units }) => {
+  const suffix = getUnitSystem(units.system).suffix;
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  return (
+    <Accordion>
+      <Accordion.Trigger>
+        <View gap={0.5}>
+          <Text variant="featured-4" weight="medium">
+            Hardware rules
+          </Text>
+          <Text variant="caption-1" color="neutral-faded">
+            {getCarcassFastener(settings.carcassFastener).label} ·{" "}
+            {settings.pinsPerShelf} pins per shelf
+          </Text>
+        </View>
+      </Accordion.Trigger>
+      <Accordion.Content>
+        <View gap={3} paddingTop={3}>
+          <View direction="row" gap={2} wrap>
+            <View.Item columns={{ s: 6, m: 3 }}>
+              <FormControl size="small">
+                <FormControl.Label>Carcass fastener</FormControl.Label>
+                <Select
+                  name="carcassFastener"
+                  size="small"
+                  value={settings.carcassFastener}
+                  onChange={({ value }) => update({ carcassFastener: value })}
+                >
+                  {CARCASS_FASTENERS.map((f) => (
+                    <option key={f.id} value={f.id}>
+                      {f.label}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+            </View.Item>
+            {LENGTH_FIELDS.map(([field, label]) => (
+              <View.Item key={field} columns={{ s: 6, m: 3 }}>
+                <FormControl size="small">
+                  <FormControl.Label>{label}</FormControl.Label>
+                  <TextField
+                    size="small"
+                    suffix={suffix}
+                    value={settings[field]}
+                    onChange={({ value }) => update({ [field]: value })}
+                  />
+                </FormControl>
+              </View.Item>
+            ))}
+            <View.Item columns={{ s: 6, m: 3 }}>
+              <FormControl size="small">
+                <FormControl.Label>Pins per shelf</FormControl.Label>
+                <TextField
+                  size="small"
+                  value={settings.pinsPerShelf}
+                  onChange={({ value }) => update({ pinsPerShelf: value })}
+                />
+              </FormControl>
+            </View.Item>
+          </View>
+
+          <Text variant="caption-1" color="neutral-faded">
+            Hinges per door:{" "}
+            {HINGE_RULES.map(
+              (rule) => `${rule.count} up to ${rule.maxHeight}"`
+            ).join(", ")}
+            , then one more per 20&quot;. Slides come in pairs, one per
+            drawer. Cabinets on a kick get a pair of leveling legs at
+            each end and more pairs so no gap exceeds the leg spacing.
+            Floors, tops, braces and back rails get fasteners at both
+            ends, one per spacing along the joint.
+          </Text>
+        </View>
+      </Accordion.Content>
+    </Accordion>
+  );
+};
+
+export default HardwareEditor;
@@ -0,0 +1,64 @@
+import React from "react";
+import { View, Text, Table } from "reshaped";
+import { HARDWARE_CATEGORIES } from "../lib/hardware.js";
+
+/**
+ * Consolidated hardware list for purchase orders, one table per
+ * category. items: summarizeHardware() lines.
+ */
+const HardwareList = ({ items }) => {
+  if (items.length === 0) {
+    return (
+      <Text variant="body-2" color="neutral-faded">
+        These cabinets need no hardware.
+      </Text>
+    );
+  }
+
+  return (
+    <View gap={3}>
+      {HARDWARE_CATEGORIES.map((category) => {
+        const lines = items.filter((item) => item.category === category);
+        if (lines.length === 0) return null;
+        return (
+          <View key={category} gap={1}>
+            <Text variant="body-2" weight="medium">
+              {category}
+            </Text>
+            <View
+              borderRadius="medium"
+              borderColor="neutral-faded"
+              borderWidth={1}
+              overflow="hidden"
+            >
+              <Table border columnBorder>
+                <Table.Row highlighted>
+                  <Table.Heading>Item</Table.Heading>
+                  <Table.Heading>Qty</Table.Heading>
+                  <Table.Heading>Cabinets</Table.Heading>
+                </Table.Row>
+                {lines.map((item) => (
+                  <Table.Row key={item.key}>
+                    <Table.Cell>
+                      <Text variant="body-3">{item.name}</Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3" weight="medium">
+                        {item.count}
+                      </Text>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Text variant="body-3">{item.cabinets}</Text>
+                    </Table.Cell>
+                  </Table.Row>
+                ))}
+              </Table>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+export default HardwareList;
@@ -0,0 +1,257 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  View,
+  Text,
+  Button,
+  Table,
+  TextArea,
+  FormControl,
+  Select,
+  Checkbox,
+  Modal,
+  Divider,
+} from "reshaped";
+import {
+  IMPORT_FIELDS,
+  parseDelimited,
+  guessMapping,
+  defaultMapping,
+  buildImportRows,
+} from "../lib/csvImport.js";
+
+// Does the first record look like a header row (mostly non-numeric)?
+const looksLikeHeader = (record) =>
+  record.filter((value) => value && Number.isNaN(parseFloat(value)))
+    .length >
+  record.length / 2;
+
+/**
+ * Modal for importing cabinet rows from a CSV file or pasted
+ * spreadsheet cells: paste/upload, map columns, review errors, then
+ * append to or replace the spec list. Only rows without errors are
+ * imported.
+ */
+const ImportDialog = ({ active, onClose, onImport, units }) => {
+  const fileInputRef = useRef(null);
+  const [text, setText] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState([]);
+
+  const records = useMemo(() => parseDelimited(text), [text]);
+  const columnCount = records.reduce(
+    (max, record) => Math.max(max, record.length),
+    0
+  );
+
+  // Re-guess the mapping whenever new data comes in
+  const applyText = (value) => {
+    setText(value);
+    const parsed = parseDelimited(value);
+    const first = parsed[0] || [];
+    const header = looksLikeHeader(first);
+    const columns = parsed.reduce((max, r) => Math.max(max, r.length), 0);
+    setHasHeader(header);
+    setMapping(header ? guessMapping(first) : defaultMapping(columns));
+  };
+
+  const importRows = useMemo(
+    () => buildImportRows(records, mapping, { hasHeader, units }),
+    [records, mapping, hasHeader, units]
+  );
+  const validRows = importRows.filter((row) => row.errors.length === 0);
+  const invalidCount = importRows.length - validRows.length;
+
+  const handleFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => applyText(String(reader.result || ""));
+    reader.readAsText(file);
+    event.target.value = "";
+  };
+
+  const handleMappingChange = (column, field) => {
+    setMapping((prev) => {
+      const next = [...prev];
+      // A field can only come from one column
+      next.forEach((f, i) => {
+        if (field && f === field) next[i] = "";
+      });
+      next[column] = field;
+      return next;
+    });
+  };
+
+  const handleImport = (mode) => {
+    onImport(
+      validRows.map((row) => row.values),
+      mode
+    );
+    setText("");
+    setMapping([]);
+  };
+
+  const headerRecord = hasHeader ? records[0] || [] : [];
+
+  return (
+    <Modal active={active} onClose={onClose} size="960px" padding={5}>
+      <View gap={4}>
+        <View gap={0.5}>
+          <Modal.Title>Import cabinets</Modal.Title>
+          <Modal.Subtitle>
+            Paste cells from Excel or Google Sheets, or load a CSV file.
+          </Modal.Subtitle>
+        </View>
+
+        <FormControl>
+          <FormControl.Label>Cabinet schedule</FormControl.Label>
+          <TextArea
+            name="importText"
+            value={text}
+            onChange={({ value }) => applyText(value)}
+            inputAttributes={{ rows: 6 }}
+          />
+        </FormControl>
+
+        <View direction="row" gap={3} align="center" wrap>
+          <Button
+            variant="outline"
+            color="neutral"
+            size="small"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Load CSV file
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+            style={{ display: "none" }}
+            onChange={handleFile}
+          />
+          <Checkbox
+            name="importHasHeader"
+            checked={hasHeader}
+            onChange={({ checked }) => setHasHeader(checked)}
+          >
+            First row is column headers
+          </Checkbox>
+        </View>
+
+        {records.length > 0 && (
+          <>
+            <Divider />
+
+            <View gap={2}>
+              <Text variant="body-2" weight="medium">
+                Column mapping
+              </Text>
+              <View direction="row" gap={2} wrap>
+                {Array.from({ length: columnCount }, (_, column) => (
+                  <View.Item key={column} columns={{ s: 6, m: 3 }}>
+                    <FormControl size="small">
+                      <FormControl.Label>
+                        {headerRecord[column] || `Column ${column + 1}`}
+                      </FormControl.Label>
+                      <Select
+                        name={`importColumn-${column}`}
+                        size="small"
+                        value={mapping[column] || ""}
+                        onChange={({ value }) =>
+                          handleMappingChange(column, value)
+                        }
+                      >
+                        <option value="">Ignore</option>
+                        {IMPORT_FIELDS.map((f) => (
+                          <option key={f.field} value={f.field}>
+                            {f.label}
+                          </option>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </View.Item>
+                ))}
+              </View>
+            </View>
+
+            <View gap={2}>
+              <Text variant="body-2" weight="medium">
+                {validRows.length} row{validRows.length === 1 ? "" : "s"}{" "}
+                ready
+                {invalidCount > 0 &&
+                  `, ${invalidCount} with errors (skipped)`}
+              </Text>
+              <View
+                borderColor="neutral-faded"
+                borderRadius="medium"
+                borderWidth={1}
+                overflow="auto"
+                maxHeight="320px"
+              >
+                <Table border columnBorder>
+                  <Table.Row highlighted>
+                    <Table.Heading>Line</Table.Heading>
+                    {IMPORT_FIELDS.map((f) => (
+                      <Table.Heading key={f.field}>{f.label}</Table.Heading>
+                    ))}
+                    <Table.Heading>Problems</Table.Heading>
+                  </Table.Row>
+                  {importRows.map((row) => (
+                    <Table.Row key={row.line}>
+                      <Table.Cell>
+                        <Text variant="body-3">{row.line}</Text>
+                      </Table.Cell>
+                      {IMPORT_FIELDS.map((f) => (
+                        <Table.Cell key={f.field}>
+                          <Text variant="body-3">
+                            {row.values[f.field] || "—"}
+                          </Text>
+                        </Table.Cell>
+                      ))}
+                      <Table.Cell>
+                        <Text
+                          variant="body-3"
+                          color={
+                            row.errors.length ? "critical" : "positive"
+                          }
+                        >
+                          {row.errors.length
+                            ? row.errors.join("; ")
+                            : "OK"}
+                        </Text>
+                      </Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table>
+              </View>
+            </View>
+          </>
+        )}
+
+        <View direction="row" justify="end" gap={2}>
+          <Button variant="ghost" color="neutral" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant="outline"
+            color="primary"
+            disabled={validRows.length === 0}
+            onClick={() => handleImport("replace")}
+          >
+            Replace rows
+          </Button>
+          <Button
+            variant="solid"
+            color="primary"
+            disabled={validRows.length === 0}
+            onClick={() => handleImport("append")}
+          >
+            Append rows
+          </Button>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default ImportDialog;
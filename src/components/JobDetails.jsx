@@ -0,0 +1,44 @@
+import React from "react";
+import { View, TextField, TextArea, FormControl } from "reshaped";
+
+const DETAIL_FIELDS = [
+  { field: "name", label: "Job name" },
+  { field: "customer", label: "Customer" },
+  { field: "address", label: "Address" },
+  { field: "date", label: "Date", type: "date" },
+];
+
+// Header fields of the open job (name, customer, address, date, notes)
+const JobDetails = ({ details, onChange }) => (
+  <View gap={2}>
+    <View direction="row" gap={2} wrap>
+      {DETAIL_FIELDS.map(({ field, label, type }) => (
+        <View.Item key={field} columns={{ s: 12, m: 3 }}>
+          <FormControl size="small">
+            <FormControl.Label>{label}</FormControl.Label>
+            <TextField
+              name={`job-${field}`}
+              type={type}
+              size="small"
+              value={details[field] || ""}
+              onChange={({ value }) =>
+                onChange({ ...details, [field]: value })
+              }
+            />
+          </FormControl>
+        </View.Item>
+      ))}
+    </View>
+    <FormControl size="small">
+      <FormControl.Label>Notes</FormControl.Label>
+      <TextArea
+        name="job-notes"
+        size="small"
+        value={details.notes || ""}
+        onChange={({ value }) => onChange({ ...details, notes: value })}
+      />
+    </FormControl>
+  </View>
+);
+
+export default JobDetails;
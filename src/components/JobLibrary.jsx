@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  Button,
+  TextField,
+  Modal,
+  Card,
+  Divider,
+} from "reshaped";
+import {
+  listJobs,
+  getJob,
+  saveJob,
+  deleteJob,
+  duplicateJob,
+} from "../lib/jobStorage.js";
+
+const formatDate = (iso) => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? "" : date.toLocaleString();
+};
+
+/**
+ * Modal listing saved jobs. The current job is managed by App, so
+ * renaming it goes through onRenameCurrent instead of storage, and it
+ * cannot be deleted while open.
+ */
+const JobLibrary = ({
+  active,
+  onClose,
+  currentJobId,
+  onOpenJob,
+  onNewJob,
+  onRenameCurrent,
+}) => {
+  const [jobs, setJobs] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState("");
+
+  const refresh = () => setJobs(listJobs());
+
+  useEffect(() => {
+    if (active) refresh();
+  }, [active]);
+
+  const handleStartRename = (job) => {
+    setEditingId(job.id);
+    setEditingName(job.name);
+  };
+
+  const handleSaveRename = () => {
+    const name = editingName.trim() || "Untitled job";
+    if (editingId === currentJobId) {
+      onRenameCurrent(name);
+    }
+    const job = getJob(editingId);
+    if (job) saveJob({ ...job, name });
+    setEditingId(null);
+    refresh();
+  };
+
+  const handleDuplicate = (id) => {
+    duplicateJob(id);
+    refresh();
+  };
+
+  const handleDelete = (job) => {
+    if (!window.confirm(`Delete job "${job.name}"?`)) return;
+    deleteJob(job.id);
+    refresh();
+  };
+
+  return (
+    <Modal active={active} onClose={onClose} size="640px" padding={5}>
+      <View gap={4}>
+        <View
+          direction="row"
+          justify="space-between"
+          align="center"
+          gap={2}
+        >
+          <View gap={0.5}>
+            <Modal.Title>Job library</Modal.Title>
+            <Modal.Subtitle>
+              Jobs are saved in this browser and autosave as you edit.
+            </Modal.Subtitle>
+          </View>
+          <Button variant="solid" color="primary" onClick={onNewJob}>
+            New job
+          </Button>
+        </View>
+
+        <Divider />
+
+        {jobs.length === 0 ? (
+          <Text variant="body-2" color="neutral-faded">
+            No saved jobs yet.
+          </Text>
+        ) : (
+          <View gap={2}>
+            {jobs.map((job) => {
+              const isCurrent = job.id === currentJobId;
+              const rowCount = job.data?.rows?.length || 0;
+
+              return (
+                <Card key={job.id} padding={3}>
+                  <View gap={2}>
+                    {editingId === job.id ? (
+                      <View direction="row" gap={2} align="center">
+                        <View.Item grow>
+                          <TextField
+                            name="jobName"
+                            size="small"
+                            value={editingName}
+                            onChange={({ value }) => setEditingName(value)}
+                          />
+                        </View.Item>
+                        <Button
+                          size="small"
+                          color="primary"
+                          onClick={handleSaveRename}
+                        >
+                          Save
+                        </Button>
+                        <Button
+                          size="small"
+                          variant="ghost"
+                          onClick={() => setEditingId(null)}
+                        >
+                          Cancel
+                        </Button>
+                      </View>
+                    ) : (
+                      <View gap={0.5}>
+                        <Text variant="body-2" weight="medium">
+                          {job.name}
+                          {isCurrent && " (open)"}
+                        </Text>
+                        <Text variant="caption-1" color="neutral-faded">
+                          {[
+                            job.customer,
+                            job.address,
+                            job.date,
+                            `${rowCount} cabinet row${
+                              rowCount === 1 ? "" : "s"
+                            }`,
+                          ]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        </Text>
+                        <Text variant="caption-1" color="neutral-faded">
+                          Last saved {formatDate(job.updatedAt)}
+                        </Text>
+                      </View>
+                    )}
+
+                    <View direction="row" gap={1} wrap>
+                      <Button
+                        size="small"
+                        variant="outline"
+                        color="primary"
+                        disabled={isCurrent}
+                        onClick={() => onOpenJob(job.id)}
+                      >
+                        Open
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="ghost"
+                        color="neutral"
+                        onClick={() => handleStartRename(job)}
+                      >
+                        Rename
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="ghost"
+                        color="neutral"
+                        onClick={() => handleDuplicate(job.id)}
+                      >
+                        Duplicate
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="ghost"
+                        color="critical"
+                        disabled={isCurrent}
+                        onClick={() => handleDelete(job)}
+                      >
+                        Delete
+                      </Button>
+                    </View>
+                  </View>
+                </Card>
+              );
+            })}
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+export default JobLibrary;
@@ -0,0 +1,58 @@
+import React from "react";
+import { View, Text, Card } from "reshaped";
+import { hasErrors } from "../lib/validation.js";
+
+/**
+ * Job-level summary of row issues (see lib/validation.js): which
+ * cabinets are missing parts and which look suspicious. Renders
+ * nothing when every row checks out.
+ *
+ * rows: [{ row, issues }] in table order.
+ */
+const JobWarnings = ({ rows }) => {
+  const flagged = rows
+    .map((entry, index) => ({ ...entry, index }))
+    .filter(({ issues }) => issues.length > 0);
+  if (flagged.length === 0) return null;
+
+  const errorCount = flagged.filter(({ issues }) => hasErrors(issues)).length;
+
+  return (
+    <Card padding={3}>
+      <View gap={2}>
+        <View gap={0.5}>
+          <Text variant="body-2" weight="medium">
+            {errorCount > 0
+              ? `${errorCount} cabinet${
+                  errorCount === 1 ? " is" : "s are"
+                } missing from the cut-list`
+              : "Check these cabinets"}
+          </Text>
+          <Text variant="caption-1" color="neutral-faded">
+            Errors leave parts out of the totals, exports and prints.
+            Warnings are sizes outside the usual range for the type.
+          </Text>
+        </View>
+        {flagged.map(({ row, issues, index }) => (
+          <View key={row.id} gap={0.5}>
+            <Text variant="caption-1" weight="medium">
+              #{index + 1} {(row.label || "").trim() || "Unlabeled"}
+            </Text>
+            {issues.map((item) => (
+              <Text
+                key={`${item.field}-${item.message}`}
+                variant="caption-1"
+                color={item.level === "error" ? "critical" : "warning"}
+              >
+                {item.level === "error" ? "Error" : "Warning"}:{" "}
+                {item.message}
+              </Text>
+            ))}
+          </View>
+        ))}
+      </View>
+    </Card>
+  );
+};
+
+export default JobWarnings;
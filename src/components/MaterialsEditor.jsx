@@ -0,0 +1,254 @@
+import React from "react";
+import {
+  View,
+  Text,
+  Button,
+  Table,
+  TextField,
+  FormControl,
+  Select,
+  Accordion,
+} from "reshaped";
+import {
+  GRAIN_DIRECTIONS,
+  createMaterialId,
+  describeMaterial,
+  getMaterialThickness,
+  resolvePanelGrain,
+} from "../lib/materials.js";
+
+/**
+ * Editor for the job's material list: sheet goods with a thickness, the
+ * job default, panel roles pinned to a material regardless of the
+ * cabinet (backs, braces), and the grain direction of each role. Rows
+ * pick their own material in the spec table.
+ */
+const MaterialsEditor = ({ settings, onChange, panelTypes, units }) => {
+  const { materials, defaultMaterialId, roleMaterials } = settings;
+  const roleGrain = settings.roleGrain || {};
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const updateMaterial = (id, field, value) => {
+    update({
+      materials: materials.map((m) =>
+        m.id === id ? { ...m, [field]: value } : m
+      ),
+    });
+  };
+
+  const handleAddMaterial = () => {
+    update({
+      materials: [
+        ...materials,
+        { id: createMaterialId(), name: "New material", thickness: "0.75" },
+      ],
+    });
+  };
+
+  const handleRemoveMaterial = (id) => {
+    const remaining = materials.filter((m) => m.id !== id);
+    // Drop pins to the removed material so those roles follow the cabinet
+    const nextRoles = Object.fromEntries(
+      Object.entries(roleMaterials).filter(([, value]) => value !== id)
+    );
+    update({
+      materials: remaining,
+      roleMaterials: nextRoles,
+      defaultMaterialId:
+        defaultMaterialId === id
+          ? (remaining[0] && remaining[0].id) || ""
+          : defaultMaterialId,
+    });
+  };
+
+  const handleRoleChange = (panelType, value) => {
+    const next = { ...roleMaterials };
+    if (value) {
+      next[panelType] = value;
+    } else {
+      delete next[panelType];
+    }
+    update({ roleMaterials: next });
+  };
+
+  const handleGrainChange = (panelType, value) => {
+    const next = { ...roleGrain };
+    if (value) {
+      next[panelType] = value;
+    } else {
+      delete next[panelType];
+    }
+    update({ roleGrain: next });
+  };
+
+  const materialOptions = materials.map((m) => (
+    <option key={m.id} value={m.id}>
+      {describeMaterial(m, units)}
+    </option>
+  ));
+
+  return (
+    <Accordion>
+      <Accordion.Trigger>
+        <View gap={0.5}>
+          <Text variant="featured-4" weight="medium">
+            Materials
+          </Text>
+          <Text variant="caption-1" color="neutral-faded">
+            {materials.length} material{materials.length === 1 ? "" : "s"}
+            {" · "}
+            {Object.keys(roleMaterials).length} pinned role
+            {Object.keys(roleMaterials).length === 1 ? "" : "s"}
+          </Text>
+        </View>
+      </Accordion.Trigger>
+      <Accordion.Content>
+        <View gap={4} paddingTop={3}>
+          <View
+            borderColor="neutral-faded"
+            borderRadius="large"
+            borderWidth={1}
+            overflow="hidden"
+          >
+            <Table border columnBorder>
+              <Table.Row highlighted>
+                <Table.Heading>Material</Table.Heading>
+                <Table.Heading>Thickness</Table.Heading>
+                <Table.Heading />
+              </Table.Row>
+              {materials.map((material) => {
+                const invalid =
+                  getMaterialThickness(material) == null ||
+                  getMaterialThickness(material) <= 0;
+                return (
+                  <Table.Row key={material.id}>
+                    <Table.Cell>
+                      <TextField
+                        size="small"
+                        value={material.name}
+                        onChange={({ value }) =>
+                          updateMaterial(material.id, "name", value)
+                        }
+                      />
+                    </Table.Cell>
+                    <Table.Cell>
+                      <FormControl size="small" hasError={invalid}>
+                        <TextField
+                          size="small"
+                          suffix="in"
+                          value={material.thickness}
+                          onChange={({ value }) =>
+                            updateMaterial(material.id, "thickness", value)
+                          }
+                        />
+                        {invalid && (
+                          <FormControl.Error>
+                            Enter a thickness, e.g. 3/4 or 18mm
+                          </FormControl.Error>
+                        )}
+                      </FormControl>
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Button
+                        variant="ghost"
+                        color="neutral"
+                        size="small"
+                        disabled={materials.length <= 1}
+                        onClick={() => handleRemoveMaterial(material.id)}
+                      >
+                        Remove
+                      </Button>
+                    </Table.Cell>
+                  </Table.Row>
+                );
+              })}
+            </Table>
+          </View>
+
+          <View
+            direction="row"
+            justify="space-between"
+            align="end"
+            gap={2}
+            wrap
+          >
+            <View.Item columns={{ s: 12, m: 6 }}>
+              <FormControl size="small">
+                <FormControl.Label>Job default material</FormControl.Label>
+                <Select
+                  name="defaultMaterial"
+                  size="small"
+                  value={defaultMaterialId}
+                  onChange={({ value }) =>
+                    update({ defaultMaterialId: value })
+                  }
+                >
+                  {materialOptions}
+                </Select>
+              </FormControl>
+            </View.Item>
+            <Button
+              variant="outline"
+              color="primary"
+              size="small"
+              onClick={handleAddMaterial}
+            >
+              Add material
+            </Button>
+          </View>
+
+          <View gap={2}>
+            <Text variant="body-2" weight="medium">
+              Panel roles
+            </Text>
+            <Text variant="caption-1" color="neutral-faded">
+              Pin a role to one material for every cabinet. Unpinned roles
+              use the cabinet's material, or the job default. Grain says
+              which side of the part runs with the sheet&apos;s grain;
+              &quot;Any&quot; parts may be turned to nest better.
+            </Text>
+            <View direction="row" gap={2} wrap>
+              {panelTypes.map((panelType) => (
+                <View.Item key={panelType} columns={{ s: 6, m: 4 }}>
+                  <FormControl size="small">
+                    <FormControl.Label>{panelType}</FormControl.Label>
+                    <View gap={1}>
+                      <Select
+                        name={`roleMaterial-${panelType}`}
+                        size="small"
+                        value={roleMaterials[panelType] || ""}
+                        onChange={({ value }) =>
+                          handleRoleChange(panelType, value)
+                        }
+                      >
+                        <option value="">Follows cabinet</option>
+                        {materialOptions}
+                      </Select>
+                      <Select
+                        name={`roleGrain-${panelType}`}
+                        size="small"
+                        value={resolvePanelGrain(settings, panelType)}
+                        onChange={({ value }) =>
+                          handleGrainChange(panelType, value)
+                        }
+                      >
+                        {GRAIN_DIRECTIONS.map((grain) => (
+                          <option key={grain.id} value={grain.id}>
+                            Grain: {grain.label.toLowerCase()}
+                          </option>
+                        ))}
+                      </Select>
+                    </View>
+                  </FormControl>
+                </View.Item>
+              ))}
+            </View>
+          </View>
+        </View>
+      </Accordion.Content>
+    </Accordion>
+  );
+};
+
+export default MaterialsEditor;
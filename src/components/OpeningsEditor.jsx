@@ -0,0 +1,184 @@
+import React from "react";
+import {
+  View,
+  Text,
+  TextField,
+  FormControl,
+  Select,
+  Accordion,
+} from "reshaped";
+import { DOOR_STYLES, FRAME_CONSTRUCTIONS } from "../lib/openings.js";
+import { SLIDE_PROFILES } from "../lib/drawerBoxes.js";
+import { getUnitSystem } from "../lib/units.js";
+
+// Length settings: [field, label], shown per construction / door style
+const FRAME_FIELDS = [
+  ["stileWidth", "Stile width"],
+  ["railWidth", "Rail width"],
+  ["overlay", "Door overlay"],
+];
+const FRONT_FIELDS = [["reveal", "Reveal between fronts"]];
+const FIVE_PIECE_FIELDS = [
+  ["doorStileWidth", "Door stile width"],
+  ["doorRailWidth", "Door rail width"],
+  ["tongue", "Tongue / tenon"],
+  ["panelGap", "Panel clearance"],
+];
+const DRAWER_BOX_FIELDS = [
+  ["sideThickness", "Box side thickness"],
+  ["grooveDepth", "Bottom groove depth"],
+];
+
+// A length input with the job's unit suffix
+const LengthField = ({ label, suffix, value, onChange }) => (
+  <FormControl size="small">
+    <FormControl.Label>{label}</FormControl.Label>
+    <TextField
+      size="small"
+      suffix={suffix}
+      value={value}
+      onChange={({ value: next }) => onChange(next)}
+    />
+  </FormControl>
+);
+
+/**
+ * Job-wide settings for face frames, doors, drawer fronts and drawer
+ * boxes. Rows set their door count, drawer heights and slides; these
+ * settings size the parts. Lengths are typed in the job's units.
+ */
+const OpeningsEditor = ({
+  settings,
+  onChange,
+  drawerBoxSettings,
+  onDrawerBoxSettingsChange,
+  units,
+}) => {
+  const suffix = getUnitSystem(units.system).suffix;
+  const faceFrame = settings.construction !== "frameless";
+  const construction =
+    FRAME_CONSTRUCTIONS.find((c) => c.id === settings.construction) ||
+    FRAME_CONSTRUCTIONS[0];
+  const doorStyle =
+    DOOR_STYLES.find((d) => d.id === settings.doorStyle) || DOOR_STYLES[0];
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const fields = [
+    ...(faceFrame ? FRAME_FIELDS : []),
+    ...FRONT_FIELDS,
+    ...(settings.doorStyle === "five-piece" ? FIVE_PIECE_FIELDS : []),
+  ];
+
+  return (
+    <Accordion>
+      <Accordion.Trigger>
+        <View gap={0.5}>
+          <Text variant="featured-4" weight="medium">
+            Face frames, doors &amp; drawer fronts
+          </Text>
+          <Text variant="caption-1" color="neutral-faded">
+            {construction.label} · {doorStyle.label} doors
+          </Text>
+        </View>
+      </Accordion.Trigger>
+      <Accordion.Content>
+        <View gap={3} paddingTop={3}>
+          <View direction="row" gap={2} wrap>
+            <View.Item columns={{ s: 6, m: 3 }}>
+              <FormControl size="small">
+                <FormControl.Label>Construction</FormControl.Label>
+                <Select
+                  name="frameConstruction"
+                  size="small"
+                  value={settings.construction}
+                  onChange={({ value }) => update({ construction: value })}
+                >
+                  {FRAME_CONSTRUCTIONS.map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.label}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+            </View.Item>
+            <View.Item columns={{ s: 6, m: 3 }}>
+              <FormControl size="small">
+                <FormControl.Label>Door style</FormControl.Label>
+                <Select
+                  name="doorStyle"
+                  size="small"
+                  value={settings.doorStyle}
+                  onChange={({ value }) => update({ doorStyle: value })}
+                >
+                  {DOOR_STYLES.map((d) => (
+                    <option key={d.id} value={d.id}>
+                      {d.label}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+            </View.Item>
+            {fields.map(([field, label]) => (
+              <View.Item key={field} columns={{ s: 6, m: 3 }}>
+                <LengthField
+                  label={label}
+                  suffix={suffix}
+                  value={settings[field]}
+                  onChange={(value) => update({ [field]: value })}
+                />
+              </View.Item>
+            ))}
+          </View>
+
+          {faceFrame ? (
+            <Text variant="caption-1" color="neutral-faded">
+              Drawer heights are face-frame openings, top-down. Fronts
+              overlap each opening by the overlay on all sides; the door
+              opening gets the remaining height.
+            </Text>
+          ) : (
+            <Text variant="caption-1" color="neutral-faded">
+              Drawer heights are front heights, top-down. Fronts cover
+              the box with the reveal between them; the doors get the
+              remaining height.
+            </Text>
+          )}
+
+          <View gap={2}>
+            <Text variant="body-2" weight="medium">
+              Drawer boxes
+            </Text>
+            <View direction="row" gap={2} wrap>
+              {DRAWER_BOX_FIELDS.map(([field, label]) => (
+                <View.Item key={field} columns={{ s: 6, m: 3 }}>
+                  <LengthField
+                    label={label}
+                    suffix={suffix}
+                    value={drawerBoxSettings[field]}
+                    onChange={(value) =>
+                      onDrawerBoxSettingsChange({
+                        ...drawerBoxSettings,
+                        [field]: value,
+                      })
+                    }
+                  />
+                </View.Item>
+              ))}
+            </View>
+            <Text variant="caption-1" color="neutral-faded">
+              Rows with drawer slides get a box per drawer. Boxes are as
+              long as the longest slide that fits the cabinet depth.{" "}
+              {SLIDE_PROFILES.map(
+                (profile) =>
+                  `${profile.label}: ${profile.lengths.join(", ")}".`
+              ).join(" ")}
+            </Text>
+          </View>
+        </View>
+      </Accordion.Content>
+    </Accordion>
+  );
+};
+
+export default OpeningsEditor;
@@ -0,0 +1,279 @@
+import React from "react";
+import { describeCabinet } from "../lib/cabinetTypes.js";
+import { formatMoney } from "../lib/costing.js";
+import { getBanding, summarizeBanding } from "../lib/edgeBanding.js";
+import {
+  buildPanelLabels,
+  getLabelLayout,
+  groupByPanelType,
+  paginate,
+} from "../lib/printing.js";
+import {
+  describeMaterial,
+  getGrainDirection,
+  getMaterial,
+  groupByMaterial,
+} from "../lib/materials.js";
+import { formatLength, getUnitSystem } from "../lib/units.js";
+
+// Job header shared by the cut-sheet pages
+const JobHeader = ({ job }) => (
+  <header className="print-job-header">
+    <h1>{job.name || "Untitled job"}</h1>
+    <dl>
+      {job.customer && (
+        <>
+          <dt>Customer</dt>
+          <dd>{job.customer}</dd>
+        </>
+      )}
+      {job.address && (
+        <>
+          <dt>Address</dt>
+          <dd>{job.address}</dd>
+        </>
+      )}
+      {job.date && (
+        <>
+          <dt>Date</dt>
+          <dd>{job.date}</dd>
+        </>
+      )}
+    </dl>
+    {job.notes && <p className="print-notes">{job.notes}</p>}
+  </header>
+);
+
+const CutSheet = ({ job, panels, materials, banding, units }) => {
+  const suffix = getUnitSystem(units.system).suffix;
+  const size = (n) => formatLength(n, units);
+  const totalPieces = panels.reduce((sum, p) => sum + p.count, 0);
+  const bandingTotals = summarizeBanding(panels, banding);
+
+  return (
+    <div className="print-cutsheet">
+      <JobHeader job={job} />
+      <p className="print-summary">
+        {totalPieces} pieces · sizes in {suffix} (width x height)
+      </p>
+
+      {groupByMaterial(panels, materials).map(({ material, items }) => (
+        <section key={material.id} className="print-material">
+          <h2>{describeMaterial(material, units)}</h2>
+          {groupByPanelType(items).map(({ panelType, items: cuts }) => (
+            <section key={panelType} className="print-group">
+              <h3>{panelType}</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Cut</th>
+                    <th>Qty</th>
+                    <th>Width</th>
+                    <th>Height</th>
+                    <th>Edges</th>
+                    <th>Cabinets</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {cuts.map((p, idx) => (
+                    <tr key={idx}>
+                      <td className="print-checks">
+                        {Array.from({ length: p.count }, (_, i) => (
+                          <span key={i} className="print-checkbox" />
+                        ))}
+                      </td>
+                      <td>{p.count}</td>
+                      <td>{size(p.width)}</td>
+                      <td>{size(p.height)}</td>
+                      <td>
+                        {p.bandingCode &&
+                          `${p.bandingCode} · ${
+                            getBanding(banding, p.bandingId).name
+                          }`}
+                      </td>
+                      <td>{p.cabinets}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          ))}
+        </section>
+      ))}
+
+      {bandingTotals.length > 0 && (
+        <section className="print-group">
+          <h3>Edge banding</h3>
+          <table>
+            <tbody>
+              {bandingTotals.map(({ banding: b, feet }) => (
+                <tr key={b.id}>
+                  <td>{b.name}</td>
+                  <td>{feet.toFixed(1)} ft</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+};
+
+// Customer-facing quote: one line per cabinet, no cost breakdown
+const Quote = ({ job, quote, currency, units }) => {
+  const money = (amount) => formatMoney(amount, currency);
+
+  return (
+    <div className="print-quote">
+      <JobHeader job={job} />
+      <h2>Quote</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Cabinet</th>
+            <th>Description</th>
+            <th className="print-number">Qty</th>
+            <th className="print-number">Unit price</th>
+            <th className="print-number">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quote.lines.map((line) => (
+            <tr key={line.row.id}>
+              <td>{(line.row.label || "").trim() || "Cabinet"}</td>
+              <td>{describeCabinet(line.row, units)}</td>
+              <td className="print-number">{line.quantity}</td>
+              <td className="print-number">{money(line.unitPrice)}</td>
+              <td className="print-number">{money(line.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={4}>Subtotal</td>
+            <td className="print-number">{money(quote.subtotal)}</td>
+          </tr>
+          <tr>
+            <td colSpan={4}>Tax</td>
+            <td className="print-number">{money(quote.tax)}</td>
+          </tr>
+          <tr className="print-quote-total">
+            <td colSpan={4}>Total</td>
+            <td className="print-number">{money(quote.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+};
+
+// Sticker sheets: one label per physical panel. The arrow marks the
+// grain direction; parts free to rotate get none.
+const LabelSheets = ({ rowPanels, materials, units, layoutId }) => {
+  const layout = getLabelLayout(layoutId);
+  const size = (n) => formatLength(n, units);
+  const suffix = getUnitSystem(units.system).suffix;
+  const pages = paginate(
+    buildPanelLabels(rowPanels),
+    layout.columns * layout.rows
+  );
+
+  const pageStyle = {
+    paddingTop: `${layout.marginTop}in`,
+    paddingLeft: `${layout.marginLeft}in`,
+    gridTemplateColumns: `repeat(${layout.columns}, ${layout.width}in)`,
+    gridAutoRows: `${layout.height}in`,
+    columnGap: `${layout.columnGap}in`,
+    rowGap: `${layout.rowGap}in`,
+  };
+  const compact = layout.height < 1.5;
+
+  return (
+    <div className="print-labels">
+      {pages.map((labels, pageIndex) => (
+        <div key={pageIndex} className="print-label-page" style={pageStyle}>
+          {labels.map((label) => (
+            <div
+              key={label.partNumber}
+              className={`print-label${compact ? " is-compact" : ""}`}
+            >
+              <div className="print-label-main">
+                <strong>{label.cabinetLabel}</strong>
+                <span>{label.panelType}</span>
+                <span>{getMaterial(materials, label.materialId).name}</span>
+                {label.bandingCode && <span>Band {label.bandingCode}</span>}
+                <span>
+                  {size(label.width)} x {size(label.height)} {suffix}
+                </span>
+                <span className="print-label-part">{label.partNumber}</span>
+              </div>
+              {label.grain && (
+                <div
+                  className="print-label-grain"
+                  aria-label={`Grain ${getGrainDirection(
+                    label.grain
+                  ).label.toLowerCase()}`}
+                >
+                  {getGrainDirection(label.grain).symbol}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Print-only rendering of the job. Hidden on screen; App sets `mode`
+ * ("cutsheet", "labels" or "quote") and opens the browser print
+ * dialog, which also offers Save as PDF.
+ */
+const PrintView = ({
+  mode,
+  job,
+  panels,
+  rowPanels,
+  materials,
+  banding,
+  quote,
+  currency,
+  units,
+  labelLayout,
+}) => {
+  if (!mode) return null;
+
+  return (
+    <div className={`print-root print-mode-${mode}`}>
+      <style>
+        {mode === "labels"
+          ? "@page { size: letter; margin: 0; }"
+          : "@page { size: letter; margin: 0.5in; }"}
+      </style>
+      {mode === "labels" && (
+        <LabelSheets
+          rowPanels={rowPanels}
+          materials={materials}
+          units={units}
+          layoutId={labelLayout}
+        />
+      )}
+      {mode === "quote" && (
+        <Quote job={job} quote={quote} currency={currency} units={units} />
+      )}
+      {mode === "cutsheet" && (
+        <CutSheet
+          job={job}
+          panels={panels}
+          materials={materials}
+          banding={banding}
+          units={units}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PrintView;
@@ -0,0 +1,208 @@
+import React from "react";
+import {
+  View,
+  Text,
+  Button,
+  Select,
+  Progress,
+  Accordion,
+  Divider,
+} from "reshaped";
+import { describeCabinet } from "../lib/cabinetTypes.js";
+import { getMaterial } from "../lib/materials.js";
+import {
+  PRODUCTION_STAGES,
+  advancePart,
+  getPartStages,
+  listPartPieces,
+  setPieceStage,
+} from "../lib/production.js";
+import { formatLength } from "../lib/units.js";
+
+// Pieces through each stage, e.g. "Cut 12/20 · Machined 4/20"
+const StageCounts = ({ stages }) => (
+  <Text variant="caption-1" color="neutral-faded">
+    {PRODUCTION_STAGES.filter((stage) => stages[stage.id].total > 0)
+      .map(
+        (stage) =>
+          `${stage.label} ${stages[stage.id].done}/${stages[stage.id].total}`
+      )
+      .join(" · ")}
+  </Text>
+);
+
+const ProgressBar = ({ summary, label }) => (
+  <Progress
+    value={summary.percent}
+    color={summary.finished === summary.pieces ? "positive" : "primary"}
+    ariaLabel={label}
+  />
+);
+
+/**
+ * Production mode: every physical piece of the cut-list, marked through
+ * the stages in lib/production.js, with a progress bar for the job and
+ * one per cabinet row. Cabinets open one at a time so a tablet on the
+ * shop floor shows just the run being built.
+ *
+ * entries: [{ row, quantity, parts }] from buildCabinetBreakdown.
+ * summary: summarizeProgress(entries, progress).
+ * onChange(progress) saves the new progress.
+ */
+const ProductionView = ({
+  entries,
+  summary,
+  progress,
+  onChange,
+  onReset,
+  materials,
+  units,
+}) => {
+  const size = (n) => formatLength(n, units);
+
+  return (
+    <View gap={4}>
+      <View gap={1.5}>
+        <View
+          direction="row"
+          justify="space-between"
+          align="center"
+          gap={2}
+        >
+          <Text variant="body-2" weight="medium">
+            {summary.job.finished} of {summary.job.pieces} pieces finished
+          </Text>
+          <Text variant="featured-4" weight="bold">
+            {summary.job.percent}%
+          </Text>
+        </View>
+        <ProgressBar summary={summary.job} label="Job progress" />
+        <View direction="row" justify="space-between" align="center" gap={2}>
+          <StageCounts stages={summary.job.stages} />
+          <Button
+            variant="ghost"
+            color="critical"
+            size="small"
+            disabled={Object.keys(progress).length === 0}
+            onClick={onReset}
+          >
+            Reset progress
+          </Button>
+        </View>
+      </View>
+
+      <Divider />
+
+      {entries.map(({ row, parts }, index) => {
+        const rowSummary = summary.rows[index];
+        const label = (row.label || "").trim() || "Unlabeled";
+        return (
+          <Accordion key={row.id}>
+            <Accordion.Trigger>
+              <View gap={1} paddingBlock={1}>
+                <View
+                  direction="row"
+                  justify="space-between"
+                  align="center"
+                  gap={2}
+                >
+                  <View gap={0.5}>
+                    <Text variant="body-1" weight="medium">
+                      {label}
+                    </Text>
+                    <Text variant="caption-1" color="neutral-faded">
+                      {describeCabinet(row, units)}
+                    </Text>
+                  </View>
+                  <Text variant="body-2" weight="medium">
+                    {rowSummary.finished}/{rowSummary.pieces} ·{" "}
+                    {rowSummary.percent}%
+                  </Text>
+                </View>
+                <ProgressBar summary={rowSummary} label={`${label} progress`} />
+              </View>
+            </Accordion.Trigger>
+            <Accordion.Content>
+              <View gap={3} paddingTop={2}>
+                <StageCounts stages={rowSummary.stages} />
+                {parts.length === 0 && (
+                  <Text variant="caption-1" color="critical">
+                    No parts – check this cabinet&apos;s warnings.
+                  </Text>
+                )}
+                {parts.map((part) => {
+                  const stages = getPartStages(part);
+                  return (
+                    <View
+                      key={part.key}
+                      gap={2}
+                      padding={3}
+                      borderColor="neutral-faded"
+                      borderRadius="medium"
+                      borderWidth={1}
+                    >
+                      <View
+                        direction="row"
+                        justify="space-between"
+                        align="center"
+                        gap={2}
+                      >
+                        <View gap={0.5}>
+                          <Text variant="body-2" weight="medium">
+                            #{part.piece} {part.panelType}{" "}
+                            {size(part.width)} x {size(part.height)}
+                          </Text>
+                          <Text variant="caption-1" color="neutral-faded">
+                            {getMaterial(materials, part.materialId).name}
+                            {part.bandingCode
+                              ? ` · edges ${part.bandingCode}`
+                              : ""}
+                          </Text>
+                        </View>
+                        <Button
+                          variant="outline"
+                          color="primary"
+                          onClick={() =>
+                            onChange(advancePart(progress, row.id, part))
+                          }
+                        >
+                          All to next stage
+                        </Button>
+                      </View>
+                      <View direction="row" gap={2} wrap>
+                        {listPartPieces(row.id, part).map(({ id, n }) => (
+                          <View.Item key={id} columns={{ s: 6, m: 3 }}>
+                            <Select
+                              name={id}
+                              value={progress[id] || ""}
+                              inputAttributes={{
+                                "aria-label":
+                                  `${label} #${part.piece} piece ${n}`,
+                              }}
+                              onChange={({ value }) =>
+                                onChange(setPieceStage(progress, id, value))
+                              }
+                            >
+                              <option value="">{n}: Not started</option>
+                              {stages.map((stage) => (
+                                <option key={stage.id} value={stage.id}>
+                                  {n}: {stage.label}
+                                </option>
+                              ))}
+                            </Select>
+                          </View.Item>
+                        ))}
+                      </View>
+                    </View>
+                  );
+                })}
+              </View>
+            </Accordion.Content>
+          </Accordion>
+        );
+      })}
+    </View>
+  );
+};
+
+export default ProductionView;
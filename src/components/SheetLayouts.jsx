@@ -0,0 +1,305 @@
+import React from "react";
+import {
+  View,
+  Text,
+  TextField,
+  FormControl,
+  Select,
+  Card,
+} from "reshaped";
+import { describeMaterial } from "../lib/materials.js";
+import { SHEET_STOCK } from "../lib/nesting.js";
+import { formatLength, getUnitSystem } from "../lib/units.js";
+
+// Fill colours per panel type in the sheet diagrams
+const PANEL_COLORS = {
+  Wall: "#c7dcf5",
+  Floor: "#f5e1c7",
+  Back: "#d5efd0",
+  Brace: "#f2cfe0",
+};
+const FALLBACK_COLOR = "#e4e4e7";
+
+// One sheet, drawn landscape (sheet length runs left to right)
+const SheetDiagram = ({ sheet, index, sheetWidth, sheetHeight, units }) => {
+  const size = (n) => formatLength(n, units);
+  const fontSize = Math.max(1.6, Math.min(sheetWidth, sheetHeight) / 24);
+
+  return (
+    <View gap={1}>
+      <Text variant="caption-1" color="neutral-faded">
+        Sheet {index + 1} ·{" "}
+        {Math.round((sheet.usedArea / (sheetWidth * sheetHeight)) * 100)}%
+        used · {sheet.placements.length} pcs
+      </Text>
+      <svg
+        viewBox={`0 0 ${sheetHeight} ${sheetWidth}`}
+        width="100%"
+        role="img"
+        aria-label={`Sheet ${index + 1} layout`}
+        style={{ display: "block" }}
+      >
+        <rect
+          x={0}
+          y={0}
+          width={sheetHeight}
+          height={sheetWidth}
+          fill="#fafafa"
+          stroke="#71717a"
+          strokeWidth={0.3}
+        />
+        {sheet.placements.map((p, i) => {
+          // Swap axes to draw the sheet landscape
+          const x = p.y;
+          const y = p.x;
+          const w = p.height;
+          const h = p.width;
+          const showLabel = w > fontSize * 5 && h > fontSize * 2.4;
+
+          return (
+            <g key={i}>
+              <rect
+                x={x}
+                y={y}
+                width={w}
+                height={h}
+                fill={PANEL_COLORS[p.panelType] || FALLBACK_COLOR}
+                stroke="#3f3f46"
+                strokeWidth={0.2}
+              >
+                <title>
+                  {`${p.panelType} ${size(p.width)} x ${size(p.height)}${
+                    p.rotated ? " (rotated)" : ""
+                  } – ${p.cabinets}`}
+                </title>
+              </rect>
+              {showLabel && (
+                <text
+                  x={x + w / 2}
+                  y={y + h / 2}
+                  fontSize={fontSize}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fill="#18181b"
+                >
+                  {`${p.panelType} ${size(p.width)}x${size(p.height)}`}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </View>
+  );
+};
+
+// Nesting result for one material's panels
+const MaterialSheets = ({ title, result, sheetWidth, sheetHeight, units }) => {
+  const size = (n) => formatLength(n, units);
+
+  return (
+    <Card padding={3} backgroundColor="neutral-faded">
+      <View gap={3}>
+        <Text variant="body-2" weight="medium">
+          {title}
+        </Text>
+        <View direction="row" justify="space-between" gap={2}>
+          <View gap={0.5}>
+            <Text variant="caption-1" color="neutral-faded">
+              Sheets
+            </Text>
+            <Text variant="featured-4" weight="bold">
+              {result.sheetCount}
+            </Text>
+          </View>
+          <View gap={0.5} align="center">
+            <Text variant="caption-1" color="neutral-faded">
+              Yield
+            </Text>
+            <Text variant="featured-4" weight="bold">
+              {result.yieldPercent.toFixed(1)}%
+            </Text>
+          </View>
+          <View gap={0.5} align="end">
+            <Text variant="caption-1" color="neutral-faded">
+              Waste
+            </Text>
+            <Text variant="featured-4" weight="bold">
+              {result.wastePercent.toFixed(1)}%
+            </Text>
+          </View>
+        </View>
+
+        {result.unplaced.length > 0 && (
+          <Text variant="body-3" color="critical">
+            {result.unplaced.length} piece
+            {result.unplaced.length === 1 ? "" : "s"} too large for this
+            sheet with the grain:{" "}
+            {result.unplaced
+              .map(
+                (p) => `${p.panelType} ${size(p.width)} x ${size(p.height)}`
+              )
+              .join(", ")}
+          </Text>
+        )}
+
+        {result.sheets.map((sheet, index) => (
+          <SheetDiagram
+            key={index}
+            sheet={sheet}
+            index={index}
+            sheetWidth={sheetWidth}
+            sheetHeight={sheetHeight}
+            units={units}
+          />
+        ))}
+      </View>
+    </Card>
+  );
+};
+
+/**
+ * Sheet stock picker and the nested layouts, one set per material.
+ * App does the nesting (costing needs the sheet counts too) and keeps
+ * the settings so they travel with the rest of the job; sheet sizes
+ * and kerf are typed in the job's units.
+ *
+ * layouts: [{ material, result }] with result from nestPanels
+ * sheetSize: { sheetWidth, sheetHeight } in inches
+ * updating: the panels changed and the layouts are about to follow
+ */
+const SheetLayouts = ({
+  layouts,
+  sheetSize,
+  settings,
+  onSettingsChange,
+  units,
+  updating,
+}) => {
+  const suffix = getUnitSystem(units.system).suffix;
+  const { sheetWidth, sheetHeight } = sheetSize;
+  const groups = layouts.filter(
+    ({ result }) => result.sheetCount > 0 || result.unplaced.length > 0
+  );
+
+  const handleStockChange = ({ value }) => {
+    const stock = SHEET_STOCK.find((s) => s.id === value);
+    if (!stock) return;
+    onSettingsChange({
+      ...settings,
+      stockId: stock.id,
+      sheetWidth:
+        stock.width != null
+          ? formatLength(stock.width, units)
+          : settings.sheetWidth,
+      sheetHeight:
+        stock.height != null
+          ? formatLength(stock.height, units)
+          : settings.sheetHeight,
+    });
+  };
+
+  const handleFieldChange = (field) => ({ value }) => {
+    onSettingsChange({
+      ...settings,
+      // Editing a dimension turns the preset into a custom size
+      stockId:
+        field === "kerf" ? settings.stockId : "custom",
+      [field]: value,
+    });
+  };
+
+  return (
+    <View gap={3}>
+      <View gap={0.5}>
+        <Text variant="featured-4" weight="medium">
+          Sheet layouts
+        </Text>
+        <Text variant="caption-1" color="neutral-faded">
+          Panels nested onto stock sheets. Pieces without a grain
+          direction may be rotated to improve yield.
+        </Text>
+        {updating && (
+          <Text variant="caption-1" color="neutral-faded">
+            Updating layouts…
+          </Text>
+        )}
+      </View>
+
+      <View direction="row" gap={2} wrap>
+        <View.Item grow>
+          <FormControl size="small">
+            <FormControl.Label>Sheet stock</FormControl.Label>
+            <Select
+              name="sheetStock"
+              size="small"
+              value={settings.stockId}
+              onChange={handleStockChange}
+            >
+              {SHEET_STOCK.map((stock) => (
+                <option key={stock.id} value={stock.id}>
+                  {stock.label}
+                </option>
+              ))}
+            </Select>
+          </FormControl>
+        </View.Item>
+        <View.Item columns={3}>
+          <FormControl size="small">
+            <FormControl.Label>Width</FormControl.Label>
+            <TextField
+              suffix={suffix}
+              size="small"
+              value={settings.sheetWidth}
+              onChange={handleFieldChange("sheetWidth")}
+            />
+          </FormControl>
+        </View.Item>
+        <View.Item columns={3}>
+          <FormControl size="small">
+            <FormControl.Label>Length</FormControl.Label>
+            <TextField
+              suffix={suffix}
+              size="small"
+              value={settings.sheetHeight}
+              onChange={handleFieldChange("sheetHeight")}
+            />
+          </FormControl>
+        </View.Item>
+        <View.Item columns={3}>
+          <FormControl size="small">
+            <FormControl.Label>Kerf</FormControl.Label>
+            <TextField
+              suffix={suffix}
+              size="small"
+              value={settings.kerf}
+              onChange={handleFieldChange("kerf")}
+            />
+          </FormControl>
+        </View.Item>
+      </View>
+
+      {groups.length === 0 ? (
+        <Card padding={3} backgroundColor="neutral-faded">
+          <Text variant="body-2" color="neutral-faded">
+            Sheet layouts will appear once there are panels and a
+            valid sheet size.
+          </Text>
+        </Card>
+      ) : (
+        groups.map(({ material, result }) => (
+          <MaterialSheets
+            key={material.id}
+            title={describeMaterial(material, units)}
+            result={result}
+            sheetWidth={sheetWidth}
+            sheetHeight={sheetHeight}
+            units={units}
+          />
+        ))
+      )}
+    </View>
+  );
+};
+
+export default SheetLayouts;
@@ -0,0 +1,62 @@
+import React from "react";
+import { View, Text, FormControl, Select } from "reshaped";
+import { UNIT_SYSTEMS, getUnitSystem } from "../lib/units.js";
+
+// Job unit system and the precision sizes are rounded to
+const UnitControls = ({ settings, onChange }) => {
+  const system = getUnitSystem(settings.system);
+
+  const handleSystemChange = ({ value }) => {
+    const next = getUnitSystem(value);
+    onChange({ system: next.id, precision: next.defaultPrecision });
+  };
+
+  return (
+    <View direction="row" gap={2} align="end" wrap>
+      <View.Item columns={{ s: 6, m: 3 }}>
+        <FormControl size="small">
+          <FormControl.Label>Units</FormControl.Label>
+          <Select
+            name="unitSystem"
+            size="small"
+            value={system.id}
+            onChange={handleSystemChange}
+          >
+            {UNIT_SYSTEMS.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.label}
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+      </View.Item>
+      <View.Item columns={{ s: 6, m: 3 }}>
+        <FormControl size="small">
+          <FormControl.Label>Round sizes to</FormControl.Label>
+          <Select
+            name="unitPrecision"
+            size="small"
+            value={settings.precision}
+            onChange={({ value }) =>
+              onChange({ ...settings, precision: value })
+            }
+          >
+            {system.precisions.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+      </View.Item>
+      <View.Item grow>
+        <Text variant="caption-1" color="neutral-faded">
+          Lengths accept decimals, fractions (23 5/8), feet-inches
+          (2' 3-1/2") and metric (600mm).
+        </Text>
+      </View.Item>
+    </View>
+  );
+};
+
+export default UnitControls;
@@ -0,0 +1,267 @@
+import React from "react";
+import {
+  View,
+  Text,
+  TextField,
+  FormControl,
+  Button,
+  Card,
+} from "reshaped";
+import { formatLength, getUnitSystem, parseLength } from "../lib/units.js";
+import {
+  WALL_CABINET_BOTTOM,
+  createWallId,
+  getWallRows,
+  layoutElevation,
+} from "../lib/walls.js";
+
+const LOWER_COLOR = "#f5e1c7";
+const UPPER_COLOR = "#c7dcf5";
+// Cabinets that run past the measured wall
+const OVER_COLOR = "#fecaca";
+
+// Front view of one wall: floor line, wall extent and cabinets
+const Elevation = ({ layout, wallLength, units }) => {
+  const size = (n) => formatLength(n, units);
+  const tops = layout.items.map((item) => item.y + item.height);
+  const width = Math.max(wallLength || 0, layout.runLength, 24);
+  const height = Math.max(WALL_CABINET_BOTTOM + 30, ...tops);
+  const margin = 4;
+  const fontSize = 2.6;
+  // SVG y runs down; elevations measure up from the floor
+  const flip = (y) => margin + height - y;
+
+  return (
+    <svg
+      viewBox={`0 0 ${width + 2 * margin} ${height + 2 * margin}`}
+      width="100%"
+      role="img"
+      aria-label="Wall elevation"
+      style={{ display: "block" }}
+    >
+      {wallLength != null && (
+        <rect
+          x={margin}
+          y={margin}
+          width={wallLength}
+          height={height}
+          fill="#fafafa"
+          stroke="#a1a1aa"
+          strokeWidth={0.3}
+          strokeDasharray="1.5 1"
+        />
+      )}
+      <line
+        x1={0}
+        y1={flip(0)}
+        x2={width + 2 * margin}
+        y2={flip(0)}
+        stroke="#71717a"
+        strokeWidth={0.5}
+      />
+      {layout.items.map((item, i) => {
+        const over = wallLength != null && item.x + item.width > wallLength;
+        const fill = over
+          ? OVER_COLOR
+          : item.y > 0
+            ? UPPER_COLOR
+            : LOWER_COLOR;
+        const label = (item.row.label || "").trim();
+        const centerX = margin + item.x + item.width / 2;
+        const centerY = flip(item.y + item.height / 2);
+        const showLabel = label && item.width > fontSize * label.length * 0.6;
+        return (
+          <g key={i}>
+            <rect
+              x={margin + item.x}
+              y={flip(item.y + item.height)}
+              width={item.width}
+              height={item.height}
+              fill={fill}
+              stroke="#52525b"
+              strokeWidth={0.3}
+            />
+            {showLabel && (
+              <text
+                x={centerX}
+                y={centerY - fontSize * 0.7}
+                fontSize={fontSize}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fill="#27272a"
+              >
+                {label}
+              </text>
+            )}
+            {item.width > fontSize * 3 && (
+              <text
+                x={centerX}
+                y={showLabel ? centerY + fontSize * 0.7 : centerY}
+                fontSize={fontSize}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fill="#52525b"
+              >
+                {size(item.width)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Rooms and walls: name and measure each wall, and see its cabinets in
+ * a front elevation with the run length against the wall length. Rows
+ * are put on walls in the cabinet table.
+ *
+ * onChange(walls, key): key groups edits for undo, as in lib/history.js
+ */
+const WallElevations = ({ walls, onChange, onRemoveWall, rows, units }) => {
+  const suffix = getUnitSystem(units.system).suffix;
+  const size = (n) => `${formatLength(n, units)} ${suffix}`;
+
+  // Typing into one wall field undoes as a single edit
+  const updateWall = (id, patch) =>
+    onChange(
+      walls.map((wall) => (wall.id === id ? { ...wall, ...patch } : wall)),
+      `wall:${id}:${Object.keys(patch).join()}`
+    );
+
+  const handleAddWall = () =>
+    onChange([
+      ...walls,
+      { id: createWallId(), name: `Wall ${walls.length + 1}`, length: "" },
+    ]);
+
+  return (
+    <View gap={3}>
+      <View
+        direction="row"
+        justify="space-between"
+        align="center"
+        gap={2}
+        wrap
+      >
+        <View gap={0.5}>
+          <Text variant="featured-4" weight="medium">
+            Rooms &amp; walls
+          </Text>
+          <Text variant="caption-1" color="neutral-faded">
+            Cabinets run left to right in table order. Wall cabinets hang{" "}
+            {size(WALL_CABINET_BOTTOM)} off the floor; tall cabinets take
+            up both runs.
+          </Text>
+        </View>
+        <Button
+          variant="outline"
+          color="neutral"
+          size="small"
+          onClick={handleAddWall}
+        >
+          Add wall
+        </Button>
+      </View>
+
+      {walls.length === 0 && (
+        <Text variant="body-3" color="neutral-faded">
+          No walls yet. Add one per wall (&quot;Sink wall&quot;,
+          &quot;Island&quot;, ...), then pick the wall for each cabinet.
+        </Text>
+      )}
+
+      {walls.map((wall) => {
+        const layout = layoutElevation(getWallRows(rows, wall.id), units);
+        const wallLength = parseLength(wall.length, units);
+        const lengthInvalid =
+          String(wall.length || "").trim() !== "" && wallLength == null;
+        const left = wallLength != null ? wallLength - layout.runLength : null;
+
+        return (
+          <Card key={wall.id} padding={3}>
+            <View gap={3}>
+              <View direction="row" gap={2} align="end" wrap>
+                <View.Item grow>
+                  <FormControl size="small">
+                    <FormControl.Label>Wall</FormControl.Label>
+                    <TextField
+                      size="small"
+                      value={wall.name}
+                      onChange={({ value }) =>
+                        updateWall(wall.id, { name: value })
+                      }
+                    />
+                  </FormControl>
+                </View.Item>
+                <FormControl size="small" hasError={lengthInvalid}>
+                  <FormControl.Label>Measured length</FormControl.Label>
+                  <TextField
+                    size="small"
+                    suffix={suffix}
+                    value={wall.length}
+                    onChange={({ value }) =>
+                      updateWall(wall.id, { length: value })
+                    }
+                  />
+                </FormControl>
+                <Button
+                  variant="ghost"
+                  color="critical"
+                  size="small"
+                  onClick={() => onRemoveWall(wall.id)}
+                >
+                  Remove
+                </Button>
+              </View>
+
+              <View direction="row" gap={4} wrap>
+                <Text variant="body-3">
+                  Run <strong>{size(layout.runLength)}</strong>
+                  {layout.upper > 0 &&
+                    ` (base ${size(layout.lower)}, upper ${size(
+                      layout.upper
+                    )})`}
+                </Text>
+                {left != null && (
+                  <Text
+                    variant="body-3"
+                    weight="medium"
+                    color={left < 0 ? "critical" : "positive"}
+                  >
+                    {left < 0
+                      ? `${size(-left)} over the wall`
+                      : `${size(left)} left of ${size(wallLength)}`}
+                  </Text>
+                )}
+              </View>
+
+              {layout.items.length > 0 ? (
+                <Elevation
+                  layout={layout}
+                  wallLength={wallLength}
+                  units={units}
+                />
+              ) : (
+                <Text variant="caption-1" color="neutral-faded">
+                  No cabinets on this wall yet.
+                </Text>
+              )}
+              {layout.skipped.length > 0 && (
+                <Text variant="caption-1" color="warning">
+                  Not drawn (missing width or height):{" "}
+                  {layout.skipped
+                    .map((row) => (row.label || "").trim() || "Unlabeled")
+                    .join(", ")}
+                </Text>
+              )}
+            </View>
+          </Card>
+        );
+      })}
+    </View>
+  );
+};
+
+export default WallElevations;
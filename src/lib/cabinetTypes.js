@@ -0,0 +1,77 @@
+// Cabinet types a spec row can be. The type picks which panels of the
+// construction style apply and which extra fields the row shows.
+import { formatLength, getUnitSystem, parseLength } from "./units.js";
+
+export const TOP_CONSTRUCTIONS = [
+  { id: "braces", label: "Braces" },
+  { id: "solid", label: "Solid top" },
+];
+
+/**
+ * Each type lists:
+ *  - fields:   extra row inputs shown for the type
+ *  - defaults: values applied to the row when switching to the type
+ */
+export const CABINET_TYPES = [
+  {
+    id: "base",
+    label: "Base",
+    fields: [
+      "shelfCount",
+      "topConstruction",
+      "doorCount",
+      "drawerHeights",
+      "slideProfile",
+    ],
+    defaults: { topConstruction: "braces" },
+  },
+  {
+    id: "wall",
+    label: "Wall",
+    fields: ["shelfCount", "doorCount"],
+    defaults: { kickHeight: "0", topConstruction: "solid" },
+  },
+  {
+    id: "tall",
+    label: "Tall",
+    fields: [
+      "shelfCount",
+      "topConstruction",
+      "doorCount",
+      "drawerHeights",
+      "slideProfile",
+    ],
+    defaults: { topConstruction: "solid" },
+  },
+  {
+    id: "drawer",
+    label: "Drawer bank",
+    fields: ["topConstruction", "drawerHeights", "slideProfile"],
+    defaults: { shelfCount: "0", topConstruction: "braces" },
+  },
+  {
+    id: "sink",
+    label: "Sink base",
+    fields: ["doorCount", "drawerHeights"],
+    defaults: { shelfCount: "0", topConstruction: "braces" },
+  },
+];
+
+export const DEFAULT_CABINET_TYPE = "base";
+
+export const getCabinetType = (id) =>
+  CABINET_TYPES.find((t) => t.id === id) ||
+  CABINET_TYPES.find((t) => t.id === DEFAULT_CABINET_TYPE);
+
+// One-line size description for quotes, e.g. "Base · 30 W x 34 1/2 H x 24 D in"
+export const describeCabinet = (row, units) => {
+  const size = (value) => {
+    const inches = parseLength(value, units);
+    return inches == null ? "?" : formatLength(inches, units);
+  };
+  return `${getCabinetType(row.cabinetType).label} · ${size(
+    row.boxWidth
+  )} W x ${size(row.cabinetHeight)} H x ${size(row.boxDepth)} D ${
+    getUnitSystem(units.system).suffix
+  }`;
+};
@@ -0,0 +1,241 @@
+// 3D view of one cabinet's carcass, built from its computed panels.
+//
+// Sizes come from computePanelsForRow; where each panel goes comes from
+// its role, the way the default styles use them:
+//  - Wall:      the two sides, standing on edge at the left and right
+//  - Floor/Top: flat, centered between the walls, at the bottom / top
+//  - Back:      at the back, centered in height
+//  - Back rail: at the back, one at the top and one at the bottom
+//  - Brace:     at the top, front and back, laid flat; a third and
+//               fourth stand on edge under them
+//  - Shelf:     flat, spaced evenly up the box
+// The toe kick isn't a panel, so it is drawn as a plinth under the box,
+// TOE_KICK_SETBACK back from the front. Other roles (face frames,
+// doors, drawers, custom panels) aren't placed and are listed instead.
+//
+// Coordinates are inches: x runs across the width, y up from the
+// floor and z from the front face back.
+import { getCabinetType } from "./cabinetTypes.js";
+import { getFormulaVariables, panelKey } from "./cutList.js";
+import { parseNumber } from "./numbers.js";
+
+export const TOE_KICK_SETBACK = 3;
+
+// Roles the view knows how to place
+export const PLACED_PANEL_TYPES = [
+  "Wall",
+  "Floor",
+  "Top",
+  "Back",
+  "Back rail",
+  "Brace",
+  "Shelf",
+];
+
+// Size and position of the i-th piece of a role (w along x, h along y,
+// d along z)
+const placePiece = (panelType, i, n, panel, box) => {
+  const { T, W, H, D, K } = box;
+  const centerX = (W - panel.width) / 2;
+  switch (panelType) {
+    case "Wall":
+      return {
+        x: i % 2 === 0 ? 0 : W - T,
+        y: K,
+        z: 0,
+        w: T,
+        h: panel.height,
+        d: panel.width,
+      };
+    case "Floor":
+    case "Top":
+      return {
+        x: centerX,
+        y: panelType === "Floor" ? K : K + H - T,
+        z: 0,
+        w: panel.width,
+        h: T,
+        d: panel.height,
+      };
+    case "Back":
+      return {
+        x: centerX,
+        y: K + (H - panel.height) / 2,
+        z: D - T,
+        w: panel.width,
+        h: panel.height,
+        d: T,
+      };
+    case "Back rail":
+      return {
+        x: centerX,
+        y: i % 2 === 0 ? K + H - panel.height : K + T,
+        z: D - T,
+        w: panel.width,
+        h: panel.height,
+        d: T,
+      };
+    case "Brace": {
+      const back = i % 2 === 1;
+      if (i < 2) {
+        return {
+          x: centerX,
+          y: K + H - T,
+          z: back ? D - panel.height : 0,
+          w: panel.width,
+          h: T,
+          d: panel.height,
+        };
+      }
+      return {
+        x: centerX,
+        y: K + H - T - panel.height,
+        z: back ? D - 2 * T : 0,
+        w: panel.width,
+        h: panel.height,
+        d: T,
+      };
+    }
+    case "Shelf":
+      return {
+        x: centerX,
+        y: K + T + ((i + 1) * (H - 2 * T)) / (n + 1) - T / 2,
+        z: 0,
+        w: panel.width,
+        h: T,
+        d: panel.height,
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * The carcass of one cabinet row. panels are the row's computed panels
+ * (counts for the whole quantity; one cabinet is drawn); options are
+ * the calculation options.
+ *
+ * Returns { parts, size, unplaced } or null when the box can't be
+ * sized: parts are [{ key, panelType, x, y, z, w, h, d }] with key
+ * matching the panel's line in the totals (null for the kick), size is
+ * { width, height, depth } overall, and unplaced lists the roles not
+ * drawn.
+ */
+export const layoutCarcass = (row, panels, options) => {
+  const vars = getFormulaVariables(row, options);
+  const box = {
+    T: vars.Thickness,
+    W: vars.BoxWidth,
+    H: vars.BoxHeight,
+    D: vars.BoxDepth,
+    K: getCabinetType(row.cabinetType).id === "wall" ? 0 : vars.KickHeight,
+  };
+  if (Object.values(box).some((value) => !(value >= 0))) return null;
+  if (!(box.W > 0 && box.H > 0 && box.D > 0)) return null;
+
+  const quantity = parseNumber(row.quantity) || 1;
+  const parts = [];
+  const unplaced = [];
+  PLACED_PANEL_TYPES.forEach((panelType) => {
+    const pieces = panels
+      .filter((panel) => panel.panelType === panelType)
+      .flatMap((panel) =>
+        Array.from(
+          { length: Math.round(panel.count / quantity) },
+          () => panel
+        )
+      );
+    pieces.forEach((panel, i) => {
+      const place = placePiece(panelType, i, pieces.length, panel, box);
+      parts.push({ key: panelKey(panel), panelType, ...place });
+    });
+  });
+  panels.forEach((panel) => {
+    if (
+      !PLACED_PANEL_TYPES.includes(panel.panelType) &&
+      !unplaced.includes(panel.panelType)
+    ) {
+      unplaced.push(panel.panelType);
+    }
+  });
+
+  if (box.K > 0 && box.D > TOE_KICK_SETBACK) {
+    parts.push({
+      key: null,
+      panelType: "Kick",
+      x: 0,
+      y: 0,
+      z: TOE_KICK_SETBACK,
+      w: box.W,
+      h: box.K,
+      d: box.D - TOE_KICK_SETBACK,
+    });
+  }
+
+  return {
+    parts,
+    size: { width: box.W, height: box.K + box.H, depth: box.D },
+    unplaced,
+  };
+};
+
+// Corner indexes and outward normal of each face of a box; corner c
+// has x, y, z offsets (c & 1, c & 2, c & 4)
+const FACES = [
+  { corners: [0, 2, 3, 1], normal: [0, 0, -1] },
+  { corners: [4, 5, 7, 6], normal: [0, 0, 1] },
+  { corners: [0, 4, 6, 2], normal: [-1, 0, 0] },
+  { corners: [1, 3, 7, 5], normal: [1, 0, 0] },
+  { corners: [0, 1, 5, 4], normal: [0, -1, 0] },
+  { corners: [2, 6, 7, 3], normal: [0, 1, 0] },
+];
+
+/**
+ * Project the parts for drawing. yaw turns the cabinet about its
+ * vertical axis, pitch tilts the view down from level (radians); the
+ * viewer starts out in front.
+ *
+ * Returns faces to draw in order, back to front: [{ part, points,
+ * light }] with points as [x, y] in screen units (y down) centered on
+ * the cabinet, and light from 0 to 1 for shading. Faces turned away
+ * from the viewer are left out.
+ */
+export const projectCarcass = ({ parts, size }, yaw, pitch) => {
+  const cosY = Math.cos(yaw);
+  const sinY = Math.sin(yaw);
+  const cosP = Math.cos(pitch);
+  const sinP = Math.sin(pitch);
+  // View-space [x, y, depth] of a direction or a centered point
+  const rotate = ([x, y, z]) => {
+    const x1 = x * cosY - z * sinY;
+    const z1 = x * sinY + z * cosY;
+    return [x1, y * cosP + z1 * sinP, z1 * cosP - y * sinP];
+  };
+  const center = [size.width / 2, size.height / 2, size.depth / 2];
+
+  const faces = [];
+  parts.forEach((part, index) => {
+    const corners = Array.from({ length: 8 }, (_, c) =>
+      rotate([
+        part.x + (c & 1 ? part.w : 0) - center[0],
+        part.y + (c & 2 ? part.h : 0) - center[1],
+        part.z + (c & 4 ? part.d : 0) - center[2],
+      ])
+    );
+    FACES.forEach(({ corners: ids, normal }) => {
+      const [, ny, nz] = rotate(normal);
+      if (nz >= 0) return;
+      const points = ids.map((c) => corners[c]);
+      faces.push({
+        part: index,
+        points: points.map(([x, y]) => [x, -y]),
+        depth: points.reduce((sum, p) => sum + p[2], 0) / points.length,
+        light: 0.55 + 0.3 * Math.max(0, ny) - 0.15 * nz,
+      });
+    });
+  });
+
+  return faces
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ depth, ...face }) => face);
+};
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import {
+  TOE_KICK_SETBACK,
+  layoutCarcass,
+  projectCarcass,
+} from "./carcassView.js";
+import { computePanelsForRow, panelKey } from "./cutList.js";
+import { makeOptions, makeRow } from "./testFixtures.js";
+
+const OPTIONS = makeOptions();
+
+// Two 30" bases with braces and one shelf, on a 4 1/2" kick
+const ROW = makeRow({
+  label: "B30",
+  kickHeight: "4.5",
+  boxDepth: "24",
+  braceHeight: "3",
+  doorCount: "2",
+  quantity: "2",
+});
+
+const layout = () =>
+  layoutCarcass(ROW, computePanelsForRow(ROW, OPTIONS), OPTIONS);
+
+const partsOf = (carcass, panelType) =>
+  carcass.parts.filter((part) => part.panelType === panelType);
+
+describe("layoutCarcass", () => {
+  it("draws one cabinet of the row", () => {
+    const carcass = layout();
+    expect(partsOf(carcass, "Wall")).toHaveLength(2);
+    expect(partsOf(carcass, "Floor")).toHaveLength(1);
+    expect(partsOf(carcass, "Back")).toHaveLength(1);
+    expect(partsOf(carcass, "Brace")).toHaveLength(4);
+    expect(partsOf(carcass, "Shelf")).toHaveLength(1);
+    expect(carcass.size).toEqual({ width: 30, height: 34.5, depth: 24 });
+  });
+
+  it("stands the walls at either side on the kick", () => {
+    const [left, right] = partsOf(layout(), "Wall");
+    expect(left).toMatchObject({ x: 0, y: 4.5, w: 0.75, h: 30, d: 24 });
+    expect(right.x).toBe(29.25);
+  });
+
+  it("keys parts like their totals lines", () => {
+    const panels = computePanelsForRow(ROW, OPTIONS);
+    const floor = panels.find((panel) => panel.panelType === "Floor");
+    expect(partsOf(layout(), "Floor")[0].key).toBe(panelKey(floor));
+  });
+
+  it("adds the kick under the box, set back from the front", () => {
+    const [kick] = partsOf(layout(), "Kick");
+    expect(kick).toMatchObject({
+      key: null,
+      y: 0,
+      h: 4.5,
+      z: TOE_KICK_SETBACK,
+      d: 24 - TOE_KICK_SETBACK,
+    });
+  });
+
+  it("lists the roles it doesn't place", () => {
+    expect(layout().unplaced).toEqual(
+      expect.arrayContaining(["Face frame stile", "Door"])
+    );
+  });
+
+  it("returns null when the box can't be sized", () => {
+    const row = { ...ROW, boxDepth: "" };
+    expect(layoutCarcass(row, [], OPTIONS)).toBeNull();
+  });
+});
+
+describe("projectCarcass", () => {
+  it("shows three faces of a box seen from a corner, back to front", () => {
+    const carcass = {
+      parts: [{ key: "a", x: 0, y: 0, z: 0, w: 2, h: 2, d: 2 }],
+      size: { width: 2, height: 2, depth: 2 },
+    };
+    const faces = projectCarcass(carcass, -0.6, 0.45);
+    expect(faces).toHaveLength(3);
+    faces.forEach((face) => expect(face.points).toHaveLength(4));
+  });
+
+  it("shows only the front face when looking straight on", () => {
+    const carcass = {
+      parts: [{ key: "a", x: 0, y: 0, z: 0, w: 2, h: 2, d: 2 }],
+      size: { width: 2, height: 2, depth: 2 },
+    };
+    const faces = projectCarcass(carcass, 0, 0);
+    expect(faces).toHaveLength(1);
+    expect(faces[0].points).toEqual([
+      [-1, 1],
+      [-1, -1],
+      [1, -1],
+      [1, 1],
+    ]);
+  });
+});
@@ -0,0 +1,273 @@
+// Cabinet catalog: standard sizes and shop presets, inserted into the
+// spec table by code ("B24", "W3030").
+//
+// A preset is { id, code, cabinetType, cabinetHeight, kickHeight,
+// boxWidth, boxDepth, braceHeight, units }. Lengths are kept as typed,
+// in the unit system of `units`, and converted to the job's units when
+// a preset is inserted. Standard presets are built in; shop presets
+// are the shop's own, saved in localStorage across jobs, and a shop
+// preset replaces a standard one with the same code.
+import { getCabinetType } from "./cabinetTypes.js";
+import { convertLengthInput, getUnitSystem, parseLength } from "./units.js";
+
+const CATALOG_KEY = "cabinet-counter:catalog";
+
+// Marks exported catalog files
+const CATALOG_FORMAT = "cabinet-counter-catalog";
+
+// Length inputs a preset carries, in spec table order
+export const PRESET_LENGTH_FIELDS = [
+  { field: "cabinetHeight", label: "Height" },
+  { field: "kickHeight", label: "Kick" },
+  { field: "boxWidth", label: "Width" },
+  { field: "boxDepth", label: "Depth" },
+  { field: "braceHeight", label: "Brace" },
+];
+
+const IMPERIAL = { system: "imperial", precision: "1/16" };
+
+const standardPreset = (code, cabinetType, sizes) => ({
+  id: `std-${code}`,
+  code,
+  cabinetType,
+  ...sizes,
+  units: IMPERIAL,
+  standard: true,
+});
+
+const BASE = { cabinetHeight: "34.5", kickHeight: "4.5", boxDepth: "24" };
+const WALL = { kickHeight: "0", boxDepth: "12" };
+
+/**
+ * Common stock sizes, coded the way suppliers list them: B (base),
+ * SB (sink base), DB (drawer base) plus the width; W (wall) and T
+ * (tall) plus the width and height, e.g. W3030 is 30" x 30".
+ */
+export const STANDARD_PRESETS = [
+  ...[9, 12, 15, 18, 21, 24, 27, 30, 33, 36].map((width) =>
+    standardPreset(`B${width}`, "base", {
+      ...BASE,
+      boxWidth: String(width),
+      braceHeight: "3",
+    })
+  ),
+  ...[30, 33, 36, 42].map((width) =>
+    standardPreset(`SB${width}`, "sink", {
+      ...BASE,
+      boxWidth: String(width),
+      braceHeight: "3",
+    })
+  ),
+  ...[12, 15, 18, 21, 24, 30].map((width) =>
+    standardPreset(`DB${width}`, "drawer", {
+      ...BASE,
+      boxWidth: String(width),
+      braceHeight: "3",
+    })
+  ),
+  ...[12, 15, 18, 21, 24, 27, 30, 33, 36].flatMap((width) =>
+    [12, 15, 18, 24, 30, 36, 42].map((height) =>
+      standardPreset(`W${width}${height}`, "wall", {
+        ...WALL,
+        cabinetHeight: String(height),
+        boxWidth: String(width),
+        braceHeight: "3",
+      })
+    )
+  ),
+  ...[18, 24, 30].flatMap((width) =>
+    [84, 90, 96].map((height) =>
+      standardPreset(`T${width}${height}`, "tall", {
+        cabinetHeight: String(height),
+        kickHeight: "4.5",
+        boxWidth: String(width),
+        boxDepth: "24",
+        braceHeight: "3",
+      })
+    )
+  ),
+];
+
+let memoryPresets = null;
+
+const getStorage = () => {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// The shop's own presets, oldest first
+export const listShopPresets = () => {
+  if (memoryPresets) return memoryPresets;
+  const storage = getStorage();
+  if (!storage) return [];
+  try {
+    const parsed = JSON.parse(storage.getItem(CATALOG_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveShopPresets = (presets) => {
+  const storage = getStorage();
+  try {
+    if (!storage) throw new Error("localStorage unavailable");
+    storage.setItem(CATALOG_KEY, JSON.stringify(presets));
+    memoryPresets = null;
+  } catch (err) {
+    memoryPresets = presets;
+  }
+};
+
+export const createPresetId = () =>
+  `preset-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+
+// Codes compare without case or spaces: "w 3030" is W3030
+export const normalizeCode = (code) =>
+  String(code || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+// Shop presets first, then the standard ones they don't replace
+export const buildCatalog = (shopPresets) => {
+  const codes = new Set(shopPresets.map((p) => normalizeCode(p.code)));
+  return [
+    ...shopPresets,
+    ...STANDARD_PRESETS.filter((p) => !codes.has(normalizeCode(p.code))),
+  ];
+};
+
+export const findPreset = (catalog, code) => {
+  const wanted = normalizeCode(code);
+  return (
+    (wanted && catalog.find((p) => normalizeCode(p.code) === wanted)) ||
+    null
+  );
+};
+
+// Presets whose code starts with the query, then those whose type
+// mentions it
+export const searchPresets = (catalog, query) => {
+  const wanted = normalizeCode(query);
+  if (!wanted) return catalog;
+  const text = String(query).trim().toLowerCase();
+  const byCode = catalog.filter((p) =>
+    normalizeCode(p.code).startsWith(wanted)
+  );
+  const byType = catalog.filter(
+    (p) =>
+      !byCode.includes(p) &&
+      getCabinetType(p.cabinetType).label.toLowerCase().includes(text)
+  );
+  return [...byCode, ...byType];
+};
+
+// Lengths of a preset that can't be read, by field
+export const getPresetErrors = (preset) =>
+  PRESET_LENGTH_FIELDS.filter(({ field }) => {
+    const value = String(preset[field] ?? "").trim();
+    return value !== "" && parseLength(value, preset.units) == null;
+  }).map(({ field }) => field);
+
+/**
+ * Row values for a preset, on top of its type's defaults: the code as
+ * the label and the lengths converted to the job's units.
+ */
+export const presetToRow = (preset, units) => {
+  const type = getCabinetType(preset.cabinetType);
+  const sameSystem =
+    getUnitSystem(preset.units && preset.units.system).id ===
+    getUnitSystem(units.system).id;
+  const values = {
+    ...type.defaults,
+    label: preset.code,
+    cabinetType: type.id,
+  };
+  PRESET_LENGTH_FIELDS.forEach(({ field }) => {
+    const value = preset[field] ?? "";
+    values[field] = sameSystem
+      ? value
+      : convertLengthInput(value, preset.units, units);
+  });
+  return values;
+};
+
+// A shop preset from a spec row, coded by the row's label
+export const rowToPreset = (row, units) => {
+  const preset = {
+    id: createPresetId(),
+    code: normalizeCode(row.label),
+    cabinetType: getCabinetType(row.cabinetType).id,
+    units: { system: units.system, precision: units.precision },
+  };
+  PRESET_LENGTH_FIELDS.forEach(({ field }) => {
+    preset[field] = row[field] ?? "";
+  });
+  return preset;
+};
+
+// A shop copy of a preset, to edit (a standard one keeps its code and
+// so replaces the original)
+export const copyPreset = (preset) => {
+  const { standard, ...rest } = preset;
+  return { ...rest, id: createPresetId() };
+};
+
+export const exportCatalog = (presets) =>
+  JSON.stringify(
+    {
+      format: CATALOG_FORMAT,
+      version: 1,
+      presets: presets.map(({ id, standard, ...rest }) => rest),
+    },
+    null,
+    2
+  );
+
+/**
+ * Presets from an exported catalog file, with fresh ids. Throws an
+ * Error with a message for the user when the file isn't a catalog.
+ */
+export const parseCatalog = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The file isn't valid JSON.");
+  }
+  if (!parsed || parsed.format !== CATALOG_FORMAT) {
+    throw new Error("The file isn't a cabinet catalog export.");
+  }
+  const presets = Array.isArray(parsed.presets) ? parsed.presets : [];
+  return presets
+    .filter((p) => p && normalizeCode(p.code))
+    .map((p) => {
+      const preset = {
+        id: createPresetId(),
+        code: normalizeCode(p.code),
+        cabinetType: getCabinetType(p.cabinetType).id,
+        units: {
+          system: getUnitSystem(p.units && p.units.system).id,
+          precision: (p.units && p.units.precision) || "",
+        },
+      };
+      PRESET_LENGTH_FIELDS.forEach(({ field }) => {
+        preset[field] = p[field] == null ? "" : String(p[field]);
+      });
+      return preset;
+    });
+};
+
+// Add imported presets to the shop's, replacing any with the same code
+export const mergePresets = (existing, imported) => {
+  const codes = new Set(imported.map((p) => normalizeCode(p.code)));
+  return [
+    ...existing.filter((p) => !codes.has(normalizeCode(p.code))),
+    ...imported,
+  ];
+};
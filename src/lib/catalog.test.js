@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import {
+  STANDARD_PRESETS,
+  buildCatalog,
+  exportCatalog,
+  findPreset,
+  getPresetErrors,
+  mergePresets,
+  parseCatalog,
+  presetToRow,
+  searchPresets,
+} from "./catalog.js";
+
+const METRIC = { system: "metric", precision: "0.5" };
+const IMPERIAL = { system: "imperial", precision: "1/16" };
+
+const shopPreset = (code, overrides = {}) => ({
+  id: `shop-${code}`,
+  code,
+  cabinetType: "base",
+  cabinetHeight: "876",
+  kickHeight: "100",
+  boxWidth: "600",
+  boxDepth: "560",
+  braceHeight: "80",
+  units: METRIC,
+  ...overrides,
+});
+
+describe("findPreset", () => {
+  it("finds standard codes without regard to case or spaces", () => {
+    expect(findPreset(STANDARD_PRESETS, "b24")).toMatchObject({
+      cabinetType: "base",
+      boxWidth: "24",
+    });
+    expect(findPreset(STANDARD_PRESETS, "W 3030")).toMatchObject({
+      cabinetType: "wall",
+      cabinetHeight: "30",
+      boxWidth: "30",
+    });
+    expect(findPreset(STANDARD_PRESETS, "X99")).toBeNull();
+    expect(findPreset(STANDARD_PRESETS, "")).toBeNull();
+  });
+
+  it("prefers a shop preset over the standard one", () => {
+    const catalog = buildCatalog([shopPreset("B24")]);
+    expect(findPreset(catalog, "B24").id).toBe("shop-B24");
+    expect(catalog.filter((p) => p.code === "B24")).toHaveLength(1);
+  });
+});
+
+describe("searchPresets", () => {
+  it("lists code matches before type matches", () => {
+    const results = searchPresets(STANDARD_PRESETS, "sb3");
+    expect(results.map((p) => p.code)).toEqual(["SB30", "SB33", "SB36"]);
+    expect(searchPresets(STANDARD_PRESETS, "sink")).toHaveLength(4);
+  });
+});
+
+describe("presetToRow", () => {
+  it("keeps lengths typed in the job's unit system", () => {
+    const row = presetToRow(shopPreset("B60"), { ...METRIC, precision: "1" });
+    expect(row).toMatchObject({
+      label: "B60",
+      cabinetType: "base",
+      boxWidth: "600",
+      topConstruction: "braces",
+    });
+  });
+
+  it("converts lengths from another unit system", () => {
+    const row = presetToRow(findPreset(STANDARD_PRESETS, "W3030"), METRIC);
+    expect(row).toMatchObject({
+      cabinetType: "wall",
+      cabinetHeight: "762",
+      kickHeight: "0",
+      boxDepth: "305",
+      topConstruction: "solid",
+    });
+    const back = presetToRow(shopPreset("B60"), IMPERIAL);
+    expect(back.boxWidth).toBe("23 5/8");
+  });
+});
+
+describe("getPresetErrors", () => {
+  it("flags lengths that can't be read", () => {
+    expect(getPresetErrors(shopPreset("B60"))).toEqual([]);
+    expect(
+      getPresetErrors(shopPreset("B60", { boxWidth: "wide", kickHeight: "" }))
+    ).toEqual(["boxWidth"]);
+  });
+});
+
+describe("catalog files", () => {
+  it("round-trips shop presets with fresh ids", () => {
+    const presets = [shopPreset("B60"), shopPreset("W6072")];
+    const imported = parseCatalog(exportCatalog(presets));
+    expect(imported.map((p) => p.code)).toEqual(["B60", "W6072"]);
+    expect(imported[0]).toMatchObject({ boxWidth: "600", units: METRIC });
+    expect(imported[0].id).not.toBe(presets[0].id);
+  });
+
+  it("rejects files that aren't catalogs", () => {
+    expect(() => parseCatalog("not json")).toThrow("valid JSON");
+    expect(() => parseCatalog('{"presets": []}')).toThrow("catalog");
+  });
+
+  it("replaces presets with the same code on import", () => {
+    const merged = mergePresets(
+      [shopPreset("B60"), shopPreset("B45")],
+      [shopPreset("b60", { id: "new", boxWidth: "610" })]
+    );
+    expect(merged.map((p) => p.id)).toEqual(["shop-B45", "new"]);
+  });
+});
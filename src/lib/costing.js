@@ -0,0 +1,165 @@
+// Job costing and quote totals.
+//
+// Costs are built up per cabinet row so the quote can list each
+// cabinet: its share of the sheet goods (by panel area), its edge
+// banding, its hardware and its labour. Markup is applied to every
+// line; tax is charged on the marked-up subtotal. Prices are typed as
+// plain numbers in the job currency.
+import { bandingFeet } from "./edgeBanding.js";
+import { parseNumber } from "./numbers.js";
+
+export const PRICE_UNITS = [
+  { id: "sheet", label: "per sheet" },
+  { id: "sqft", label: "per sq ft" },
+];
+
+export const DEFAULT_COST_SETTINGS = {
+  currency: "USD",
+  // materialId -> { unit: "sheet" | "sqft", price }
+  materialPrices: {},
+  edgeBandingPerFoot: "0.35",
+  hardwarePerCabinet: "20",
+  labourPerPanel: "4",
+  labourPerCabinet: "40",
+  markupPercent: "30",
+  taxPercent: "0",
+};
+
+const SQ_IN_PER_SQ_FT = 144;
+
+const price = (value) => {
+  const n = parseNumber(value);
+  return n != null && n > 0 ? n : 0;
+};
+
+// Blank or unreadable prices count as zero
+export const getMaterialPrice = (settings, materialId) => ({
+  unit: "sheet",
+  price: "",
+  ...settings.materialPrices[materialId],
+});
+
+// Panel area in square feet (counts included)
+export const panelArea = (panels) =>
+  panels.reduce((sum, p) => sum + p.width * p.height * p.count, 0) /
+  SQ_IN_PER_SQ_FT;
+
+export const formatMoney = (amount, currency = "USD") => {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency,
+    }).format(amount);
+  } catch {
+    // Unknown currency code
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
+
+/**
+ * Cost the job.
+ *
+ * rowPanels: [{ row, panels }] from computePanelsForRow.
+ * layouts:   [{ material, result }] – nesting per material, used for
+ *            sheet counts when a material is priced per sheet.
+ * banding:   edge banding settings, for the overage on banded length.
+ * settings:  cost settings (see DEFAULT_COST_SETTINGS).
+ *
+ * Returns { materials, banding, lines, costs, markup, subtotal, tax,
+ * total, area }, where banding is { feet, cost } for the whole job.
+ * Rows without panels (incomplete specs) get no line.
+ */
+export const computeJobCost = ({ rowPanels, layouts, banding, settings }) => {
+  const allPanels = rowPanels.flatMap(({ panels }) => panels);
+
+  // Sheet goods: cost per material, then a rate per square foot used
+  // to share it out over the cabinets that use it. The rate goes by
+  // the material's whole panel area, pieces too big to nest included,
+  // so the cabinet lines add up to the material cost.
+  const materials = layouts.map(({ material, result }) => {
+    const area = panelArea(
+      allPanels.filter((p) => p.materialId === material.id)
+    );
+    const { unit, price: value } = getMaterialPrice(settings, material.id);
+    const cost =
+      unit === "sheet"
+        ? result.sheetCount * price(value)
+        : area * price(value);
+    return {
+      material,
+      unit,
+      area,
+      sheetCount: result.sheetCount,
+      cost,
+      rate: area > 0 ? cost / area : 0,
+    };
+  });
+  const rates = new Map(materials.map((m) => [m.material.id, m.rate]));
+
+  const jobArea = panelArea(allPanels);
+  const bandingRate = price(settings.edgeBandingPerFoot);
+
+  const markup = price(settings.markupPercent) / 100;
+
+  const lines = rowPanels
+    .filter(({ panels }) => panels.length > 0)
+    .map(({ row, panels }) => {
+      const quantity = parseNumber(row.quantity) || 0;
+      const area = panelArea(panels);
+      const pieces = panels.reduce((sum, p) => sum + p.count, 0);
+
+      const materialCost = panels.reduce(
+        (sum, p) =>
+          sum +
+          ((p.width * p.height * p.count) / SQ_IN_PER_SQ_FT) *
+            (rates.get(p.materialId) || 0),
+        0
+      );
+      const feet = bandingFeet(panels, banding);
+      const bandingCost = feet * bandingRate;
+      const hardwareCost = quantity * price(settings.hardwarePerCabinet);
+      const labourCost =
+        pieces * price(settings.labourPerPanel) +
+        quantity * price(settings.labourPerCabinet);
+      const cost = materialCost + bandingCost + hardwareCost + labourCost;
+      const amount = cost * (1 + markup);
+
+      return {
+        row,
+        quantity,
+        area,
+        pieces,
+        bandingFeet: feet,
+        materialCost,
+        bandingCost,
+        hardwareCost,
+        labourCost,
+        cost,
+        unitPrice: quantity > 0 ? amount / quantity : 0,
+        amount,
+      };
+    });
+
+  const sum = (field) => lines.reduce((total, line) => total + line[field], 0);
+  const costs = {
+    material: sum("materialCost"),
+    banding: sum("bandingCost"),
+    hardware: sum("hardwareCost"),
+    labour: sum("labourCost"),
+    total: sum("cost"),
+  };
+  const subtotal = sum("amount");
+  const tax = subtotal * (price(settings.taxPercent) / 100);
+
+  return {
+    area: jobArea,
+    materials,
+    banding: { feet: sum("bandingFeet"), cost: sum("bandingCost") },
+    lines,
+    costs,
+    markup: subtotal - costs.total,
+    subtotal,
+    tax,
+    total: subtotal + tax,
+  };
+};
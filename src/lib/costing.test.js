@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_COST_SETTINGS, computeJobCost } from "./costing.js";
+import { DEFAULT_BANDING_SETTINGS } from "./edgeBanding.js";
+
+const panel = (width, height, count) => ({
+  panelType: "Panel",
+  materialId: "ply",
+  bandingId: "",
+  edges: [],
+  width,
+  height,
+  count,
+});
+
+const ROW_PANELS = [
+  { row: { id: 1, quantity: "1" }, panels: [panel(24, 30, 2)] },
+  // Too big for the sheet, so the nesting leaves it out
+  { row: { id: 2, quantity: "1" }, panels: [panel(50, 100, 1)] },
+];
+
+// Nesting placed only the first row's two pieces on one sheet
+const LAYOUTS = [
+  {
+    material: { id: "ply" },
+    result: { sheetCount: 1, usedArea: 2 * 24 * 30 },
+  },
+];
+
+const costFor = (materialPrice) =>
+  computeJobCost({
+    rowPanels: ROW_PANELS,
+    layouts: LAYOUTS,
+    banding: DEFAULT_BANDING_SETTINGS,
+    settings: {
+      ...DEFAULT_COST_SETTINGS,
+      materialPrices: { ply: materialPrice },
+    },
+  });
+
+describe("computeJobCost", () => {
+  it("shares a sheet price out over every piece, nested or not", () => {
+    const quote = costFor({ unit: "sheet", price: "100" });
+    expect(quote.materials[0].cost).toBe(100);
+    expect(quote.costs.material).toBeCloseTo(100, 10);
+    expect(quote.lines[1].materialCost).toBeGreaterThan(0);
+  });
+
+  it("prices per square foot on the whole panel area", () => {
+    const quote = costFor({ unit: "sqft", price: "2" });
+    const area = (2 * 24 * 30 + 50 * 100) / 144;
+    expect(quote.materials[0].area).toBeCloseTo(area, 10);
+    expect(quote.materials[0].cost).toBeCloseTo(2 * area, 10);
+    expect(quote.costs.material).toBeCloseTo(2 * area, 10);
+  });
+});
@@ -0,0 +1,220 @@
+// Cabinet list import from CSV or tab-separated clipboard data.
+import { CABINET_TYPES } from "./cabinetTypes.js";
+import { parseNumber } from "./numbers.js";
+import { parseLength } from "./units.js";
+
+/**
+ * Row fields an import column can map onto. Aliases are matched
+ * against normalized header text to suggest a mapping.
+ */
+export const IMPORT_FIELDS = [
+  {
+    field: "label",
+    label: "Label",
+    aliases: ["label", "cabinet", "name", "code", "cabinetlabel"],
+  },
+  {
+    field: "cabinetType",
+    label: "Cabinet type",
+    aliases: ["type", "cabinettype", "kind"],
+  },
+  {
+    field: "cabinetHeight",
+    label: "Cabinet height",
+    length: true,
+    required: true,
+    aliases: ["cabinetheight", "height", "cabh", "h"],
+  },
+  {
+    field: "kickHeight",
+    label: "Kick height",
+    length: true,
+    required: true,
+    aliases: ["kickheight", "kick", "toekick", "kickh"],
+  },
+  {
+    field: "boxWidth",
+    label: "Box width",
+    length: true,
+    required: true,
+    aliases: ["boxwidth", "width", "w", "boxw"],
+  },
+  {
+    field: "boxDepth",
+    label: "Box depth",
+    length: true,
+    required: true,
+    aliases: ["boxdepth", "depth", "d"],
+  },
+  {
+    field: "braceHeight",
+    label: "Brace height",
+    length: true,
+    aliases: ["braceheight", "brace", "braceh", "stretcher"],
+  },
+  {
+    field: "quantity",
+    label: "Quantity",
+    numeric: true,
+    aliases: ["quantity", "qty", "count", "pcs"],
+  },
+];
+
+const normalizeHeader = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+// Tab when the data came from a spreadsheet clipboard, else comma or
+// semicolon, whichever the first line has more of
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  if (firstLine.includes("\t")) return "\t";
+  const commas = firstLine.split(",").length;
+  const semicolons = firstLine.split(";").length;
+  return semicolons > commas ? ";" : ",";
+};
+
+/**
+ * Parse delimited text into an array of records (arrays of strings).
+ * Handles quoted fields with embedded delimiters, quotes and newlines.
+ * Blank lines are dropped.
+ */
+export const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endField = () => {
+    record.push(field.trim());
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some((value) => value !== "")) records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      field = "";
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length) endRecord();
+
+  return records;
+};
+
+// Suggested field per column index, from header text ("" = ignore)
+export const guessMapping = (headers) => {
+  const used = new Set();
+  return headers.map((header) => {
+    const key = normalizeHeader(header);
+    const match = IMPORT_FIELDS.find(
+      (f) => !used.has(f.field) && f.aliases.includes(key)
+    );
+    if (!match) return "";
+    used.add(match.field);
+    return match.field;
+  });
+};
+
+// Default mapping for header-less data: columns in table order
+export const defaultMapping = (columnCount) =>
+  Array.from({ length: columnCount }, (_, i) =>
+    IMPORT_FIELDS[i] ? IMPORT_FIELDS[i].field : ""
+  );
+
+const resolveCabinetType = (value) => {
+  const key = normalizeHeader(value);
+  if (!key) return null;
+  const type = CABINET_TYPES.find(
+    (t) => normalizeHeader(t.id) === key || normalizeHeader(t.label) === key
+  );
+  return type ? type.id : undefined;
+};
+
+/**
+ * Turn parsed records into candidate rows using a column mapping.
+ * Returns [{ line, values, errors }] where values holds row fields as
+ * strings (ready to merge into a spec row) and errors lists messages.
+ * Lengths are checked against the job's units and kept as typed, so
+ * 23 5/8 or 600mm import unchanged.
+ */
+export const buildImportRows = (records, mapping, { hasHeader, units }) => {
+  const body = hasHeader ? records.slice(1) : records;
+
+  return body.map((record, index) => {
+    const values = {};
+    const errors = [];
+
+    mapping.forEach((field, column) => {
+      if (!field) return;
+      values[field] = record[column] != null ? record[column] : "";
+    });
+
+    IMPORT_FIELDS.forEach(({ field, label, length, numeric, required }) => {
+      const value = values[field];
+      if (value == null || value === "") {
+        if (required) errors.push(`${label} is missing`);
+        return;
+      }
+      if (length && parseLength(value, units) == null) {
+        errors.push(`${label} "${value}" is not a length`);
+      }
+      if (numeric) {
+        const n = parseNumber(value);
+        if (n == null) {
+          errors.push(`${label} "${value}" is not a number`);
+        } else {
+          values[field] = String(n);
+        }
+      }
+    });
+
+    if (values.quantity == null || values.quantity === "") {
+      values.quantity = "1";
+    } else {
+      const qty = parseNumber(values.quantity);
+      if (qty != null && (qty <= 0 || !Number.isInteger(qty))) {
+        errors.push("Quantity must be a whole number above 0");
+      }
+    }
+
+    if (values.cabinetType != null) {
+      const type = resolveCabinetType(values.cabinetType);
+      if (type === undefined) {
+        errors.push(`Unknown cabinet type "${values.cabinetType}"`);
+      } else if (type === null) {
+        delete values.cabinetType;
+      } else {
+        values.cabinetType = type;
+      }
+    }
+
+    return {
+      line: index + 1 + (hasHeader ? 1 : 0),
+      values,
+      errors,
+    };
+  });
+};
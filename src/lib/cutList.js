@@ -0,0 +1,360 @@
+// Cut-list calculation: the panels each cabinet row needs, and the
+// job's totals grouped into lines that are cut the same. Pure functions
+// over rows and settings, shared by the app and the tests.
+//
+//  - computeRowPanels(row, options) -> { panels, issues } for one row
+//  - computePanelsForRow(row, options) -> just the panels
+//  - aggregatePanels(rows, options) -> totals lines over all rows
+//  - buildCabinetBreakdown(rowPanels, pieceNumbers) -> parts per row
+//  - panelKey(panel) -> the grouping key of a panel
+//
+// options are the job's { style, units, materials, banding, openings,
+// drawerBoxes } settings. Every size that comes out is in inches,
+// rounded to SIZE_PRECISION so that formulas landing a hair off
+// (29.250000001 for 29.25) still group with their twins.
+import { getCabinetType } from "./cabinetTypes.js";
+import {
+  computeDrawerBoxParts,
+  getSlideLength,
+  getSlideProfile,
+} from "./drawerBoxes.js";
+import { resolvePanelBanding } from "./edgeBanding.js";
+import { compileFormula, getPanelsForType } from "./formulas.js";
+import { resolveMaterialId, resolvePanelGrain } from "./materials.js";
+import { parseNumber } from "./numbers.js";
+import {
+  computeOpeningParts,
+  getOpeningLayout,
+  resolveOpenings,
+} from "./openings.js";
+import { formatLength, getUnitSystem, parseLength } from "./units.js";
+import { hasErrors, issue, validateRow } from "./validation.js";
+
+// Panel sizes are kept to a ten-thousandth of an inch, well under any
+// display precision (0.1 mm is about 0.004")
+export const SIZE_PRECISION = 10000;
+
+export const roundSize = (n) => Math.round(n * SIZE_PRECISION) / SIZE_PRECISION;
+
+// Compute effective box height strictly from cabinet & kick (inches)
+export const getEffectiveBoxHeight = (row, units) => {
+  const cabinetHeight = parseLength(row.cabinetHeight, units);
+  const kickHeight = parseLength(row.kickHeight, units);
+  if (cabinetHeight == null || kickHeight == null) return null;
+  return cabinetHeight - kickHeight;
+};
+
+// Formula variables for one row, null where an input is missing.
+// Lengths are in inches; style thickness is always entered in inches.
+export const getFormulaVariables = (row, { style, units }) => ({
+  CabinetHeight: parseLength(row.cabinetHeight, units),
+  KickHeight: parseLength(row.kickHeight, units),
+  BoxHeight: getEffectiveBoxHeight(row, units),
+  BoxWidth: parseLength(row.boxWidth, units),
+  BoxDepth: parseLength(row.boxDepth, units),
+  BraceHeight: parseLength(row.braceHeight, units),
+  Thickness: parseNumber(style.thickness),
+  ShelfCount: parseNumber(row.shelfCount) ?? 0,
+  SolidTop: row.topConstruction === "solid" ? 1 : 0,
+});
+
+// Evaluate a compiled formula, null when it uses a missing input
+const evaluateFormula = (compiled, vars) => {
+  const missing = Array.from(compiled.variables).some(
+    (name) => vars[name] == null
+  );
+  return missing ? null : compiled.evaluate(vars);
+};
+
+/**
+ * Panel logic for one cabinet spec
+ *
+ * Evaluates the panels of the chosen construction style that apply to
+ * the row's cabinet type (see DEFAULT_CONSTRUCTION_STYLES in
+ * lib/formulas.js). Count, width and height are formulas over the row's
+ * dimensions, and counts are multiplied by the row quantity.
+ *
+ * options: { style, units, materials, banding, openings, drawerBoxes }
+ * – the construction style, the job's unit settings used to read the
+ * row's lengths, the material and edge banding settings resolved per
+ * panel role, and the face frame / door and drawer box settings.
+ * Face-frame members, doors and drawer fronts (lib/openings.js) and
+ * drawer boxes (lib/drawerBoxes.js) follow the style's panels. Sizes
+ * come out in inches.
+ *
+ * Returns { panels, issues }. panels is [] when the row's spec has
+ * errors (validateRow: a missing or fractional quantity or count, a
+ * negative length, a kick as tall as the cabinet...), or when a panel
+ * that is actually needed (count > 0) uses a missing input. Panels
+ * whose formulas are invalid are skipped, and panels that evaluate to
+ * a non-positive size or count are dropped with an issue. issues (see
+ * lib/validation.js) say why parts are missing.
+ */
+export const computeRowPanels = (row, options) => {
+  const { style, units } = options;
+  const issues = [];
+  // Spec errors are reported by validateRow itself
+  if (hasErrors(validateRow(row, units))) return { panels: [], issues };
+  const quantity = parseNumber(row.quantity);
+
+  const vars = getFormulaVariables(row, options);
+  const cabinetType = getCabinetType(row.cabinetType);
+  const panels = [];
+  const cabinetLabel = (row.label || "").trim() || "Unlabeled";
+  let incomplete = false;
+
+  const addPanel = (panelType, width, height, count) => {
+    panels.push({
+      panelType,
+      materialId: resolveMaterialId(options.materials, panelType, row),
+      ...resolvePanelBanding(options.banding, panelType),
+      grain: resolvePanelGrain(options.materials, panelType),
+      width: roundSize(width),
+      height: roundSize(height),
+      count: count * quantity,
+      cabinetLabel,
+    });
+  };
+
+  getPanelsForType(style, cabinetType.id).forEach((definition) => {
+    const panelType = definition.panelType.trim() || "Panel";
+    const formulas = ["count", "width", "height"].map((field) =>
+      compileFormula(definition[field])
+    );
+    // Invalid definitions are flagged in the formula editor
+    if (formulas.some((compiled) => compiled.error)) return;
+
+    const [count, width, height] = formulas.map((compiled) =>
+      evaluateFormula(compiled, vars)
+    );
+    if (count === 0) return;
+    if (count == null || width == null || height == null) {
+      const missing = new Set();
+      formulas.forEach((compiled) =>
+        compiled.variables.forEach((name) => {
+          if (vars[name] == null) missing.add(name);
+        })
+      );
+      issues.push(
+        issue(
+          "error",
+          null,
+          `${panelType} needs ${Array.from(missing).join(", ")}`
+        )
+      );
+      incomplete = true;
+      return;
+    }
+
+    addPanel(panelType, width, height, count);
+  });
+
+  const box = { boxWidth: vars.BoxWidth, boxHeight: vars.BoxHeight };
+  const layout = getOpeningLayout(row, cabinetType, units);
+  const openingParts =
+    layout && computeOpeningParts(box, layout, options.openings, units);
+  if (!openingParts) {
+    issues.push(
+      issue(
+        "error",
+        layout ? null : "drawerHeights",
+        layout
+          ? "Doors and drawer fronts need the box size and opening settings"
+          : "Drawer heights can't be read"
+      )
+    );
+    incomplete = true;
+  } else {
+    openingParts.forEach((part) =>
+      addPanel(part.panelType, part.width, part.height, part.count)
+    );
+  }
+
+  // Drawer boxes for the row's drawers, sized by the slide profile
+  const slideProfile = cabinetType.fields.includes("slideProfile")
+    ? getSlideProfile(row.slideProfile)
+    : null;
+  if (layout && slideProfile && layout.drawerHeights.length > 0) {
+    const openings = resolveOpenings(box, layout, options.openings, units);
+    const insideDepth =
+      vars.BoxDepth != null && vars.Thickness != null
+        ? vars.BoxDepth - vars.Thickness
+        : null;
+    const drawerBoxes =
+      openings &&
+      insideDepth != null &&
+      computeDrawerBoxParts(
+        {
+          openings,
+          insideDepth,
+          insideWidth: vars.BoxWidth - 2 * vars.Thickness,
+        },
+        slideProfile,
+        options.drawerBoxes,
+        units
+      );
+    if (!drawerBoxes) {
+      const noSlide =
+        openings &&
+        insideDepth != null &&
+        getSlideLength(slideProfile, insideDepth) == null;
+      issues.push(
+        issue(
+          "error",
+          noSlide ? "boxDepth" : null,
+          noSlide
+            ? "No drawer slide fits the cabinet depth"
+            : "Drawer boxes need the box size and drawer box settings"
+        )
+      );
+      incomplete = true;
+    } else {
+      drawerBoxes.parts.forEach((part) =>
+        addPanel(part.panelType, part.width, part.height, part.count)
+      );
+    }
+  }
+
+  if (incomplete) return { panels: [], issues };
+
+  // Impossible layouts (drawers taller than the box, a brace wider than
+  // the cabinet) leave parts with nothing to cut, and count formulas
+  // can come out negative or fractional
+  const suffix = getUnitSystem(units.system).suffix;
+  const kept = panels.filter((p) => {
+    if (p.width > 0 && p.height > 0) {
+      if (p.count > 0 && Number.isInteger(p.count)) return true;
+      issues.push(
+        issue(
+          "error",
+          null,
+          `${p.panelType} count comes out ${p.count}; left out`
+        )
+      );
+      return false;
+    }
+    const size = `${formatLength(p.width, units)} x ${formatLength(
+      p.height,
+      units
+    )} ${suffix}`;
+    issues.push(
+      issue("error", null, `${p.panelType} comes out ${size}; left out`)
+    );
+    return false;
+  });
+  return { panels: kept, issues };
+};
+
+export const computePanelsForRow = (row, options) =>
+  computeRowPanels(row, options).panels;
+
+// Panels with the same key are cut the same and share a totals row
+export const panelKey = (panel) =>
+  [
+    panel.materialId,
+    panel.panelType,
+    panel.width,
+    panel.height,
+    panel.bandingId,
+    panel.bandingCode,
+    panel.grain,
+  ].join("|");
+
+/**
+ * Aggregate panels over all rows.
+ * Group by (material + panelType + width + height + banded edges +
+ * grain), and sum counts. Each group carries its panelKey as `key`.
+ * Also collect which cabinet labels contribute to each group.
+ */
+export const aggregatePanels = (rows, options) => {
+  const map = new Map();
+
+  rows.forEach((row) => {
+    const panels = computePanelsForRow(row, options);
+    panels.forEach((panel) => {
+      const {
+        panelType,
+        materialId,
+        bandingId,
+        edges,
+        bandingCode,
+        grain,
+        width,
+        height,
+        count,
+        cabinetLabel,
+      } = panel;
+      const key = panelKey(panel);
+      const existing = map.get(key) || {
+        key,
+        panelType,
+        materialId,
+        bandingId,
+        edges,
+        bandingCode,
+        grain,
+        width,
+        height,
+        count: 0,
+        cabinetLabels: new Set(),
+      };
+      existing.count += count;
+      if (cabinetLabel) {
+        existing.cabinetLabels.add(cabinetLabel);
+      }
+      map.set(key, existing);
+    });
+  });
+
+  const list = Array.from(map.values()).map((item) => ({
+    key: item.key,
+    panelType: item.panelType,
+    materialId: item.materialId,
+    bandingId: item.bandingId,
+    edges: item.edges,
+    bandingCode: item.bandingCode,
+    grain: item.grain,
+    width: item.width,
+    height: item.height,
+    count: item.count,
+    cabinets: Array.from(item.cabinetLabels).sort().join(", "),
+  }));
+
+  list.sort((a, b) => {
+    if (a.panelType < b.panelType) return -1;
+    if (a.panelType > b.panelType) return 1;
+    if (a.width !== b.width) return a.width - b.width;
+    return a.height - b.height;
+  });
+
+  return list;
+};
+
+/**
+ * Every part of each cabinet row, for kitting after cutting.
+ * rowPanels: [{ row, panels }] as computed per row; pieceNumbers maps
+ * a panelKey to its number in the totals. Returns
+ * [{ row, quantity, parts }] where parts are merged per key and carry
+ * `piece`, the total `count` for the row and `perCabinet`.
+ */
+export const buildCabinetBreakdown = (rowPanels, pieceNumbers) =>
+  rowPanels.map(({ row, panels }) => {
+    const quantity = parseNumber(row.quantity) || 1;
+    const parts = new Map();
+    panels.forEach((panel) => {
+      const key = panelKey(panel);
+      const existing = parts.get(key);
+      if (existing) {
+        existing.count += panel.count;
+      } else {
+        parts.set(key, { ...panel, key, piece: pieceNumbers.get(key) });
+      }
+    });
+    return {
+      row,
+      quantity,
+      parts: Array.from(parts.values())
+        .map((part) => ({ ...part, perCabinet: part.count / quantity }))
+        .sort((a, b) => a.piece - b.piece),
+    };
+  });
@@ -0,0 +1,377 @@
+import { describe, expect, it } from "vitest";
+import {
+  aggregatePanels,
+  buildCabinetBreakdown,
+  computePanelsForRow,
+  computeRowPanels,
+  getEffectiveBoxHeight,
+  panelKey,
+  roundSize,
+} from "./cutList.js";
+import { DEFAULT_CONSTRUCTION_STYLES } from "./formulas.js";
+import { DEFAULT_MATERIAL_SETTINGS } from "./materials.js";
+import { makeOptions, makeRow } from "./testFixtures.js";
+import { DEFAULT_UNIT_SETTINGS } from "./units.js";
+
+const [, DADOED] = DEFAULT_CONSTRUCTION_STYLES;
+const METRIC = { system: "metric", precision: "1" };
+
+// A style of just the given panels, for formulas the defaults don't use
+const makeStyle = (panels) => ({
+  id: "test",
+  name: "Test",
+  thickness: "0.75",
+  panels: panels.map((panel, index) => ({
+    id: index + 1,
+    cabinetTypes: [],
+    count: "1",
+    ...panel,
+  })),
+});
+
+const panelsFor = (overrides) =>
+  computePanelsForRow(makeRow(overrides), makeOptions());
+
+const findPanel = (panels, panelType) =>
+  panels.find((panel) => panel.panelType === panelType);
+
+describe("getEffectiveBoxHeight", () => {
+  it("is the cabinet height less the kick", () => {
+    expect(getEffectiveBoxHeight(makeRow(), DEFAULT_UNIT_SETTINGS)).toBe(
+      30.5
+    );
+  });
+
+  it("reads fractions and metric lengths", () => {
+    const row = makeRow({ cabinetHeight: "34 1/2", kickHeight: "4 1/4" });
+    expect(getEffectiveBoxHeight(row, DEFAULT_UNIT_SETTINGS)).toBe(30.25);
+
+    const metric = makeRow({ cabinetHeight: "876.3", kickHeight: "101.6" });
+    expect(getEffectiveBoxHeight(metric, METRIC)).toBeCloseTo(30.5, 10);
+  });
+
+  it("is null when either length is missing", () => {
+    const row = makeRow({ kickHeight: "" });
+    expect(getEffectiveBoxHeight(row, DEFAULT_UNIT_SETTINGS)).toBeNull();
+  });
+});
+
+describe("computeRowPanels", () => {
+  it("builds the standard carcass", () => {
+    const { panels, issues } = computeRowPanels(makeRow(), makeOptions());
+    expect(issues).toEqual([]);
+    expect(
+      panels.map(({ panelType, width, height, count }) => [
+        panelType,
+        width,
+        height,
+        count,
+      ])
+    ).toEqual([
+      ["Wall", 23.25, 30.5, 2],
+      ["Floor", 29.25, 23.25, 1],
+      ["Back", 29.25, 29, 1],
+      ["Brace", 28.5, 4, 4],
+      ["Shelf", 28.375, 22.25, 1],
+    ]);
+  });
+
+  it("gives the dadoed style two braces", () => {
+    const panels = computePanelsForRow(
+      makeRow(),
+      makeOptions({ style: DADOED })
+    );
+    expect(findPanel(panels, "Brace").count).toBe(2);
+  });
+
+  it("swaps braces for a top on solid-top rows", () => {
+    const panels = computePanelsForRow(
+      makeRow({ topConstruction: "solid" }),
+      makeOptions()
+    );
+    expect(findPanel(panels, "Brace")).toBeUndefined();
+    expect(findPanel(panels, "Top")).toMatchObject({
+      width: 29.25,
+      height: 23.25,
+      count: 1,
+    });
+  });
+
+  it("multiplies counts by the quantity", () => {
+    const panels = computePanelsForRow(
+      makeRow({ quantity: "3" }),
+      makeOptions()
+    );
+    expect(findPanel(panels, "Wall").count).toBe(6);
+    expect(findPanel(panels, "Brace").count).toBe(12);
+  });
+
+  it("tags panels with their role's material, banding and grain", () => {
+    const wall = findPanel(
+      computePanelsForRow(makeRow(), makeOptions()),
+      "Wall"
+    );
+    expect(wall).toMatchObject({
+      materialId: DEFAULT_MATERIAL_SETTINGS.defaultMaterialId,
+      bandingCode: "H1",
+      grain: "height",
+      cabinetLabel: "B1",
+    });
+  });
+
+  it("returns nothing without a quantity", () => {
+    const result = computeRowPanels(makeRow({ quantity: "" }), makeOptions());
+    expect(result).toEqual({ panels: [], issues: [] });
+  });
+
+  it("returns nothing for a fractional quantity", () => {
+    const result = computeRowPanels(
+      makeRow({ quantity: "2.5" }),
+      makeOptions()
+    );
+    expect(result).toEqual({ panels: [], issues: [] });
+  });
+
+  it("returns nothing for a negative length", () => {
+    expect(panelsFor({ kickHeight: "-4" })).toEqual([]);
+    expect(panelsFor({ boxDepth: "-23" })).toEqual([]);
+  });
+
+  it("returns nothing when the kick is as tall as the cabinet", () => {
+    expect(panelsFor({ kickHeight: "40" })).toEqual([]);
+    expect(panelsFor({ kickHeight: "34.5" })).toEqual([]);
+  });
+
+  it("returns nothing for shelf and door counts that aren't whole", () => {
+    ["-1", "abc", "1.5", ""].forEach((shelfCount) =>
+      expect(panelsFor({ shelfCount })).toEqual([])
+    );
+    ["-2", "x", "1.5"].forEach((doorCount) =>
+      expect(panelsFor({ doorCount })).toEqual([])
+    );
+  });
+
+  it("reports a count formula that comes out negative or fractional", () => {
+    [
+      ["ShelfCount - 2", -1],
+      ["ShelfCount / 2", 0.5],
+    ].forEach(([count, comesOut]) => {
+      const style = makeStyle([
+        { panelType: "Side", count, width: "BoxDepth", height: "BoxHeight" },
+      ]);
+      const { panels, issues } = computeRowPanels(
+        makeRow(),
+        makeOptions({ style })
+      );
+      expect(findPanel(panels, "Side")).toBeUndefined();
+      expect(issues.map((i) => i.message)).toContain(
+        `Side count comes out ${comesOut}; left out`
+      );
+    });
+  });
+
+  it("drops the row and names the inputs a needed panel is missing", () => {
+    const { panels, issues } = computeRowPanels(
+      makeRow({ braceHeight: "" }),
+      makeOptions()
+    );
+    expect(panels).toEqual([]);
+    expect(issues).toContainEqual({
+      level: "error",
+      field: null,
+      message: "Brace needs BraceHeight",
+    });
+  });
+
+  it("doesn't need inputs of panels it leaves out", () => {
+    const panels = computePanelsForRow(
+      makeRow({ braceHeight: "", topConstruction: "solid" }),
+      makeOptions()
+    );
+    expect(findPanel(panels, "Top")).toBeDefined();
+  });
+
+  it("leaves out parts that come out with no size", () => {
+    const { panels, issues } = computeRowPanels(
+      makeRow({ boxWidth: "1.5" }),
+      makeOptions()
+    );
+    expect(findPanel(panels, "Brace")).toBeUndefined();
+    expect(issues.map((i) => i.message)).toContain(
+      "Brace comes out 0 x 4 in; left out"
+    );
+  });
+
+  it("rounds sizes read from metric lengths", () => {
+    // 292.1 mm / 25.4 is 11.500000000000002 in floating point
+    const panels = computePanelsForRow(
+      makeRow({
+        cabinetType: "wall",
+        cabinetHeight: "762",
+        kickHeight: "0",
+        boxWidth: "762",
+        boxDepth: "292.1",
+        braceHeight: "101.6",
+      }),
+      makeOptions({ units: METRIC })
+    );
+    expect(findPanel(panels, "Wall").width).toBe(11.5);
+    expect(findPanel(panels, "Floor")).toMatchObject({
+      width: 29.25,
+      height: 11.5,
+    });
+  });
+
+  it("rounds deductions that don't add up exactly", () => {
+    const style = makeStyle([
+      {
+        panelType: "Side",
+        width: "BoxDepth - 0.1 - 0.2 + 0.3",
+        height: "BoxHeight",
+      },
+    ]);
+    const [side] = computePanelsForRow(
+      makeRow({ boxDepth: "11.5" }),
+      makeOptions({ style })
+    );
+    expect(11.5 - 0.1 - 0.2 + 0.3).not.toBe(11.5);
+    expect(side.width).toBe(11.5);
+  });
+});
+
+describe("roundSize", () => {
+  it("snaps float noise to the nearest ten-thousandth", () => {
+    expect(roundSize(29.250000001)).toBe(29.25);
+    expect(roundSize(29.2499999)).toBe(29.25);
+    expect(roundSize(0.1 + 0.2)).toBe(0.3);
+    expect(roundSize(15.0625)).toBe(15.0625);
+  });
+});
+
+describe("panelKey", () => {
+  const panel = {
+    materialId: "maple-34",
+    panelType: "Floor",
+    width: 29.25,
+    height: 23.25,
+    bandingId: "maple-veneer",
+    bandingCode: "W1",
+    grain: "width",
+  };
+
+  it("matches panels that are cut the same", () => {
+    expect(panelKey({ ...panel, count: 4, cabinetLabel: "B2" })).toBe(
+      panelKey(panel)
+    );
+  });
+
+  it("tells apart material, size, banding and grain", () => {
+    [
+      { materialId: "secondary-34" },
+      { width: 29.3125 },
+      { bandingCode: "W1 W2" },
+      { grain: "" },
+    ].forEach((change) => {
+      expect(panelKey({ ...panel, ...change })).not.toBe(panelKey(panel));
+    });
+  });
+});
+
+describe("aggregatePanels", () => {
+  it("sums matching panels across rows and lists their cabinets", () => {
+    const rows = [
+      makeRow({ id: 1, label: "B2" }),
+      makeRow({ id: 2, label: "B1", quantity: "2" }),
+    ];
+    const lines = aggregatePanels(rows, makeOptions());
+    const walls = lines.filter((line) => line.panelType === "Wall");
+    expect(walls).toHaveLength(1);
+    expect(walls[0]).toMatchObject({
+      width: 23.25,
+      height: 30.5,
+      count: 6,
+      cabinets: "B1, B2",
+      key: panelKey(walls[0]),
+    });
+  });
+
+  it("keeps different sizes apart, sorted by type then size", () => {
+    const rows = [
+      makeRow({ id: 1, boxWidth: "36" }),
+      makeRow({ id: 2, boxWidth: "30" }),
+    ];
+    const floors = aggregatePanels(rows, makeOptions()).filter(
+      (line) => line.panelType === "Floor"
+    );
+    expect(floors.map((line) => line.width)).toEqual([29.25, 35.25]);
+  });
+
+  it("groups 29.25 with a formula that lands on 29.250000001", () => {
+    const style = makeStyle([
+      { panelType: "Side", width: "BoxDepth", height: "BoxHeight" },
+      {
+        panelType: "Side",
+        width: "BoxDepth - 0.1 - 0.2 + 0.3",
+        height: "BoxHeight",
+      },
+    ]);
+    const lines = aggregatePanels(
+      [makeRow({ boxDepth: "11.5" })],
+      makeOptions({ style })
+    );
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ width: 11.5, count: 2 });
+  });
+
+  it("carries the role's grain into the line and its key", () => {
+    const style = makeStyle([
+      { panelType: "Shelf", width: "BoxWidth", height: "12" },
+      { panelType: "Shelf", width: "BoxWidth", height: "12" },
+    ]);
+    const materials = {
+      ...DEFAULT_MATERIAL_SETTINGS,
+      roleGrain: { Shelf: "width" },
+    };
+    const grained = aggregatePanels(
+      [makeRow()],
+      makeOptions({ style, materials })
+    );
+    expect(grained).toHaveLength(1);
+    expect(grained[0]).toMatchObject({ grain: "width", count: 2 });
+
+    const loose = aggregatePanels(
+      [makeRow()],
+      makeOptions({ style, materials: { ...materials, roleGrain: {} } })
+    );
+    expect(panelKey(loose[0])).not.toBe(grained[0].key);
+  });
+
+  it("skips rows that can't be computed", () => {
+    const rows = [makeRow({ id: 1 }), makeRow({ id: 2, boxWidth: "" })];
+    const walls = aggregatePanels(rows, makeOptions()).filter(
+      (line) => line.panelType === "Wall"
+    );
+    expect(walls[0].count).toBe(2);
+  });
+});
+
+describe("buildCabinetBreakdown", () => {
+  it("lists each row's parts per cabinet with their piece numbers", () => {
+    const options = makeOptions();
+    const row = makeRow({ quantity: "2" });
+    const panels = computePanelsForRow(row, options);
+    const lines = aggregatePanels([row], options);
+    const pieceNumbers = new Map(
+      lines.map((line, index) => [line.key, index + 1])
+    );
+
+    const [entry] = buildCabinetBreakdown([{ row, panels }], pieceNumbers);
+    expect(entry.quantity).toBe(2);
+    expect(entry.parts.map((part) => part.piece)).toEqual(
+      [...entry.parts.map((part) => part.piece)].sort((a, b) => a - b)
+    );
+    const brace = findPanel(entry.parts, "Brace");
+    expect(brace).toMatchObject({ count: 8, perCabinet: 4 });
+    expect(brace.piece).toBe(pieceNumbers.get(panelKey(brace)));
+  });
+});
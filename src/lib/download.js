@@ -0,0 +1,13 @@
+// Save generated text (CSV, DXF, ...) as a file download
+export const downloadFile = (filename, contents, mimeType) => {
+  const blob = new Blob([contents], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.setAttribute("download", filename);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,128 @@
+// Drawer boxes sized from the slide manufacturer's clearance rules.
+//
+// A row's drawers come from its opening layout (lib/openings.js); the
+// row picks a slide profile. Per profile, in inches:
+//  - sideClearance:   taken off the opening width on each side
+//  - heightClearance: taken off the drawer opening (face frame) or the
+//                     front height (frameless)
+//  - rearClearance:   space kept behind the slide inside the cabinet
+//  - lengths:         nominal slide lengths sold; the longest that fits
+//                     the cabinet depth is used, and the box is that long
+//
+// Boxes are butt-jointed: full-length sides capture the front and back,
+// and the bottom sits in a groove all round.
+import { parseLength } from "./units.js";
+
+export const SLIDE_PROFILES = [
+  {
+    id: "side-mount",
+    label: 'Side-mount ball bearing (1/2" per side)',
+    // Hardware list name
+    name: "Side-mount slide",
+    sideClearance: 0.5,
+    heightClearance: 1,
+    rearClearance: 1,
+    lengths: [12, 14, 16, 18, 20, 22, 24, 26, 28],
+  },
+  {
+    id: "undermount",
+    label: "Undermount, full extension",
+    name: "Undermount slide",
+    // 5/8" off the opening width in total
+    sideClearance: 0.3125,
+    heightClearance: 0.8125,
+    // Undermount slides need the full nominal length plus a little
+    rearClearance: 0.1875,
+    lengths: [9, 12, 15, 18, 21],
+  },
+];
+
+export const DEFAULT_DRAWER_BOX_SETTINGS = {
+  sideThickness: "0.5",
+  // Depth of the bottom groove in the sides, front and back
+  grooveDepth: "0.25",
+};
+
+// Settings that hold lengths (converted when the unit system changes)
+export const DRAWER_BOX_LENGTH_FIELDS = ["sideThickness", "grooveDepth"];
+
+// Panel roles drawer boxes produce (for material and banding specs)
+export const DRAWER_BOX_PANEL_TYPES = [
+  "Drawer box side",
+  "Drawer box front/back",
+  "Drawer box bottom",
+];
+
+export const getSlideProfile = (id) =>
+  SLIDE_PROFILES.find((profile) => profile.id === id) || null;
+
+// Longest nominal slide that fits the inside depth, null if none does
+export const getSlideLength = (profile, insideDepth) => {
+  const fitting = profile.lengths.filter(
+    (length) => length + profile.rearClearance <= insideDepth + 1e-9
+  );
+  return fitting.length ? Math.max(...fitting) : null;
+};
+
+/**
+ * Drawer box parts for one cabinet.
+ *
+ * openings:    resolveOpenings() result for the row
+ * insideDepth: depth available for the slides, in inches
+ * insideWidth: clear width between the cabinet walls, in inches (used
+ *              for frameless cabinets; face frames use their opening)
+ *
+ * Returns { parts, slideLength } – parts merged per size – or null
+ * when a setting can't be read or no slide fits the cabinet depth.
+ */
+export const computeDrawerBoxParts = (
+  { openings, insideDepth, insideWidth },
+  profile,
+  settings,
+  units
+) => {
+  const sideThickness = parseLength(settings.sideThickness, units);
+  const grooveDepth = parseLength(settings.grooveDepth, units);
+  if (sideThickness == null || grooveDepth == null) return null;
+
+  const slideLength = getSlideLength(profile, insideDepth);
+  if (slideLength == null) return null;
+
+  const clearWidth = openings.faceFrame ? openings.openingWidth : insideWidth;
+  const boxWidth = clearWidth - 2 * profile.sideClearance;
+  const endWidth = boxWidth - 2 * sideThickness;
+  const bottomWidth = endWidth + 2 * grooveDepth;
+  const bottomLength = slideLength - 2 * sideThickness + 2 * grooveDepth;
+
+  const byHeight = new Map();
+  openings.drawerHeights.forEach((height) => {
+    const boxHeight = height - profile.heightClearance;
+    byHeight.set(boxHeight, (byHeight.get(boxHeight) || 0) + 1);
+  });
+
+  const parts = [];
+  byHeight.forEach((count, boxHeight) => {
+    parts.push(
+      {
+        panelType: "Drawer box side",
+        width: slideLength,
+        height: boxHeight,
+        count: 2 * count,
+      },
+      {
+        panelType: "Drawer box front/back",
+        width: endWidth,
+        height: boxHeight,
+        count: 2 * count,
+      }
+    );
+  });
+  parts.push({
+    panelType: "Drawer box bottom",
+    width: bottomWidth,
+    height: bottomLength,
+    count: openings.drawerHeights.length,
+  });
+
+  return { parts, slideLength };
+};
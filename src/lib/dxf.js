@@ -0,0 +1,90 @@
+// Minimal ASCII DXF writer for part outlines.
+//
+// Writes AutoCAD R12 (AC1009) entities only – closed POLYLINEs, LINEs
+// and TEXT – which every CAM package we've tried reads. An entity is a
+// list of [group code, value] pairs; buildDxf wraps them in a header
+// and the ENTITIES section.
+//
+// R12 has no drawing units ($INSUNITS came with R2000), so coordinates
+// are written in the units chosen for the export and the CAM package
+// is told which when the file is imported.
+
+const format = (value) =>
+  typeof value === "number" ? String(Number(value.toFixed(4))) : value;
+
+// Closed rectangle with its lower-left corner at (x, y)
+export const rectangleEntity = (x, y, width, height, layer) => [
+  [0, "POLYLINE"],
+  [8, layer],
+  [66, 1],
+  // R12 readers expect a dummy point ahead of the vertices
+  [10, 0],
+  [20, 0],
+  [30, 0],
+  [70, 1],
+  ...[
+    [x, y],
+    [x + width, y],
+    [x + width, y + height],
+    [x, y + height],
+  ].flatMap(([vx, vy]) => [
+    [0, "VERTEX"],
+    [8, layer],
+    [10, vx],
+    [20, vy],
+    [30, 0],
+  ]),
+  [0, "SEQEND"],
+  [8, layer],
+];
+
+// Straight line from (x1, y1) to (x2, y2)
+export const lineEntity = (x1, y1, x2, y2, layer) => [
+  [0, "LINE"],
+  [8, layer],
+  [10, x1],
+  [20, y1],
+  [30, 0],
+  [11, x2],
+  [21, y2],
+  [31, 0],
+];
+
+// Single-line text with its baseline starting at (x, y)
+export const textEntity = (x, y, height, value, layer) => [
+  [0, "TEXT"],
+  [8, layer],
+  [10, x],
+  [20, y],
+  [30, 0],
+  [40, height],
+  // DXF text can't hold line breaks
+  [1, String(value).replace(/[\r\n]+/g, " ")],
+];
+
+// Layer names: letters, digits, - and _ only
+export const layerName = (name) =>
+  String(name)
+    .trim()
+    .replace(/[^A-Za-z0-9_-]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toUpperCase() || "0";
+
+// A DXF document from a list of entities
+export const buildDxf = (entities) => {
+  const pairs = [
+    [0, "SECTION"],
+    [2, "HEADER"],
+    [9, "$ACADVER"],
+    [1, "AC1009"],
+    [0, "ENDSEC"],
+    [0, "SECTION"],
+    [2, "ENTITIES"],
+    ...entities.flat(),
+    [0, "ENDSEC"],
+    [0, "EOF"],
+  ];
+  return `${pairs
+    .map(([code, value]) => `${code}\n${format(value)}`)
+    .join("\n")}\n`;
+};
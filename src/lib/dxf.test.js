@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { buildDxf, rectangleEntity } from "./dxf.js";
+
+describe("buildDxf", () => {
+  it("writes an R12 header without later variables", () => {
+    const dxf = buildDxf([]);
+    expect(dxf).toContain("$ACADVER\n1\nAC1009");
+    expect(dxf).not.toContain("$INSUNITS");
+  });
+
+  it("gives each polyline a dummy point before its vertices", () => {
+    const lines = buildDxf([rectangleEntity(1, 2, 3, 4, "CUT")]).split("\n");
+    const start = lines.indexOf("POLYLINE");
+    const firstVertex = lines.indexOf("VERTEX");
+    const header = lines.slice(start + 1, firstVertex - 1);
+    expect(header).toEqual(expect.arrayContaining(["10", "20", "30"]));
+    expect(lines.filter((line) => line === "VERTEX")).toHaveLength(4);
+  });
+});
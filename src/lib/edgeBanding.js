@@ -0,0 +1,113 @@
+// Edge banding: which panel edges are banded, and with what.
+//
+// Edges are named after the panel side they run along: W1/W2 run the
+// panel width, H1/H2 run the panel height. In the default styles the
+// front edge of a wall is H1 (walls are BoxDepth wide), while floors,
+// tops, braces and shelves have their front edge on W1.
+//
+// Specs are set per panel role (panelType), like pinned materials.
+import { parseNumber } from "./numbers.js";
+
+export const PANEL_EDGES = [
+  { id: "W1", label: "W1", along: "width" },
+  { id: "W2", label: "W2", along: "width" },
+  { id: "H1", label: "H1", along: "height" },
+  { id: "H2", label: "H2", along: "height" },
+];
+
+export const DEFAULT_BANDING_SETTINGS = {
+  bandings: [
+    { id: "maple-veneer", name: 'Maple veneer 13/16"' },
+    { id: "white-pvc", name: 'White PVC 15/16"' },
+  ],
+  // Extra length ordered for trimming and waste
+  overagePercent: "10",
+  roleEdges: {
+    Wall: { bandingId: "maple-veneer", edges: ["H1"] },
+    Floor: { bandingId: "maple-veneer", edges: ["W1"] },
+    Top: { bandingId: "maple-veneer", edges: ["W1"] },
+    Brace: { bandingId: "maple-veneer", edges: ["W1"] },
+    Shelf: { bandingId: "maple-veneer", edges: ["W1"] },
+    Door: { bandingId: "maple-veneer", edges: ["W1", "W2", "H1", "H2"] },
+    "Drawer front": {
+      bandingId: "maple-veneer",
+      edges: ["W1", "W2", "H1", "H2"],
+    },
+  },
+};
+
+const EDGE_ORDER = PANEL_EDGES.map((edge) => edge.id);
+
+export const getBanding = (settings, id) =>
+  settings.bandings.find((b) => b.id === id) || {
+    id: id || "",
+    name: "Unassigned banding",
+  };
+
+/**
+ * Banding for a panel role: { bandingId, edges, bandingCode }, with
+ * edges in W1, W2, H1, H2 order. Roles without a spec (or with no
+ * edges ticked) get no banding.
+ */
+export const resolvePanelBanding = (settings, panelType) => {
+  const spec = settings.roleEdges[panelType];
+  const edges = spec
+    ? EDGE_ORDER.filter((id) => (spec.edges || []).includes(id))
+    : [];
+  if (edges.length === 0) {
+    return { bandingId: "", edges: [], bandingCode: "" };
+  }
+  return {
+    bandingId: spec.bandingId || "",
+    edges,
+    bandingCode: edges.join(" "),
+  };
+};
+
+// Banded length of one piece, in inches
+export const bandedLength = (panel) =>
+  (panel.edges || []).reduce((sum, id) => {
+    const edge = PANEL_EDGES.find((e) => e.id === id);
+    if (!edge) return sum;
+    return sum + (edge.along === "width" ? panel.width : panel.height);
+  }, 0);
+
+// Banding to order for a set of panels, in feet, overage included
+export const bandingFeet = (panels, settings) => {
+  const overage = parseNumber(settings.overagePercent);
+  const factor = 1 + (overage != null && overage > 0 ? overage : 0) / 100;
+  return (
+    (panels.reduce((sum, p) => sum + bandedLength(p) * p.count, 0) / 12) *
+    factor
+  );
+};
+
+/**
+ * Linear footage per banding material, in the banding list's order.
+ * Returns [{ banding, feet }] for bandings that are used.
+ */
+export const summarizeBanding = (panels, settings) => {
+  const byBanding = new Map();
+  panels.forEach((panel) => {
+    if (!panel.edges || panel.edges.length === 0) return;
+    if (!byBanding.has(panel.bandingId)) byBanding.set(panel.bandingId, []);
+    byBanding.get(panel.bandingId).push(panel);
+  });
+
+  const order = (id) => {
+    const index = settings.bandings.findIndex((b) => b.id === id);
+    return index === -1 ? Infinity : index;
+  };
+
+  return Array.from(byBanding.keys())
+    .sort((a, b) => order(a) - order(b))
+    .map((id) => ({
+      banding: getBanding(settings, id),
+      feet: bandingFeet(byBanding.get(id), settings),
+    }));
+};
+
+export const createBandingId = () =>
+  `banding-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
@@ -0,0 +1,338 @@
+// Cut-list exports for saw optimizers and CAM software.
+//
+// Each format is { id, label, extension, mimeType, build(context) }
+// and build returns the file contents. context is:
+//  - groups:       materialGroups from App – [{ material, items }]
+//  - layouts:      nested sheets per material – [{ material, result }]
+//  - sheetSize:    { sheetWidth, sheetHeight } the sheets were nested on
+//  - pieceNumbers: Map of panel key -> piece number in the totals
+//  - settings:     the job's export settings (below)
+//
+// Add a format by adding an entry to EXPORT_FORMATS; the export dialog
+// lists whatever is there.
+import {
+  buildDxf,
+  layerName,
+  lineEntity,
+  rectangleEntity,
+  textEntity,
+} from "./dxf.js";
+import { getMaterialThickness } from "./materials.js";
+import { formatLength } from "./units.js";
+
+// Output units, and how lengths are written in them
+export const EXPORT_UNITS = [
+  {
+    id: "in",
+    label: "Inches (decimal)",
+    units: { system: "imperial", precision: "0.001" },
+    scale: 1,
+  },
+  {
+    id: "mm",
+    label: "Millimetres",
+    units: { system: "metric", precision: "0.1" },
+    scale: 25.4,
+  },
+];
+
+const getExportUnits = (id) =>
+  EXPORT_UNITS.find((u) => u.id === id) || EXPORT_UNITS[0];
+
+// Optimizers cut "length" along the grain; without a grain the longer
+// side is the length
+const partLength = (part) => {
+  if (part.grain === "height") return part.height;
+  if (part.grain === "width") return part.width;
+  return Math.max(part.width, part.height);
+};
+const partWidth = (part) => {
+  if (part.grain === "height") return part.width;
+  if (part.grain === "width") return part.height;
+  return Math.min(part.width, part.height);
+};
+
+/**
+ * Columns a CSV export can hold: { id, label, value(part, ctx) }, where
+ * part is a totals line with its material and piece number, and ctx
+ * carries the output units.
+ */
+export const EXPORT_COLUMNS = [
+  { id: "piece", label: "Piece", value: (part) => part.piece },
+  {
+    id: "label",
+    label: "Label",
+    value: (part) => `${part.piece} ${part.panelType}`,
+  },
+  { id: "panelType", label: "Part", value: (part) => part.panelType },
+  {
+    id: "length",
+    label: "Length",
+    value: (part, ctx) => ctx.size(partLength(part)),
+  },
+  {
+    id: "width",
+    label: "Width",
+    value: (part, ctx) => ctx.size(partWidth(part)),
+  },
+  {
+    id: "thickness",
+    label: "Thickness",
+    value: (part, ctx) => ctx.size(getMaterialThickness(part.material)),
+  },
+  { id: "qty", label: "Qty", value: (part) => part.count },
+  // Y when the part's grain has to run along its length
+  {
+    id: "grain",
+    label: "Grain",
+    value: (part) => (part.grain ? "Y" : "N"),
+  },
+  {
+    id: "material",
+    label: "Material",
+    value: (part) => part.material.name,
+  },
+  { id: "edges", label: "Edges", value: (part) => part.bandingCode },
+  { id: "cabinets", label: "Cabinets", value: (part) => part.cabinets },
+];
+
+// Column layouts matching common optimizer imports
+export const CSV_PRESETS = [
+  {
+    id: "optimizer",
+    label: "Panel optimizer (length, width, qty, grain)",
+    columns: ["length", "width", "qty", "grain", "material", "label"],
+  },
+  {
+    id: "width-first",
+    label: "Width first (width, length, qty)",
+    columns: ["width", "length", "qty", "material", "label", "grain"],
+  },
+  {
+    id: "label-first",
+    label: "Label first (label, qty, length, width)",
+    columns: ["label", "qty", "length", "width", "thickness", "material"],
+  },
+];
+
+export const DXF_LAYOUTS = [
+  { id: "parts", label: "One outline per part" },
+  { id: "sheets", label: "Nested sheets" },
+];
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  formatId: "csv",
+  columns: CSV_PRESETS[0].columns,
+  units: "in",
+  header: true,
+  dxfLayout: "parts",
+};
+
+// Quote a CSV field when it holds a comma, quote or line break
+export const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Totals lines with their material and piece number, in totals order
+const listParts = ({ groups, pieceNumbers }) =>
+  groups.flatMap(({ material, items }) =>
+    items.map((item) => ({
+      ...item,
+      material,
+      piece: pieceNumbers.get(item.key),
+    }))
+  );
+
+const buildCsv = (context) => {
+  const { settings } = context;
+  const { units } = getExportUnits(settings.units);
+  const ctx = {
+    size: (n) => formatLength(n, units, { fractions: false }),
+  };
+  const columns = settings.columns
+    .map((id) => EXPORT_COLUMNS.find((column) => column.id === id))
+    .filter(Boolean);
+
+  const lines = listParts(context).map((part) =>
+    columns.map((column) => csvField(column.value(part, ctx))).join(",")
+  );
+  if (settings.header) {
+    lines.unshift(columns.map((column) => column.label).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+// Gap between outlines, and the widest row of parts, in inches
+const PART_GAP = 1;
+const PART_ROW_LENGTH = 120;
+const SHEET_GAP = 12;
+
+const textHeight = (width, height) =>
+  Math.max(0.25, Math.min(1, Math.min(width, height) / 6));
+
+// Arrow line on the GRAIN layer through the middle of a part drawn at
+// (x, y), along y when the grain runs that way and along x otherwise.
+// Parts free to turn get none.
+const grainEntity = (x, y, width, height, alongY, scale) => {
+  const inset = Math.min(width, height) / 4;
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+  return alongY
+    ? lineEntity(
+        cx * scale,
+        (y + inset) * scale,
+        cx * scale,
+        (y + height - inset) * scale,
+        "GRAIN"
+      )
+    : lineEntity(
+        (x + inset) * scale,
+        cy * scale,
+        (x + width - inset) * scale,
+        cy * scale,
+        "GRAIN"
+      );
+};
+
+// Every piece laid out in rows, one material after the other
+const buildPartEntities = (context, scale) => {
+  const entities = [];
+  let y = 0;
+  context.groups.forEach(({ material, items }) => {
+    const layer = layerName(material.name);
+    const labels = `${layer}_LABELS`;
+    let x = 0;
+    let rowHeight = 0;
+    items.forEach((item) => {
+      const piece = context.pieceNumbers.get(item.key);
+      for (let i = 0; i < item.count; i += 1) {
+        if (x > 0 && x + item.width > PART_ROW_LENGTH) {
+          x = 0;
+          y += rowHeight + PART_GAP;
+          rowHeight = 0;
+        }
+        const size = textHeight(item.width, item.height);
+        entities.push(
+          rectangleEntity(
+            x * scale,
+            y * scale,
+            item.width * scale,
+            item.height * scale,
+            layer
+          ),
+          textEntity(
+            (x + size / 2) * scale,
+            (y + size / 2) * scale,
+            size * scale,
+            `${piece} ${item.panelType}`,
+            labels
+          )
+        );
+        if (item.grain) {
+          entities.push(
+            grainEntity(
+              x,
+              y,
+              item.width,
+              item.height,
+              item.grain === "height",
+              scale
+            )
+          );
+        }
+        x += item.width + PART_GAP;
+        rowHeight = Math.max(rowHeight, item.height);
+      }
+    });
+    y += rowHeight + SHEET_GAP;
+  });
+  return entities;
+};
+
+// Nested sheets side by side, drawn landscape as on screen (the sheet
+// length runs along x), parts where the nesting put them
+const buildSheetEntities = ({ layouts, sheetSize, pieceNumbers }, scale) => {
+  const { sheetWidth, sheetHeight } = sheetSize;
+  const entities = [];
+  let x = 0;
+  layouts.forEach(({ material, result }) => {
+    const layer = layerName(material.name);
+    result.sheets.forEach((sheet, index) => {
+      entities.push(
+        rectangleEntity(
+          x * scale,
+          0,
+          sheetHeight * scale,
+          sheetWidth * scale,
+          "SHEETS"
+        ),
+        textEntity(
+          x * scale,
+          (sheetWidth + 1) * scale,
+          2 * scale,
+          `${material.name} - sheet ${index + 1}`,
+          "SHEETS"
+        )
+      );
+      sheet.placements.forEach((p) => {
+        const size = textHeight(p.width, p.height);
+        entities.push(
+          rectangleEntity(
+            (x + p.y) * scale,
+            p.x * scale,
+            p.height * scale,
+            p.width * scale,
+            layer
+          ),
+          textEntity(
+            (x + p.y + size / 2) * scale,
+            (p.x + size / 2) * scale,
+            size * scale,
+            `${pieceNumbers.get(p.key) ?? ""} ${p.panelType}`.trim(),
+            `${layer}_LABELS`
+          )
+        );
+        // Constrained parts follow the sheet grain, which runs along x
+        // here
+        if (p.grain) {
+          entities.push(
+            grainEntity(x + p.y, p.x, p.height, p.width, false, scale)
+          );
+        }
+      });
+      x += sheetHeight + SHEET_GAP;
+    });
+  });
+  return entities;
+};
+
+const buildDxfFile = (context) => {
+  const { settings } = context;
+  const { scale } = getExportUnits(settings.units);
+  const entities =
+    settings.dxfLayout === "sheets"
+      ? buildSheetEntities(context, scale)
+      : buildPartEntities(context, scale);
+  return buildDxf(entities);
+};
+
+export const EXPORT_FORMATS = [
+  {
+    id: "csv",
+    label: "Optimizer CSV",
+    extension: "csv",
+    mimeType: "text/csv;charset=utf-8;",
+    build: buildCsv,
+  },
+  {
+    id: "dxf",
+    label: "DXF outlines",
+    extension: "dxf",
+    mimeType: "application/dxf",
+    build: buildDxfFile,
+  },
+];
+
+export const getExportFormat = (id) =>
+  EXPORT_FORMATS.find((format) => format.id === id) || EXPORT_FORMATS[0];
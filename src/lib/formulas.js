@@ -0,0 +1,410 @@
+// Panel formula engine: construction styles define their panel list as
+// arithmetic expressions over the cabinet dimensions.
+
+// Variables a formula may reference
+export const FORMULA_VARIABLES = [
+  { name: "CabinetHeight", description: "Overall cabinet height" },
+  { name: "KickHeight", description: "Toe kick height" },
+  { name: "BoxHeight", description: "CabinetHeight - KickHeight" },
+  { name: "BoxWidth", description: "Box width" },
+  { name: "BoxDepth", description: "Box depth" },
+  { name: "BraceHeight", description: "Brace / stretcher height" },
+  { name: "Thickness", description: "Material thickness of the style" },
+  { name: "ShelfCount", description: "Shelves in the cabinet" },
+  { name: "SolidTop", description: "1 for a solid top, 0 for braces" },
+];
+
+// Functions a formula may call, with their allowed argument counts
+const FUNCTIONS = {
+  min: { fn: Math.min, minArgs: 1, maxArgs: Infinity },
+  max: { fn: Math.max, minArgs: 1, maxArgs: Infinity },
+  round: { fn: Math.round, minArgs: 1, maxArgs: 1 },
+  floor: { fn: Math.floor, minArgs: 1, maxArgs: 1 },
+  ceil: { fn: Math.ceil, minArgs: 1, maxArgs: 1 },
+};
+
+const VARIABLE_NAMES = new Set(FORMULA_VARIABLES.map((v) => v.name));
+
+// Panel definition shorthand for the default styles below.
+// An empty cabinetTypes list applies the panel to every type.
+const definePanel = (id, panelType, cabinetTypes, count, width, height) => ({
+  id,
+  panelType,
+  cabinetTypes,
+  count,
+  width,
+  height,
+});
+
+/**
+ * Default construction styles.
+ *
+ * "Standard" reproduces the original hard-coded carcass for base
+ * cabinets, with T = 0.75:
+ *  - Walls (Left & Right): 2 pcs, W = BoxDepth, H = BoxHeight
+ *  - Floor: 1 pc, W = BoxWidth - T, H = BoxDepth
+ *  - Back: 1 pc, W = BoxWidth - T, H = BoxHeight - 2T
+ *  - Braces: 4 pcs, W = BoxWidth - 2T, H = BraceHeight
+ * Rows with a solid top get a Top instead of braces, sink bases get two
+ * back rails instead of a full back, and shelves follow ShelfCount.
+ *
+ * "Dadoed" uses T = 0.5 with the floor, top and back let into 1/4"
+ * dadoes, and only 2 braces.
+ */
+export const DEFAULT_CONSTRUCTION_STYLES = [
+  {
+    id: "standard",
+    name: 'Standard 3/4" carcass',
+    thickness: "0.75",
+    panels: [
+      definePanel(1, "Wall", [], "2", "BoxDepth", "BoxHeight"),
+      definePanel(2, "Floor", [], "1", "BoxWidth - Thickness", "BoxDepth"),
+      definePanel(
+        3,
+        "Top",
+        [],
+        "SolidTop",
+        "BoxWidth - Thickness",
+        "BoxDepth"
+      ),
+      definePanel(
+        4,
+        "Back",
+        ["base", "wall", "tall", "drawer"],
+        "1",
+        "BoxWidth - Thickness",
+        "BoxHeight - 2 * Thickness"
+      ),
+      definePanel(
+        5,
+        "Back rail",
+        ["sink"],
+        "2",
+        "BoxWidth - 2 * Thickness",
+        "BraceHeight"
+      ),
+      definePanel(
+        6,
+        "Brace",
+        [],
+        "4 * (1 - SolidTop)",
+        "BoxWidth - 2 * Thickness",
+        "BraceHeight"
+      ),
+      definePanel(
+        7,
+        "Shelf",
+        ["base", "wall", "tall"],
+        "ShelfCount",
+        "BoxWidth - 2 * Thickness - 0.125",
+        "BoxDepth - 1"
+      ),
+    ],
+  },
+  {
+    id: "dadoed-half",
+    name: '1/2" carcass, dadoed 1/4" back',
+    thickness: "0.5",
+    panels: [
+      definePanel(1, "Wall", [], "2", "BoxDepth", "BoxHeight"),
+      definePanel(
+        2,
+        "Floor",
+        [],
+        "1",
+        "BoxWidth - 2 * Thickness + 0.5",
+        "BoxDepth - 0.375"
+      ),
+      definePanel(
+        3,
+        "Top",
+        [],
+        "SolidTop",
+        "BoxWidth - 2 * Thickness + 0.5",
+        "BoxDepth - 0.375"
+      ),
+      definePanel(
+        4,
+        "Back",
+        ["base", "wall", "tall", "drawer"],
+        "1",
+        "BoxWidth - 2 * Thickness + 0.5",
+        "BoxHeight - Thickness + 0.25"
+      ),
+      definePanel(
+        5,
+        "Back rail",
+        ["sink"],
+        "2",
+        "BoxWidth - 2 * Thickness",
+        "BraceHeight"
+      ),
+      definePanel(
+        6,
+        "Brace",
+        [],
+        "2 * (1 - SolidTop)",
+        "BoxWidth - 2 * Thickness",
+        "BraceHeight"
+      ),
+      definePanel(
+        7,
+        "Shelf",
+        ["base", "wall", "tall"],
+        "ShelfCount",
+        "BoxWidth - 2 * Thickness - 0.125",
+        "BoxDepth - 0.75"
+      ),
+    ],
+  },
+];
+
+export const DEFAULT_CONSTRUCTION_STYLE_ID = "standard";
+
+// Tokenize a formula string. Throws on unexpected characters.
+const tokenize = (source) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*|\.\d+)|([A-Za-z_]\w*)|(\S))/y;
+  let match;
+  pattern.lastIndex = 0;
+
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(source);
+    if (!match) break;
+    const [, number, identifier, symbol] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: parseFloat(number), start });
+    } else if (identifier !== undefined) {
+      tokens.push({ type: "identifier", value: identifier, start });
+    } else if (symbol !== undefined) {
+      if (!"+-*/(),".includes(symbol)) {
+        throw new Error(`Unexpected character "${symbol}"`);
+      }
+      tokens.push({ type: "symbol", value: symbol, start });
+    }
+  }
+
+  return tokens;
+};
+
+// Recursive-descent parser producing a small AST
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isSymbol = (value) =>
+    peek() && peek().type === "symbol" && peek().value === value;
+  const expectSymbol = (value) => {
+    if (!isSymbol(value)) {
+      throw new Error(
+        peek()
+          ? `Expected "${value}" but found "${peek().value}"`
+          : `Expected "${value}" at end of formula`
+      );
+    }
+    pos += 1;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isSymbol("+") || isSymbol("-")) {
+      const op = tokens[pos].value;
+      pos += 1;
+      node = { type: "binary", op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isSymbol("*") || isSymbol("/")) {
+      const op = tokens[pos].value;
+      pos += 1;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isSymbol("-") || isSymbol("+")) {
+      const op = tokens[pos].value;
+      pos += 1;
+      return { type: "unary", op, argument: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error("Formula ends unexpectedly");
+
+    if (token.type === "number") {
+      pos += 1;
+      return { type: "number", value: token.value };
+    }
+
+    if (token.type === "identifier") {
+      pos += 1;
+      if (isSymbol("(")) {
+        const fn = FUNCTIONS[token.value];
+        if (!fn) throw new Error(`Unknown function "${token.value}"`);
+        pos += 1;
+        const args = [];
+        if (!isSymbol(")")) {
+          args.push(parseExpression());
+          while (isSymbol(",")) {
+            pos += 1;
+            args.push(parseExpression());
+          }
+        }
+        expectSymbol(")");
+        if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+          throw new Error(
+            `Wrong number of arguments for "${token.value}"`
+          );
+        }
+        return { type: "call", name: token.value, args };
+      }
+      if (!VARIABLE_NAMES.has(token.value)) {
+        throw new Error(`Unknown variable "${token.value}"`);
+      }
+      return { type: "variable", name: token.value };
+    }
+
+    if (isSymbol("(")) {
+      pos += 1;
+      const node = parseExpression();
+      expectSymbol(")");
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  if (!tokens.length) throw new Error("Formula is empty");
+  const ast = parseExpression();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos].value}"`);
+  }
+  return ast;
+};
+
+const collectVariables = (node, into) => {
+  switch (node.type) {
+    case "variable":
+      into.add(node.name);
+      break;
+    case "unary":
+      collectVariables(node.argument, into);
+      break;
+    case "binary":
+      collectVariables(node.left, into);
+      collectVariables(node.right, into);
+      break;
+    case "call":
+      node.args.forEach((arg) => collectVariables(arg, into));
+      break;
+    default:
+      break;
+  }
+  return into;
+};
+
+const evaluateNode = (node, vars) => {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "variable":
+      return vars[node.name];
+    case "unary": {
+      const value = evaluateNode(node.argument, vars);
+      return node.op === "-" ? -value : value;
+    }
+    case "binary": {
+      const left = evaluateNode(node.left, vars);
+      const right = evaluateNode(node.right, vars);
+      if (node.op === "+") return left + right;
+      if (node.op === "-") return left - right;
+      if (node.op === "*") return left * right;
+      return left / right;
+    }
+    case "call":
+      return FUNCTIONS[node.name].fn(
+        ...node.args.map((arg) => evaluateNode(arg, vars))
+      );
+    default:
+      return NaN;
+  }
+};
+
+// Parsed formulas are cached by source text; styles are re-evaluated
+// for every row on every keystroke.
+const cache = new Map();
+
+/**
+ * Compile a formula.
+ * Returns { error: null, variables: Set, evaluate(vars) } on success or
+ * { error: "message" } when the formula does not parse.
+ */
+export const compileFormula = (source) => {
+  const text = source == null ? "" : String(source);
+  if (cache.has(text)) return cache.get(text);
+
+  let compiled;
+  try {
+    const ast = parse(text);
+    compiled = {
+      error: null,
+      variables: collectVariables(ast, new Set()),
+      evaluate: (vars) => {
+        const value = evaluateNode(ast, vars);
+        return Number.isFinite(value) ? value : null;
+      },
+    };
+  } catch (err) {
+    compiled = { error: err.message };
+  }
+
+  cache.set(text, compiled);
+  return compiled;
+};
+
+// Validation message for a formula, or null when it is fine
+export const validateFormula = (source) => compileFormula(source).error;
+
+/**
+ * Validate every formula of a style.
+ * Returns a map of `${panelId}.${field}` -> message, plus `thickness`.
+ */
+export const validateStyle = (style) => {
+  const errors = {};
+  const thickness = parseFloat(style.thickness);
+  if (!Number.isFinite(thickness) || thickness <= 0) {
+    errors.thickness = "Thickness must be a positive number";
+  }
+  style.panels.forEach((panel) => {
+    if (!panel.panelType || !panel.panelType.trim()) {
+      errors[`${panel.id}.panelType`] = "Panel name is required";
+    }
+    ["count", "width", "height"].forEach((field) => {
+      const error = validateFormula(panel[field]);
+      if (error) errors[`${panel.id}.${field}`] = error;
+    });
+  });
+  return errors;
+};
+
+// Panel definitions of a style that apply to a cabinet type
+export const getPanelsForType = (style, cabinetType) =>
+  style.panels.filter(
+    (panel) =>
+      !panel.cabinetTypes ||
+      panel.cabinetTypes.length === 0 ||
+      panel.cabinetTypes.includes(cabinetType)
+  );
+
+// Next free numeric id in a list of { id } objects
+export const nextNumericId = (items) =>
+  items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
@@ -0,0 +1,256 @@
+// Hardware take-off: hinges, slides, shelf pins, legs and fasteners.
+//
+// Counts come from rules over each row's spec and its computed panels,
+// so a row that drops out of the cut-list drops out here too. Panel
+// rules go by role name (the default styles' "Floor", "Shelf", ...):
+//  - Hinges:        per door, by door height (HINGE_RULES)
+//  - Drawer slides: a pair per drawer, the longest length that fits
+//                   the cabinet depth (lib/drawerBoxes.js)
+//  - Shelf pins:    pinsPerShelf for every Shelf panel
+//  - Legs:          cabinets standing on a kick get a pair of legs at
+//                   each end and another pair every legSpacing; the
+//                   leg size follows the kick height (LEG_SIZES)
+//  - Fasteners:     carcass fasteners at both ends of every Floor, Top,
+//                   Brace and Back rail, one per fastenerSpacing along
+//                   the joint (at least 2); backs screwed round the
+//                   edge every backScrewSpacing; 2 pocket screws at
+//                   each end of a face-frame rail
+//
+// Setting lengths are typed in the job's units, like the opening
+// settings.
+import { getCabinetType } from "./cabinetTypes.js";
+import { getFormulaVariables } from "./cutList.js";
+import { getSlideLength, getSlideProfile } from "./drawerBoxes.js";
+import { parseNumber } from "./numbers.js";
+import { getOpeningLayout, resolveOpenings } from "./openings.js";
+import { formatLength, getUnitSystem, parseLength } from "./units.js";
+
+export const HARDWARE_CATEGORIES = [
+  "Hinges",
+  "Drawer slides",
+  "Shelf pins",
+  "Legs",
+  "Fasteners",
+];
+
+export const CARCASS_FASTENERS = [
+  {
+    id: "confirmat",
+    label: "Confirmat screws",
+    name: "Confirmat 7 x 50 mm",
+  },
+  {
+    id: "screw",
+    label: "Wood screws",
+    name: 'Cabinet screw #8 x 1 1/4"',
+  },
+];
+
+export const DEFAULT_HARDWARE_SETTINGS = {
+  carcassFastener: "confirmat",
+  fastenerSpacing: "8",
+  backScrewSpacing: "6",
+  pinsPerShelf: "4",
+  legSpacing: "36",
+};
+
+// Settings that hold lengths (converted when the unit system changes)
+export const HARDWARE_LENGTH_FIELDS = [
+  "fastenerSpacing",
+  "backScrewSpacing",
+  "legSpacing",
+];
+
+// Hinges per door up to a door height, in inches; taller doors get
+// one more per 20"
+export const HINGE_RULES = [
+  { maxHeight: 40, count: 2 },
+  { maxHeight: 60, count: 3 },
+  { maxHeight: 80, count: 4 },
+];
+
+// Adjustable leg ranges sold, in inches
+export const LEG_SIZES = [
+  { min: 2.75, max: 4 },
+  { min: 3.875, max: 5.25 },
+  { min: 5, max: 6.5 },
+];
+
+// Panels joined to the walls at both ends
+const JOINED_PANEL_TYPES = ["Floor", "Top", "Brace", "Back rail"];
+
+export const getCarcassFastener = (id) =>
+  CARCASS_FASTENERS.find((f) => f.id === id) || CARCASS_FASTENERS[0];
+
+export const hingesForDoor = (height) => {
+  const rule = HINGE_RULES.find((r) => height <= r.maxHeight);
+  if (rule) return rule.count;
+  const last = HINGE_RULES[HINGE_RULES.length - 1];
+  return last.count + Math.ceil((height - last.maxHeight) / 20);
+};
+
+// Setting lengths in inches, null when one can't be read
+const readSettings = (settings, units) => {
+  const lengths = Object.fromEntries(
+    HARDWARE_LENGTH_FIELDS.map((field) => [
+      field,
+      parseLength(settings[field], units),
+    ])
+  );
+  const pinsPerShelf = parseNumber(settings.pinsPerShelf);
+  if (
+    Object.values(lengths).some((value) => value == null || value <= 0) ||
+    pinsPerShelf == null ||
+    pinsPerShelf < 0
+  ) {
+    return null;
+  }
+  return { ...lengths, pinsPerShelf };
+};
+
+/**
+ * Hardware for one cabinet row: [{ key, category, name, count }] with
+ * counts for the row's whole quantity. panels are the row's computed
+ * panels (computeRowPanels); options are the same calculation options.
+ * Returns [] for rows without panels, and null when a hardware setting
+ * can't be read.
+ */
+export const computeRowHardware = (row, panels, options, settings) => {
+  const { units } = options;
+  const rules = readSettings(settings, units);
+  if (!rules) return null;
+  if (panels.length === 0) return [];
+
+  const quantity = parseNumber(row.quantity) || 0;
+  const cabinetType = getCabinetType(row.cabinetType);
+  const vars = getFormulaVariables(row, options);
+  const suffix = getUnitSystem(units.system).suffix;
+  const size = (n) => `${formatLength(n, units)} ${suffix}`;
+  const items = new Map();
+
+  const add = (category, name, count) => {
+    if (!(count > 0)) return;
+    const key = `${category}|${name}`;
+    const existing = items.get(key);
+    if (existing) {
+      existing.count += count;
+    } else {
+      items.set(key, { key, category, name, count });
+    }
+  };
+  const panelsOf = (...panelTypes) =>
+    panels.filter((panel) => panelTypes.includes(panel.panelType));
+
+  const box = { boxWidth: vars.BoxWidth, boxHeight: vars.BoxHeight };
+  const layout = getOpeningLayout(row, cabinetType, units);
+  const openings =
+    layout && resolveOpenings(box, layout, options.openings, units);
+
+  // Hinges go by the door itself, overlay included
+  const doorHeight =
+    openings && layout.doorCount > 0
+      ? openings.doorHeight +
+        (openings.faceFrame ? 2 * openings.lengths.overlay : 0)
+      : null;
+  if (doorHeight > 0) {
+    add(
+      "Hinges",
+      "Concealed hinge",
+      layout.doorCount * hingesForDoor(doorHeight) * quantity
+    );
+  }
+
+  const slideProfile = cabinetType.fields.includes("slideProfile")
+    ? getSlideProfile(row.slideProfile)
+    : null;
+  if (openings && slideProfile && openings.drawerHeights.length > 0) {
+    const slideLength = getSlideLength(
+      slideProfile,
+      vars.BoxDepth - vars.Thickness
+    );
+    if (slideLength != null) {
+      add(
+        "Drawer slides",
+        `${slideProfile.name} ${size(slideLength)} (pair)`,
+        openings.drawerHeights.length * quantity
+      );
+    }
+  }
+
+  panelsOf("Shelf").forEach((panel) =>
+    add("Shelf pins", "Shelf pin", panel.count * rules.pinsPerShelf)
+  );
+
+  if (cabinetType.id !== "wall" && vars.KickHeight > 0) {
+    const kick = vars.KickHeight;
+    const leg = LEG_SIZES.find((s) => kick >= s.min && kick <= s.max);
+    const pairs = Math.max(
+      2,
+      Math.ceil(vars.BoxWidth / rules.legSpacing) + 1
+    );
+    add(
+      "Legs",
+      leg
+        ? `Leveling leg ${size(leg.min)} - ${size(leg.max)}`
+        : `Leveling leg for a ${size(kick)} kick`,
+      2 * pairs * quantity
+    );
+  }
+
+  const fastener = getCarcassFastener(settings.carcassFastener);
+  panelsOf(...JOINED_PANEL_TYPES).forEach((panel) => {
+    const perEnd = Math.max(
+      2,
+      Math.floor(panel.height / rules.fastenerSpacing) + 1
+    );
+    add("Fasteners", fastener.name, panel.count * 2 * perEnd);
+  });
+  panelsOf("Back").forEach((panel) => {
+    const perimeter = 2 * (panel.width + panel.height);
+    add(
+      "Fasteners",
+      'Back screw #6 x 5/8"',
+      panel.count * Math.ceil(perimeter / rules.backScrewSpacing)
+    );
+  });
+  panelsOf("Face frame rail").forEach((panel) =>
+    add("Fasteners", 'Pocket screw 1 1/4"', panel.count * 4)
+  );
+
+  return Array.from(items.values());
+};
+
+/**
+ * Consolidated hardware list over rows: rowHardware is
+ * [{ row, items }] from computeRowHardware. Returns
+ * [{ key, category, name, count, cabinets }] in HARDWARE_CATEGORIES
+ * order, then by name.
+ */
+export const summarizeHardware = (rowHardware) => {
+  const map = new Map();
+  rowHardware.forEach(({ row, items }) => {
+    const label = (row.label || "").trim() || "Unlabeled";
+    (items || []).forEach((item) => {
+      const existing = map.get(item.key) || {
+        ...item,
+        count: 0,
+        cabinetLabels: new Set(),
+      };
+      existing.count += item.count;
+      existing.cabinetLabels.add(label);
+      map.set(item.key, existing);
+    });
+  });
+
+  return Array.from(map.values())
+    .map(({ cabinetLabels, ...item }) => ({
+      ...item,
+      cabinets: Array.from(cabinetLabels).sort().join(", "),
+    }))
+    .sort(
+      (a, b) =>
+        HARDWARE_CATEGORIES.indexOf(a.category) -
+          HARDWARE_CATEGORIES.indexOf(b.category) ||
+        a.name.localeCompare(b.name)
+    );
+};
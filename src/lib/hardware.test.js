@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import { computePanelsForRow } from "./cutList.js";
+import {
+  DEFAULT_HARDWARE_SETTINGS,
+  HARDWARE_CATEGORIES,
+  computeRowHardware,
+  hingesForDoor,
+  summarizeHardware,
+} from "./hardware.js";
+import { makeOptions, makeRow as makeBaseRow } from "./testFixtures.js";
+
+const OPTIONS = makeOptions();
+
+// A 30" base with two doors under one drawer, on a 4 1/2" kick
+const makeRow = (overrides = {}) =>
+  makeBaseRow({
+    label: "B30",
+    kickHeight: "4.5",
+    boxDepth: "24",
+    braceHeight: "3",
+    doorCount: "2",
+    drawerHeights: "5",
+    slideProfile: "side-mount",
+    ...overrides,
+  });
+
+const hardwareFor = (row, settings = DEFAULT_HARDWARE_SETTINGS) =>
+  computeRowHardware(
+    row,
+    computePanelsForRow(row, OPTIONS),
+    OPTIONS,
+    settings
+  );
+
+const countOf = (items, category) =>
+  items
+    .filter((item) => item.category === category)
+    .reduce((sum, item) => sum + item.count, 0);
+
+describe("hingesForDoor", () => {
+  it("goes up with the door height", () => {
+    expect(hingesForDoor(22)).toBe(2);
+    expect(hingesForDoor(40)).toBe(2);
+    expect(hingesForDoor(40.5)).toBe(3);
+    expect(hingesForDoor(80)).toBe(4);
+    expect(hingesForDoor(90)).toBe(5);
+  });
+});
+
+describe("computeRowHardware", () => {
+  it("counts hardware for one base cabinet", () => {
+    const items = hardwareFor(makeRow());
+    expect(countOf(items, "Hinges")).toBe(4);
+    expect(items).toContainEqual(
+      expect.objectContaining({
+        category: "Drawer slides",
+        name: "Side-mount slide 22 in (pair)",
+        count: 1,
+      })
+    );
+    expect(countOf(items, "Shelf pins")).toBe(4);
+    expect(items).toContainEqual(
+      expect.objectContaining({
+        category: "Legs",
+        name: "Leveling leg 3 7/8 in - 5 1/4 in",
+        count: 4,
+      })
+    );
+  });
+
+  it("multiplies by the quantity", () => {
+    const one = hardwareFor(makeRow());
+    const three = hardwareFor(makeRow({ quantity: "3" }));
+    one.forEach((item) => {
+      expect(three.find((i) => i.key === item.key).count).toBe(
+        item.count * 3
+      );
+    });
+  });
+
+  it("adds hinges for tall doors and legs for wide cabinets", () => {
+    const items = hardwareFor(
+      makeRow({
+        cabinetType: "tall",
+        cabinetHeight: "96",
+        boxWidth: "48",
+        doorCount: "1",
+        drawerHeights: "",
+      })
+    );
+    // 96 - 4.5 - 2 * 1.5 frame rails + 2 * 0.5 overlay
+    expect(countOf(items, "Hinges")).toBe(5);
+    // Pairs at both ends and one in the middle
+    expect(countOf(items, "Legs")).toBe(6);
+  });
+
+  it("gives wall cabinets no legs", () => {
+    const items = hardwareFor(
+      makeRow({ cabinetType: "wall", kickHeight: "0", drawerHeights: "" })
+    );
+    expect(countOf(items, "Legs")).toBe(0);
+  });
+
+  it("puts fasteners at both ends of floors and braces", () => {
+    const items = hardwareFor(
+      makeRow({ doorCount: "0", drawerHeights: "", shelfCount: "0" })
+    );
+    const confirmats = items.find((i) => i.name.startsWith("Confirmat"));
+    // Floor: 24" deep, 4 per end; 4 braces: 2 per end
+    expect(confirmats.count).toBe(2 * 4 + 4 * 2 * 2);
+
+    const screws = hardwareFor(
+      makeRow({ doorCount: "0", drawerHeights: "", shelfCount: "0" }),
+      { ...DEFAULT_HARDWARE_SETTINGS, carcassFastener: "screw" }
+    );
+    expect(screws.some((i) => i.name.startsWith("Confirmat"))).toBe(false);
+  });
+
+  it("skips rows without panels", () => {
+    expect(
+      computeRowHardware(makeRow(), [], OPTIONS, DEFAULT_HARDWARE_SETTINGS)
+    ).toEqual([]);
+  });
+
+  it("is null when a rule can't be read", () => {
+    expect(
+      hardwareFor(makeRow(), {
+        ...DEFAULT_HARDWARE_SETTINGS,
+        legSpacing: "far",
+      })
+    ).toBeNull();
+  });
+});
+
+describe("summarizeHardware", () => {
+  it("adds up rows in category order and lists their cabinets", () => {
+    const rows = [
+      makeRow({ id: 1, label: "B30" }),
+      makeRow({ id: 2, label: "B30b", quantity: "2" }),
+    ];
+    const summary = summarizeHardware(
+      rows.map((row) => ({ row, items: hardwareFor(row) }))
+    );
+    expect(summary[0]).toMatchObject({
+      category: "Hinges",
+      count: 12,
+      cabinets: "B30, B30b",
+    });
+    const order = summary.map((item) =>
+      HARDWARE_CATEGORIES.indexOf(item.category)
+    );
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+  });
+});
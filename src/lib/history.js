@@ -0,0 +1,60 @@
+// Undo/redo history for the cabinet table.
+//
+// History holds snapshots of the table ({ rows, nextId, walls }) taken
+// before each edit: past is oldest first, future is what undo stepped
+// back over. Edits carry a key; consecutive edits with the same key
+// (typing into one field) share a single snapshot, so one undo reverts
+// the whole value rather than one keystroke.
+
+// Snapshots kept before the oldest are dropped
+export const HISTORY_LIMIT = 100;
+
+export const createHistory = () => ({ past: [], future: [], lastKey: null });
+
+/**
+ * Record the state before an edit. key groups edits that should undo
+ * together (null never groups). Any redo steps are discarded.
+ */
+export const recordEdit = (history, snapshot, key = null) => {
+  if (key != null && key === history.lastKey) {
+    return { ...history, future: [] };
+  }
+  return {
+    past: [...history.past, snapshot].slice(-HISTORY_LIMIT),
+    future: [],
+    lastKey: key,
+  };
+};
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+/**
+ * Step back: returns { history, snapshot } with the snapshot to
+ * restore, or null when there is nothing to undo. present is the
+ * current state, kept for redo.
+ */
+export const undoEdit = (history, present) => {
+  if (!canUndo(history)) return null;
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [present, ...history.future],
+      lastKey: null,
+    },
+    snapshot: history.past[history.past.length - 1],
+  };
+};
+
+// Step forward again; the mirror of undoEdit
+export const redoEdit = (history, present) => {
+  if (!canRedo(history)) return null;
+  return {
+    history: {
+      past: [...history.past, present],
+      future: history.future.slice(1),
+      lastKey: null,
+    },
+    snapshot: history.future[0],
+  };
+};
@@ -0,0 +1,121 @@
+// Local job library, persisted in localStorage.
+//
+// A job is { id, name, customer, address, date, notes, createdAt,
+// updatedAt, data }, where data is the snapshot App restores from
+// (rows, settings, styles, ...). Storage failures (private mode, full
+// quota, corrupt JSON) degrade to an in-memory library for the session.
+
+const JOBS_KEY = "cabinet-counter:jobs";
+const CURRENT_JOB_KEY = "cabinet-counter:current-job";
+
+let memoryJobs = null;
+let memoryCurrentId = null;
+
+const getStorage = () => {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const readJobs = () => {
+  if (memoryJobs) return memoryJobs;
+  const storage = getStorage();
+  if (!storage) return [];
+  try {
+    const parsed = JSON.parse(storage.getItem(JOBS_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const writeJobs = (jobs) => {
+  const storage = getStorage();
+  try {
+    if (!storage) throw new Error("localStorage unavailable");
+    storage.setItem(JOBS_KEY, JSON.stringify(jobs));
+    memoryJobs = null;
+  } catch (err) {
+    memoryJobs = jobs;
+  }
+};
+
+export const createJobId = () =>
+  `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// A new, unsaved job record around a data snapshot
+export const createJob = (data, details = {}) => {
+  const now = new Date().toISOString();
+  return {
+    id: createJobId(),
+    name: "Untitled job",
+    customer: "",
+    address: "",
+    date: today(),
+    notes: "",
+    ...details,
+    createdAt: now,
+    updatedAt: now,
+    data,
+  };
+};
+
+// All saved jobs, most recently updated first
+export const listJobs = () =>
+  [...readJobs()].sort((a, b) =>
+    (b.updatedAt || "").localeCompare(a.updatedAt || "")
+  );
+
+export const getJob = (id) => readJobs().find((job) => job.id === id) || null;
+
+// Insert or replace a job, stamping updatedAt
+export const saveJob = (job) => {
+  const saved = { ...job, updatedAt: new Date().toISOString() };
+  const jobs = readJobs().filter((j) => j.id !== job.id);
+  writeJobs([...jobs, saved]);
+  return saved;
+};
+
+export const deleteJob = (id) => {
+  writeJobs(readJobs().filter((job) => job.id !== id));
+};
+
+// Copy of a saved job under a new id and name
+export const duplicateJob = (id) => {
+  const job = getJob(id);
+  if (!job) return null;
+  const now = new Date().toISOString();
+  const copy = {
+    ...job,
+    id: createJobId(),
+    name: `${job.name} (copy)`,
+    createdAt: now,
+    data: JSON.parse(JSON.stringify(job.data)),
+  };
+  return saveJob(copy);
+};
+
+export const getCurrentJobId = () => {
+  if (memoryCurrentId) return memoryCurrentId;
+  const storage = getStorage();
+  try {
+    return storage ? storage.getItem(CURRENT_JOB_KEY) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const setCurrentJobId = (id) => {
+  const storage = getStorage();
+  try {
+    if (!storage) throw new Error("localStorage unavailable");
+    storage.setItem(CURRENT_JOB_KEY, id);
+    memoryCurrentId = null;
+  } catch (err) {
+    memoryCurrentId = id;
+  }
+};
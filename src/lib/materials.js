@@ -0,0 +1,148 @@
+// Job material list and how panels are assigned to materials.
+//
+// A panel's material is resolved as:
+//  1. the material pinned to its panel role (e.g. Back -> 1/4" ply),
+//  2. else the cabinet row's material,
+//  3. else the job's default material.
+// Leave a role unpinned for parts that follow the cabinet (walls,
+// floors), and pin the ones that never change (backs, braces).
+//
+// Thickness is typed in inches unless it carries a unit ("18mm").
+//
+// Grain is set per role too: "height" or "width" says which side of
+// the part the grain runs along, "" lets the part turn any way on the
+// sheet. Sheet grain runs along the sheet length.
+import {
+  DEFAULT_UNIT_SETTINGS,
+  formatLength,
+  getUnitSystem,
+  parseLength,
+} from "./units.js";
+
+export const DEFAULT_MATERIAL_SETTINGS = {
+  materials: [
+    {
+      id: "maple-34",
+      name: "Prefinished maple ply",
+      thickness: "0.75",
+    },
+    {
+      id: "maple-14",
+      name: "Maple ply",
+      thickness: "0.25",
+    },
+    {
+      id: "secondary-34",
+      name: "Secondary ply",
+      thickness: "0.75",
+    },
+    {
+      id: "birch-12",
+      name: "Baltic birch",
+      thickness: "0.5",
+    },
+  ],
+  defaultMaterialId: "maple-34",
+  roleMaterials: {
+    Back: "maple-14",
+    Brace: "secondary-34",
+    "Back rail": "secondary-34",
+    "Drawer box side": "birch-12",
+    "Drawer box front/back": "birch-12",
+    "Drawer box bottom": "maple-14",
+  },
+  roleGrain: {
+    Wall: "height",
+    Floor: "width",
+    Top: "width",
+    Back: "height",
+    "Back rail": "width",
+    Shelf: "width",
+    "Face frame stile": "height",
+    "Face frame rail": "width",
+    Door: "height",
+    "Door stile": "height",
+    "Door rail": "width",
+    "Door panel": "height",
+    "Drawer front": "width",
+    "Drawer box side": "width",
+    "Drawer box front/back": "width",
+  },
+};
+
+export const GRAIN_DIRECTIONS = [
+  { id: "", label: "Any", symbol: "—" },
+  { id: "height", label: "Along height", symbol: "↕" },
+  { id: "width", label: "Along width", symbol: "↔" },
+];
+
+export const getGrainDirection = (id) =>
+  GRAIN_DIRECTIONS.find((g) => g.id === id) || GRAIN_DIRECTIONS[0];
+
+// Grain of a panel role, "" when the part may rotate
+export const resolvePanelGrain = (settings, panelType) =>
+  getGrainDirection((settings.roleGrain || {})[panelType]).id;
+
+// Placeholder used when a panel's material id no longer exists
+const UNKNOWN_MATERIAL = { id: "", name: "Unassigned", thickness: "" };
+
+export const getMaterial = (settings, id) =>
+  settings.materials.find((m) => m.id === id) || {
+    ...UNKNOWN_MATERIAL,
+    id: id || "",
+  };
+
+export const resolveMaterialId = (settings, panelType, row) => {
+  const candidates = [
+    settings.roleMaterials[panelType],
+    row && row.materialId,
+    settings.defaultMaterialId,
+  ];
+  return (
+    candidates.find(
+      (id) => id && settings.materials.some((m) => m.id === id)
+    ) || ""
+  );
+};
+
+// Material thickness in inches, null when missing or unreadable
+export const getMaterialThickness = (material) =>
+  parseLength(material.thickness, DEFAULT_UNIT_SETTINGS);
+
+// Display name with thickness in the job's units, e.g. "Maple ply 1/4 in"
+export const describeMaterial = (material, units) => {
+  const thickness = getMaterialThickness(material);
+  if (thickness == null) return material.name;
+  return `${material.name} ${formatLength(thickness, units)} ${
+    getUnitSystem(units.system).suffix
+  }`;
+};
+
+export const createMaterialId = () =>
+  `material-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+
+/**
+ * Group aggregated panels by material, keeping the order of the
+ * material list (unassigned last). Returns [{ material, items }].
+ */
+export const groupByMaterial = (panels, settings) => {
+  const groups = new Map();
+  panels.forEach((panel) => {
+    if (!groups.has(panel.materialId)) groups.set(panel.materialId, []);
+    groups.get(panel.materialId).push(panel);
+  });
+
+  const order = (id) => {
+    const index = settings.materials.findIndex((m) => m.id === id);
+    return index === -1 ? Infinity : index;
+  };
+
+  return Array.from(groups.keys())
+    .sort((a, b) => order(a) - order(b))
+    .map((id) => ({
+      material: getMaterial(settings, id),
+      items: groups.get(id),
+    }));
+};
@@ -0,0 +1,318 @@
+// Sheet-goods nesting: lays aggregated panels out on stock sheets.
+
+// Common sheet stock sizes (inches, width x length)
+export const SHEET_STOCK = [
+  { id: "49x97", label: '49" x 97" (oversize ply)', width: 49, height: 97 },
+  { id: "48x96", label: '48" x 96" (4x8)', width: 48, height: 96 },
+  { id: "60x60", label: '60" x 60" (5x5 Baltic birch)', width: 60, height: 60 },
+  { id: "custom", label: "Custom size", width: null, height: null },
+];
+
+export const DEFAULT_NESTING_SETTINGS = {
+  stockId: "49x97",
+  sheetWidth: "49",
+  sheetHeight: "97",
+  kerf: "0.125",
+};
+
+const EPSILON = 1e-6;
+
+const fits = (w, h, free) =>
+  w <= free.width + EPSILON && h <= free.height + EPSILON;
+
+const intersects = (a, b) =>
+  a.x < b.x + b.width - EPSILON &&
+  a.x + a.width > b.x + EPSILON &&
+  a.y < b.y + b.height - EPSILON &&
+  a.y + a.height > b.y + EPSILON;
+
+const contains = (outer, inner) =>
+  inner.x >= outer.x - EPSILON &&
+  inner.y >= outer.y - EPSILON &&
+  inner.x + inner.width <= outer.x + outer.width + EPSILON &&
+  inner.y + inner.height <= outer.y + outer.height + EPSILON;
+
+// Split a free rectangle around a placed rectangle (MaxRects split)
+const splitFreeRect = (free, used) => {
+  if (!intersects(free, used)) return [free];
+
+  const result = [];
+  if (used.x > free.x + EPSILON) {
+    result.push({ ...free, width: used.x - free.x });
+  }
+  if (used.x + used.width < free.x + free.width - EPSILON) {
+    result.push({
+      ...free,
+      x: used.x + used.width,
+      width: free.x + free.width - (used.x + used.width),
+    });
+  }
+  if (used.y > free.y + EPSILON) {
+    result.push({ ...free, height: used.y - free.y });
+  }
+  if (used.y + used.height < free.y + free.height - EPSILON) {
+    result.push({
+      ...free,
+      y: used.y + used.height,
+      height: free.y + free.height - (used.y + used.height),
+    });
+  }
+  return result;
+};
+
+const pruneFreeRects = (rects) =>
+  rects.filter(
+    (rect, i) =>
+      !rects.some(
+        (other, j) =>
+          i !== j &&
+          contains(other, rect) &&
+          // keep the first of two identical rectangles
+          (!contains(rect, other) || j < i)
+      )
+  );
+
+// Placement scores, lower is better. Each packer run uses one of them.
+const SCORERS = {
+  // Best short side fit
+  shortSide: (free, w, h) => [
+    Math.min(free.width - w, free.height - h),
+    Math.max(free.width - w, free.height - h),
+  ],
+  // Best long side fit
+  longSide: (free, w, h) => [
+    Math.max(free.width - w, free.height - h),
+    Math.min(free.width - w, free.height - h),
+  ],
+  // Best area fit
+  area: (free, w, h) => [
+    free.width * free.height - w * h,
+    Math.min(free.width - w, free.height - h),
+  ],
+  // Bottom-left
+  bottomLeft: (free, w, h) => [free.y + h, free.x],
+};
+
+const isBetter = (score, best) => {
+  if (!best) return true;
+  if (score[0] < best[0] - EPSILON) return true;
+  return Math.abs(score[0] - best[0]) <= EPSILON && score[1] < best[1];
+};
+
+// Orientations a piece may take, by its grain. Sheet grain runs along
+// the sheet height (its length), so a part with grain along its height
+// stays upright and one with grain along its width is turned.
+const GRAIN_ROTATIONS = {
+  "": [false, true],
+  height: [false],
+  width: [true],
+};
+
+// Find the best free rectangle for a piece on one sheet, trying the
+// orientations its grain allows
+const findPosition = (sheet, piece, scorer) => {
+  let best = null;
+
+  sheet.freeRects.forEach((free) => {
+    const orientations = piece.rotations.map((rotated) =>
+      rotated
+        ? { w: piece.packHeight, h: piece.packWidth, rotated }
+        : { w: piece.packWidth, h: piece.packHeight, rotated }
+    );
+
+    orientations.forEach(({ w, h, rotated }) => {
+      if (!fits(w, h, free)) return;
+      const score = scorer(free, w, h);
+      if (isBetter(score, best && best.score)) {
+        best = { x: free.x, y: free.y, width: w, height: h, rotated, score };
+      }
+    });
+  });
+
+  return best;
+};
+
+const placeOnSheet = (sheet, piece, position) => {
+  const used = {
+    x: position.x,
+    y: position.y,
+    width: position.width,
+    height: position.height,
+  };
+  const nextFree = [];
+  sheet.freeRects.forEach((free) => {
+    nextFree.push(...splitFreeRect(free, used));
+  });
+  sheet.freeRects = pruneFreeRects(nextFree);
+  sheet.placements.push({
+    x: position.x,
+    y: position.y,
+    width: position.rotated ? piece.height : piece.width,
+    height: position.rotated ? piece.width : piece.height,
+    rotated: position.rotated,
+    key: piece.key,
+    grain: piece.grain,
+    panelType: piece.panelType,
+    cabinets: piece.cabinets,
+  });
+};
+
+// Orders tried for feeding pieces to the packer
+const SORTS = [
+  (a, b) => b.width * b.height - a.width * a.height,
+  (a, b) =>
+    Math.max(b.width, b.height) - Math.max(a.width, a.height) ||
+    Math.min(b.width, b.height) - Math.min(a.width, a.height),
+  (a, b) =>
+    Math.min(b.width, b.height) - Math.min(a.width, a.height) ||
+    Math.max(b.width, b.height) - Math.max(a.width, a.height),
+];
+
+// Expand aggregated panels (with counts) into individual pieces
+export const expandPieces = (panels) => {
+  const pieces = [];
+  panels.forEach((panel) => {
+    for (let i = 0; i < panel.count; i += 1) {
+      pieces.push({
+        key: panel.key,
+        grain: panel.grain,
+        panelType: panel.panelType,
+        width: panel.width,
+        height: panel.height,
+        cabinets: panel.cabinets,
+      });
+    }
+  });
+  return pieces;
+};
+
+// One packer run: places each piece at the best-scoring spot across all
+// open sheets, opening a new sheet only when nothing fits
+const packPieces = (pieces, sheetWidth, sheetHeight, kerf, scorer) => {
+  const sheets = [];
+  const unplaced = [];
+
+  const newSheet = () => ({
+    freeRects: [
+      { x: 0, y: 0, width: sheetWidth + kerf, height: sheetHeight + kerf },
+    ],
+    placements: [],
+  });
+
+  pieces.forEach((panel) => {
+    const piece = {
+      ...panel,
+      packWidth: panel.width + kerf,
+      packHeight: panel.height + kerf,
+      rotations: GRAIN_ROTATIONS[panel.grain] || GRAIN_ROTATIONS[""],
+    };
+
+    let bestSheet = null;
+    let bestPosition = null;
+    sheets.forEach((sheet) => {
+      const position = findPosition(sheet, piece, scorer);
+      if (
+        position &&
+        isBetter(position.score, bestPosition && bestPosition.score)
+      ) {
+        bestSheet = sheet;
+        bestPosition = position;
+      }
+    });
+    if (bestSheet) {
+      placeOnSheet(bestSheet, piece, bestPosition);
+      return;
+    }
+
+    const sheet = newSheet();
+    const position = findPosition(sheet, piece, scorer);
+    if (!position) {
+      unplaced.push(panel);
+      return;
+    }
+    placeOnSheet(sheet, piece, position);
+    sheets.push(sheet);
+  });
+
+  return { sheets, unplaced };
+};
+
+const usedAreaOf = (sheet) =>
+  sheet.placements.reduce((sum, p) => sum + p.width * p.height, 0);
+
+// Fewer sheets wins; on a tie prefer the run whose last sheet is
+// emptiest, since that offcut is the most reusable.
+const isBetterRun = (run, best) => {
+  if (!best) return true;
+  if (run.sheets.length !== best.sheets.length) {
+    return run.sheets.length < best.sheets.length;
+  }
+  const last = (r) =>
+    r.sheets.length ? usedAreaOf(r.sheets[r.sheets.length - 1]) : 0;
+  return last(run) < last(best) - EPSILON;
+};
+
+/**
+ * Nest aggregated panels onto sheets of one stock size.
+ *
+ * Runs a MaxRects packer over a few piece orders and placement
+ * heuristics and keeps the run using the fewest sheets. Each piece is
+ * grown by the kerf on its right and top edges; the sheet is grown by
+ * the same amount so parts can sit flush against the far edges.
+ *
+ * Returns:
+ *  - sheets:   [{ placements: [{ x, y, width, height, rotated, ... }],
+ *                 usedArea }]
+ *  - unplaced: pieces larger than the sheet in every orientation their
+ *              grain allows
+ *  - sheetCount, usedArea, totalArea, yieldPercent, wastePercent
+ */
+export const nestPanels = (panels, { sheetWidth, sheetHeight, kerf = 0 }) => {
+  const empty = {
+    sheets: [],
+    unplaced: [],
+    sheetCount: 0,
+    usedArea: 0,
+    totalArea: 0,
+    yieldPercent: 0,
+    wastePercent: 0,
+  };
+  if (!(sheetWidth > 0) || !(sheetHeight > 0)) return empty;
+
+  const safeKerf = kerf > 0 ? kerf : 0;
+  const pieces = expandPieces(panels);
+
+  let best = null;
+  SORTS.forEach((sort) => {
+    const ordered = [...pieces].sort(sort);
+    Object.values(SCORERS).forEach((scorer) => {
+      const run = packPieces(
+        ordered,
+        sheetWidth,
+        sheetHeight,
+        safeKerf,
+        scorer
+      );
+      if (isBetterRun(run, best)) best = run;
+    });
+  });
+
+  const sheets = best.sheets.map((sheet) => ({
+    placements: sheet.placements,
+    usedArea: usedAreaOf(sheet),
+  }));
+
+  const usedArea = sheets.reduce((sum, s) => sum + s.usedArea, 0);
+  const totalArea = sheets.length * sheetWidth * sheetHeight;
+  const yieldPercent = totalArea > 0 ? (usedArea / totalArea) * 100 : 0;
+
+  return {
+    sheets,
+    unplaced: best.unplaced,
+    sheetCount: sheets.length,
+    usedArea,
+    totalArea,
+    yieldPercent,
+    wastePercent: totalArea > 0 ? 100 - yieldPercent : 0,
+  };
+};
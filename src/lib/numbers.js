@@ -0,0 +1,6 @@
+// Safe number parser
+export const parseNumber = (value) => {
+  if (value === "" || value === null || value === undefined) return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
@@ -0,0 +1,248 @@
+// Openings: face frames, doors and drawer fronts.
+//
+// A row declares its openings as a door count and a list of drawer
+// heights, stacked top-down with the door opening below the drawers.
+// The door opening takes whatever height is left; with no doors the
+// bottom drawer takes it instead.
+//
+// Face-frame cabinets: drawer heights are frame openings, the frame is
+// BoxWidth x BoxHeight, and fronts overlay each opening by `overlay`
+// on every side. Frameless cabinets: drawer heights are front heights,
+// and fronts cover the box with `reveal` between and around them.
+// Either way pairs of doors are split with `reveal` between them.
+//
+// Lengths here are typed in the job's units, like the sheet settings.
+import { parseLength } from "./units.js";
+
+export const FRAME_CONSTRUCTIONS = [
+  { id: "face-frame", label: "Face frame" },
+  { id: "frameless", label: "Frameless" },
+];
+
+export const DOOR_STYLES = [
+  { id: "slab", label: "Slab" },
+  { id: "five-piece", label: "5-piece (stiles, rails, panel)" },
+];
+
+export const DOOR_COUNTS = ["0", "1", "2"];
+
+// Panel roles the openings produce (for material and banding specs)
+export const OPENING_PANEL_TYPES = [
+  "Face frame stile",
+  "Face frame rail",
+  "Door",
+  "Door stile",
+  "Door rail",
+  "Door panel",
+  "Drawer front",
+];
+
+export const DEFAULT_OPENING_SETTINGS = {
+  construction: "face-frame",
+  stileWidth: "1.5",
+  railWidth: "1.5",
+  overlay: "0.5",
+  reveal: "0.125",
+  doorStyle: "slab",
+  doorStileWidth: "2.25",
+  doorRailWidth: "2.25",
+  // Rail tenon / panel tongue length into the stile groove
+  tongue: "0.375",
+  // Total clearance taken off the panel in each direction
+  panelGap: "0.125",
+};
+
+// Settings that hold lengths (converted when the unit system changes)
+export const OPENING_LENGTH_FIELDS = [
+  "stileWidth",
+  "railWidth",
+  "overlay",
+  "reveal",
+  "doorStileWidth",
+  "doorRailWidth",
+  "tongue",
+  "panelGap",
+];
+
+/**
+ * Read a row's opening layout: { doorCount, drawerHeights } with
+ * heights in inches. Fields the cabinet type doesn't show are ignored.
+ * Returns null when a drawer height can't be read.
+ */
+export const getOpeningLayout = (row, cabinetType, units) => {
+  const doorCount = cabinetType.fields.includes("doorCount")
+    ? Number.parseInt(row.doorCount, 10) || 0
+    : 0;
+  const entries = cabinetType.fields.includes("drawerHeights")
+    ? String(row.drawerHeights || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+    : [];
+  const drawerHeights = entries.map((entry) => parseLength(entry, units));
+  if (drawerHeights.some((h) => h == null)) return null;
+  return { doorCount: Math.max(0, doorCount), drawerHeights };
+};
+
+// Merge identical parts so a row lists "Drawer front x 3" once
+const mergeParts = (parts) => {
+  const merged = new Map();
+  parts.forEach((part) => {
+    const key = `${part.panelType}|${part.width}|${part.height}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.count += part.count;
+    } else {
+      merged.set(key, { ...part });
+    }
+  });
+  return Array.from(merged.values());
+};
+
+// Stiles, rails and panel of one 5-piece door
+const fivePieceDoorParts = (width, height, count, lengths) => {
+  const { doorStileWidth, doorRailWidth, tongue, panelGap } = lengths;
+  const innerWidth = width - 2 * doorStileWidth + 2 * tongue;
+  const innerHeight = height - 2 * doorRailWidth + 2 * tongue;
+  return [
+    {
+      panelType: "Door stile",
+      width: doorStileWidth,
+      height,
+      count: 2 * count,
+    },
+    {
+      panelType: "Door rail",
+      width: innerWidth,
+      height: doorRailWidth,
+      count: 2 * count,
+    },
+    {
+      panelType: "Door panel",
+      width: innerWidth - panelGap,
+      height: innerHeight - panelGap,
+      count,
+    },
+  ];
+};
+
+/**
+ * Work out one cabinet's openings. box: { boxWidth, boxHeight } in
+ * inches. Returns null when the box size or an opening setting is
+ * missing, else:
+ *  - lengths:      the opening settings in inches
+ *  - faceFrame:    whether the cabinet has a face frame
+ *  - openingWidth: clear width between the stiles (face frame) or the
+ *                  width the fronts cover (frameless)
+ *  - drawerHeights: final drawer heights, top-down – openings for face
+ *                  frames, fronts for frameless
+ *  - doorHeight:   door opening / front height, null without doors
+ *  - openingCount
+ */
+export const resolveOpenings = (box, layout, settings, units) => {
+  const { doorCount, drawerHeights } = layout;
+  const openingCount = drawerHeights.length + (doorCount > 0 ? 1 : 0);
+  if (box.boxWidth == null || box.boxHeight == null) return null;
+
+  const lengths = Object.fromEntries(
+    OPENING_LENGTH_FIELDS.map((field) => [
+      field,
+      parseLength(settings[field], units),
+    ])
+  );
+  if (Object.values(lengths).some((value) => value == null)) return null;
+  const { stileWidth, railWidth, reveal } = lengths;
+  const faceFrame = settings.construction !== "frameless";
+
+  // Face frames stack openings between rails; frameless fronts cover
+  // the box with a reveal between them
+  const openingWidth = faceFrame
+    ? box.boxWidth - 2 * stileWidth
+    : box.boxWidth - reveal;
+  const stackHeight = faceFrame
+    ? box.boxHeight - 2 * railWidth
+    : box.boxHeight - reveal;
+  const divider = faceFrame ? railWidth : reveal;
+
+  const heights = [...drawerHeights];
+  const remaining =
+    stackHeight -
+    heights.reduce((sum, h) => sum + h, 0) -
+    Math.max(0, openingCount - 1) * divider;
+  let doorHeight = null;
+  if (doorCount > 0) {
+    doorHeight = remaining;
+  } else if (heights.length > 0) {
+    heights[heights.length - 1] += remaining;
+  }
+
+  return {
+    lengths,
+    faceFrame,
+    openingWidth,
+    drawerHeights: heights,
+    doorHeight,
+    openingCount,
+  };
+};
+
+/**
+ * Face-frame members, doors and drawer fronts for one cabinet.
+ * box: { boxWidth, boxHeight } in inches. Returns [] for a row without
+ * openings, or null when the box size or an opening setting is
+ * missing. Sizes can come out non-positive for impossible layouts;
+ * callers drop those.
+ */
+export const computeOpeningParts = (box, layout, settings, units) => {
+  const { doorCount } = layout;
+  if (doorCount === 0 && layout.drawerHeights.length === 0) return [];
+  const openings = resolveOpenings(box, layout, settings, units);
+  if (!openings) return null;
+
+  const { lengths, faceFrame, openingWidth, drawerHeights, doorHeight } =
+    openings;
+  const { stileWidth, railWidth, overlay, reveal } = lengths;
+  const parts = [];
+
+  if (faceFrame) {
+    parts.push(
+      {
+        panelType: "Face frame stile",
+        width: stileWidth,
+        height: box.boxHeight,
+        count: 2,
+      },
+      {
+        panelType: "Face frame rail",
+        width: openingWidth,
+        height: railWidth,
+        count: openings.openingCount + 1,
+      }
+    );
+  }
+
+  // Face-frame fronts overlay their opening on every side
+  const grow = faceFrame ? 2 * overlay : 0;
+  const frontWidth = openingWidth + grow;
+
+  drawerHeights.forEach((height) => {
+    parts.push({
+      panelType: "Drawer front",
+      width: frontWidth,
+      height: height + grow,
+      count: 1,
+    });
+  });
+
+  if (doorCount > 0) {
+    const width = (frontWidth - reveal * (doorCount - 1)) / doorCount;
+    const height = doorHeight + grow;
+    if (settings.doorStyle === "five-piece") {
+      parts.push(...fivePieceDoorParts(width, height, doorCount, lengths));
+    } else {
+      parts.push({ panelType: "Door", width, height, count: doorCount });
+    }
+  }
+
+  return mergeParts(parts);
+};
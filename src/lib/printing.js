@@ -0,0 +1,99 @@
+// Data for the printable cut-sheet and panel labels.
+
+/**
+ * Avery label sheets (US Letter). Sizes are in inches:
+ *  - columns/rows per sheet, label width/height
+ *  - top/left page margins and the gaps between labels
+ */
+export const LABEL_LAYOUTS = [
+  {
+    id: "avery-5160",
+    label: "Avery 5160 – 30 per sheet (2 5/8\" x 1\")",
+    columns: 3,
+    rows: 10,
+    width: 2.625,
+    height: 1,
+    marginTop: 0.5,
+    marginLeft: 0.1875,
+    columnGap: 0.125,
+    rowGap: 0,
+  },
+  {
+    id: "avery-5163",
+    label: "Avery 5163 – 10 per sheet (4\" x 2\")",
+    columns: 2,
+    rows: 5,
+    width: 4,
+    height: 2,
+    marginTop: 0.5,
+    marginLeft: 0.15625,
+    columnGap: 0.1875,
+    rowGap: 0,
+  },
+  {
+    id: "avery-5164",
+    label: "Avery 5164 – 6 per sheet (4\" x 3 1/3\")",
+    columns: 2,
+    rows: 3,
+    width: 4,
+    height: 3.3333,
+    marginTop: 0.5,
+    marginLeft: 0.15625,
+    columnGap: 0.1875,
+    rowGap: 0,
+  },
+];
+
+export const DEFAULT_LABEL_LAYOUT = "avery-5163";
+
+export const getLabelLayout = (id) =>
+  LABEL_LAYOUTS.find((layout) => layout.id === id) ||
+  LABEL_LAYOUTS.find((layout) => layout.id === DEFAULT_LABEL_LAYOUT);
+
+/**
+ * One label per physical panel, in cabinet row order.
+ * rowPanels: [{ row, panels }] with panels from computePanelsForRow
+ * (counts already multiplied by the row quantity).
+ * Part numbers run P-001, P-002, ... across the job.
+ */
+export const buildPanelLabels = (rowPanels) => {
+  const labels = [];
+
+  rowPanels.forEach(({ panels }) => {
+    panels.forEach((panel) => {
+      for (let i = 0; i < panel.count; i += 1) {
+        labels.push({
+          partNumber: `P-${String(labels.length + 1).padStart(3, "0")}`,
+          cabinetLabel: panel.cabinetLabel,
+          panelType: panel.panelType,
+          materialId: panel.materialId,
+          bandingCode: panel.bandingCode,
+          grain: panel.grain,
+          width: panel.width,
+          height: panel.height,
+        });
+      }
+    });
+  });
+
+  return labels;
+};
+
+// Split a list into pages of a fixed size
+export const paginate = (items, perPage) => {
+  const pages = [];
+  for (let i = 0; i < items.length; i += perPage) {
+    pages.push(items.slice(i, i + perPage));
+  }
+  return pages;
+};
+
+// Aggregated panels grouped by panel type, in first-seen order
+export const groupByPanelType = (panels) => {
+  const groups = new Map();
+  panels.forEach((panel) => {
+    if (!groups.has(panel.panelType)) groups.set(panel.panelType, []);
+    groups.get(panel.panelType).push(panel);
+  });
+  return Array.from(groups, ([panelType, items]) => ({ panelType, items }));
+};
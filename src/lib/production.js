@@ -0,0 +1,134 @@
+// Shop-floor production tracking.
+//
+// Every physical piece of the cut-list is tracked through the stages
+// in PRODUCTION_STAGES, in order. Pieces come from the per-cabinet
+// breakdown (buildCabinetBreakdown in lib/cutList.js): a part with a
+// count of 6 is six pieces, identified as "rowId|partKey|n". Pieces
+// without banded edges skip the edge-banding stage.
+//
+// Progress is saved with the job as { [pieceId]: stageId }, the last
+// stage the piece has been through; pieces not in it haven't started.
+// A piece whose part changes size or material gets a new id and starts
+// over, since the piece already cut no longer fits.
+
+export const PRODUCTION_STAGES = [
+  { id: "cut", label: "Cut" },
+  { id: "banded", label: "Edge-banded" },
+  { id: "machined", label: "Machined" },
+  { id: "assembled", label: "Assembled" },
+];
+
+export const pieceId = (rowId, partKey, n) => `${rowId}|${partKey}|${n}`;
+
+// Stages a part goes through
+export const getPartStages = (part) =>
+  PRODUCTION_STAGES.filter(
+    (stage) => stage.id !== "banded" || Boolean(part.bandingCode)
+  );
+
+/**
+ * The physical pieces of one breakdown part: [{ id, n }], n counting
+ * from 1 over the row's whole quantity.
+ */
+export const listPartPieces = (rowId, part) =>
+  Array.from({ length: part.count }, (_, i) => ({
+    id: pieceId(rowId, part.key, i + 1),
+    n: i + 1,
+  }));
+
+// Index of the last stage a piece has been through in stages, -1 when
+// it hasn't started
+export const getPieceStageIndex = (progress, id, stages) =>
+  stages.findIndex((stage) => stage.id === progress[id]);
+
+/**
+ * Progress with a piece moved to a stage ("" or null for not started).
+ * Returns a new object.
+ */
+export const setPieceStage = (progress, id, stageId) => {
+  const next = { ...progress };
+  if (stageId) {
+    next[id] = stageId;
+  } else {
+    delete next[id];
+  }
+  return next;
+};
+
+// Progress with every piece of a part moved one stage on; finished
+// pieces stay put
+export const advancePart = (progress, rowId, part) => {
+  const stages = getPartStages(part);
+  const next = { ...progress };
+  listPartPieces(rowId, part).forEach(({ id }) => {
+    const index = getPieceStageIndex(progress, id, stages);
+    if (index < stages.length - 1) next[id] = stages[index + 1].id;
+  });
+  return next;
+};
+
+const emptySummary = () => ({
+  pieces: 0,
+  steps: 0,
+  done: 0,
+  finished: 0,
+  stages: Object.fromEntries(
+    PRODUCTION_STAGES.map((stage) => [stage.id, { done: 0, total: 0 }])
+  ),
+});
+
+const addPart = (summary, progress, rowId, part) => {
+  const stages = getPartStages(part);
+  listPartPieces(rowId, part).forEach(({ id }) => {
+    const index = getPieceStageIndex(progress, id, stages);
+    summary.pieces += 1;
+    summary.steps += stages.length;
+    summary.done += index + 1;
+    if (index === stages.length - 1) summary.finished += 1;
+    stages.forEach((stage, i) => {
+      summary.stages[stage.id].total += 1;
+      if (i <= index) summary.stages[stage.id].done += 1;
+    });
+  });
+};
+
+const withPercent = (summary) => ({
+  ...summary,
+  percent: summary.steps
+    ? Math.round((100 * summary.done) / summary.steps)
+    : 0,
+});
+
+/**
+ * Progress over breakdown entries ([{ row, parts }]): per cabinet row
+ * and for them all. Each summary is { pieces, finished, steps, done,
+ * percent, stages: { [stageId]: { done, total } } }; steps count one
+ * per stage each piece goes through, and a stage's total is the pieces
+ * that go through it.
+ */
+export const summarizeProgress = (entries, progress) => {
+  const job = emptySummary();
+  const rows = entries.map(({ row, parts }) => {
+    const summary = emptySummary();
+    parts.forEach((part) => {
+      addPart(summary, progress, row.id, part);
+      addPart(job, progress, row.id, part);
+    });
+    return { row, ...withPercent(summary) };
+  });
+  return { rows, job: withPercent(job) };
+};
+
+// Progress without pieces that are no longer in the breakdown
+export const pruneProgress = (progress, entries) => {
+  const ids = new Set(
+    entries.flatMap(({ row, parts }) =>
+      parts.flatMap((part) =>
+        listPartPieces(row.id, part).map(({ id }) => id)
+      )
+    )
+  );
+  return Object.fromEntries(
+    Object.entries(progress).filter(([id]) => ids.has(id))
+  );
+};
@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import {
+  advancePart,
+  getPartStages,
+  listPartPieces,
+  pieceId,
+  pruneProgress,
+  setPieceStage,
+  summarizeProgress,
+} from "./production.js";
+
+const SIDE = { key: "side", count: 2, bandingCode: "L1" };
+const BACK = { key: "back", count: 1, bandingCode: "" };
+const ENTRIES = [{ row: { id: 1, label: "B30" }, parts: [SIDE, BACK] }];
+
+describe("getPartStages", () => {
+  it("skips edge-banding for parts without banded edges", () => {
+    expect(getPartStages(SIDE).map((s) => s.id)).toEqual([
+      "cut",
+      "banded",
+      "machined",
+      "assembled",
+    ]);
+    expect(getPartStages(BACK).map((s) => s.id)).toEqual([
+      "cut",
+      "machined",
+      "assembled",
+    ]);
+  });
+});
+
+describe("listPartPieces", () => {
+  it("lists one piece per count", () => {
+    expect(listPartPieces(1, SIDE)).toEqual([
+      { id: "1|side|1", n: 1 },
+      { id: "1|side|2", n: 2 },
+    ]);
+  });
+});
+
+describe("setPieceStage", () => {
+  it("sets and clears a piece's stage without changing the input", () => {
+    const progress = setPieceStage({}, "1|side|1", "cut");
+    expect(progress).toEqual({ "1|side|1": "cut" });
+    expect(setPieceStage(progress, "1|side|1", "")).toEqual({});
+    expect(progress).toEqual({ "1|side|1": "cut" });
+  });
+});
+
+describe("advancePart", () => {
+  it("moves every piece one stage on and stops at the last", () => {
+    let progress = advancePart({}, 1, BACK);
+    expect(progress[pieceId(1, "back", 1)]).toBe("cut");
+    progress = advancePart(progress, 1, BACK);
+    expect(progress[pieceId(1, "back", 1)]).toBe("machined");
+    progress = advancePart(advancePart(progress, 1, BACK), 1, BACK);
+    expect(progress[pieceId(1, "back", 1)]).toBe("assembled");
+  });
+});
+
+describe("summarizeProgress", () => {
+  it("counts steps, stages and finished pieces per row and job", () => {
+    const progress = {
+      "1|side|1": "assembled",
+      "1|side|2": "cut",
+      "1|back|1": "machined",
+    };
+    const { rows, job } = summarizeProgress(ENTRIES, progress);
+    expect(job).toMatchObject({
+      pieces: 3,
+      finished: 1,
+      steps: 11,
+      done: 7,
+      percent: 64,
+    });
+    expect(job.stages.cut).toEqual({ done: 3, total: 3 });
+    expect(job.stages.banded).toEqual({ done: 1, total: 2 });
+    expect(job.stages.machined).toEqual({ done: 2, total: 3 });
+    expect(rows[0].row.label).toBe("B30");
+    expect(rows[0].percent).toBe(64);
+  });
+
+  it("reports nothing done for a fresh job", () => {
+    const { job } = summarizeProgress(ENTRIES, {});
+    expect(job.done).toBe(0);
+    expect(job.percent).toBe(0);
+  });
+});
+
+describe("progress keyed by row", () => {
+  it("doesn't carry over to a new row with the same parts", () => {
+    const progress = { "1|side|1": "assembled", "1|side|2": "assembled" };
+    const replaced = [{ row: { id: 3, label: "B30" }, parts: [SIDE] }];
+    expect(summarizeProgress(replaced, progress).job.done).toBe(0);
+    expect(pruneProgress(progress, replaced)).toEqual({});
+  });
+});
+
+describe("pruneProgress", () => {
+  it("drops pieces that are no longer in the breakdown", () => {
+    const progress = { "1|side|2": "cut", "1|side|3": "cut", "2|x|1": "cut" };
+    expect(pruneProgress(progress, ENTRIES)).toEqual({ "1|side|2": "cut" });
+  });
+});
@@ -0,0 +1,61 @@
+// Offline support: registers the service worker (src/sw.js, built to
+// dist/sw.js) and reports when a new deploy is ready.
+//
+// A new worker installs in the background and waits; onUpdate gets an
+// apply function that tells it to take over, after which the page
+// reloads onto the new version. The worker is only registered in
+// production builds, so the dev server always serves fresh modules.
+
+// How often an open app checks for a new deploy
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Register the service worker. onUpdate(apply) is called when a new
+ * version is waiting, on load or while the app is open.
+ */
+export const registerServiceWorker = (onUpdate) => {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  // Reload once the new worker takes over, but not when the first
+  // worker claims the page
+  let updating = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!updating) return;
+    updating = false;
+    window.location.reload();
+  });
+
+  const notify = (worker) =>
+    onUpdate(() => {
+      updating = true;
+      worker.postMessage({ type: "SKIP_WAITING" });
+    });
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      // The first install has nothing to replace
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        notify(registration.waiting);
+      }
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (
+            worker.state === "installed" &&
+            navigator.serviceWorker.controller
+          ) {
+            notify(worker);
+          }
+        });
+      });
+      setInterval(
+        () => registration.update().catch(() => {}),
+        UPDATE_CHECK_INTERVAL
+      );
+    })
+    .catch(() => {
+      // Without a worker the app still works online
+    });
+};
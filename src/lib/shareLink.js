@@ -0,0 +1,102 @@
+// Shareable job links.
+//
+// The whole job travels in the URL fragment, so links work on the
+// static site without a backend, and the fragment never reaches the
+// server. Format: #job=<version>.<payload>, where the payload is the
+// job's details and data as JSON, deflated (version 1) or plain
+// (version 0, for browsers without CompressionStream), then base64url
+// encoded. Data keys equal to the app defaults are left out to keep
+// links short; the reader fills them back in.
+
+const FRAGMENT_PREFIX = "#job=";
+
+// Job details worth sending; ids and timestamps belong to each library
+const SHARED_DETAILS = ["name", "customer", "address", "date", "notes"];
+
+const canCompress = () =>
+  typeof CompressionStream !== "undefined" &&
+  typeof DecompressionStream !== "undefined";
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+// Run bytes through a (De)CompressionStream
+const pipeBytes = async (bytes, stream) => {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+};
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Encode a job as a URL fragment ("#job=...").
+ *
+ * job:      { details, data } – details as in jobStorage, data the
+ *           snapshot App restores from
+ * defaults: default job data; keys of data equal to it are dropped
+ */
+export const encodeShareFragment = async ({ details, data }, defaults) => {
+  const sharedData = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (key === "rows" || !sameJson(value, defaults[key])) {
+      sharedData[key] = value;
+    }
+  });
+  const sharedDetails = {};
+  SHARED_DETAILS.forEach((key) => {
+    if (details[key]) sharedDetails[key] = details[key];
+  });
+
+  const json = JSON.stringify({ details: sharedDetails, data: sharedData });
+  const bytes = new TextEncoder().encode(json);
+  if (!canCompress()) return `${FRAGMENT_PREFIX}0.${toBase64Url(bytes)}`;
+  const deflated = await pipeBytes(
+    bytes,
+    new CompressionStream("deflate-raw")
+  );
+  return `${FRAGMENT_PREFIX}1.${toBase64Url(deflated)}`;
+};
+
+export const isShareFragment = (hash) =>
+  typeof hash === "string" && hash.startsWith(FRAGMENT_PREFIX);
+
+/**
+ * Decode a fragment made by encodeShareFragment. Returns
+ * { details, data } with data still partial (normalize it against the
+ * defaults), or null when the fragment isn't a job link or can't be
+ * read (truncated when pasted, made by a newer version, ...).
+ */
+export const decodeShareFragment = async (hash) => {
+  if (!isShareFragment(hash)) return null;
+  const [version, payload] = hash.slice(FRAGMENT_PREFIX.length).split(".");
+  if (!payload || (version !== "0" && version !== "1")) return null;
+
+  try {
+    let bytes = fromBase64Url(payload);
+    if (version === "1") {
+      if (!canCompress()) return null;
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    }
+    const parsed = JSON.parse(new TextDecoder().decode(bytes));
+    if (!parsed || typeof parsed.data !== "object" || !parsed.data) {
+      return null;
+    }
+    return { details: parsed.details || {}, data: parsed.data };
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,40 @@
+// Shared inputs for the calculation tests: default job settings and a
+// plain base cabinet row to vary per test.
+import { DEFAULT_DRAWER_BOX_SETTINGS } from "./drawerBoxes.js";
+import { DEFAULT_BANDING_SETTINGS } from "./edgeBanding.js";
+import { DEFAULT_CONSTRUCTION_STYLES } from "./formulas.js";
+import { DEFAULT_MATERIAL_SETTINGS } from "./materials.js";
+import { DEFAULT_OPENING_SETTINGS } from "./openings.js";
+import { DEFAULT_UNIT_SETTINGS } from "./units.js";
+
+// Calculation options (as in App's calcOptions) with the default style
+export const makeOptions = (overrides = {}) => ({
+  style: DEFAULT_CONSTRUCTION_STYLES[0],
+  units: DEFAULT_UNIT_SETTINGS,
+  materials: DEFAULT_MATERIAL_SETTINGS,
+  banding: DEFAULT_BANDING_SETTINGS,
+  openings: DEFAULT_OPENING_SETTINGS,
+  drawerBoxes: DEFAULT_DRAWER_BOX_SETTINGS,
+  ...overrides,
+});
+
+// A 30" wide base cabinet with braces, a shelf and no doors
+export const makeRow = (overrides = {}) => ({
+  id: 1,
+  label: "B1",
+  cabinetType: "base",
+  cabinetHeight: "34.5",
+  kickHeight: "4",
+  boxWidth: "30",
+  boxDepth: "23.25",
+  braceHeight: "4",
+  shelfCount: "1",
+  topConstruction: "braces",
+  doorCount: "0",
+  drawerHeights: "",
+  slideProfile: "",
+  materialId: "",
+  wallId: "",
+  quantity: "1",
+  ...overrides,
+});
@@ -0,0 +1,189 @@
+// Length units: parsing user input and formatting for display/export.
+//
+// Lengths are always computed in inches. Input may be typed as
+// decimals, fractions (23 5/8, 23-5/8"), feet-inches (2' 3-1/2") or
+// metric (600mm, 60 cm); a bare number is read in the job's unit
+// system.
+
+const MM_PER_INCH = 25.4;
+
+export const UNIT_SYSTEMS = [
+  {
+    id: "imperial",
+    label: "Imperial (in)",
+    suffix: "in",
+    defaultPrecision: "1/16",
+    precisions: [
+      { id: "1/8", label: '1/8"', denominator: 8 },
+      { id: "1/16", label: '1/16"', denominator: 16 },
+      { id: "1/32", label: '1/32"', denominator: 32 },
+      { id: "0.001", label: '0.001" (decimal)', step: 0.001 },
+    ],
+  },
+  {
+    id: "metric",
+    label: "Metric (mm)",
+    suffix: "mm",
+    defaultPrecision: "0.5",
+    precisions: [
+      { id: "1", label: "1 mm", step: 1 },
+      { id: "0.5", label: "0.5 mm", step: 0.5 },
+      { id: "0.1", label: "0.1 mm", step: 0.1 },
+    ],
+  },
+];
+
+export const DEFAULT_UNIT_SETTINGS = {
+  system: "imperial",
+  precision: "1/16",
+};
+
+export const getUnitSystem = (id) =>
+  UNIT_SYSTEMS.find((s) => s.id === id) || UNIT_SYSTEMS[0];
+
+const getPrecision = (units) => {
+  const system = getUnitSystem(units && units.system);
+  return (
+    system.precisions.find((p) => p.id === (units && units.precision)) ||
+    system.precisions.find((p) => p.id === system.defaultPrecision)
+  );
+};
+
+const DECIMAL = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const FRACTION = /^(\d+)\/(\d+)$/;
+const MIXED = /^(\d+)(?:\s+|\s*-\s*)(\d+)\/(\d+)$/;
+
+// Decimal, fraction or mixed number, without units
+const parseQuantity = (text) => {
+  if (DECIMAL.test(text)) return parseFloat(text);
+
+  let match = text.match(FRACTION);
+  if (match) {
+    const denominator = Number(match[2]);
+    return denominator ? Number(match[1]) / denominator : null;
+  }
+
+  match = text.match(MIXED);
+  if (match) {
+    const denominator = Number(match[3]);
+    return denominator
+      ? Number(match[1]) + Number(match[2]) / denominator
+      : null;
+  }
+
+  return null;
+};
+
+/**
+ * Parse a length typed by the user into inches.
+ * Returns null for empty or unreadable input.
+ */
+export const parseLength = (value, units = DEFAULT_UNIT_SETTINGS) => {
+  if (value === "" || value === null || value === undefined) return null;
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) return null;
+    return getUnitSystem(units.system).id === "metric"
+      ? value / MM_PER_INCH
+      : value;
+  }
+
+  const text = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[″”]/g, '"')
+    .replace(/[′’]/g, "'");
+  if (!text) return null;
+
+  const metric = text.match(/^(.+?)\s*(mm|cm|m)$/);
+  if (metric) {
+    const n = parseQuantity(metric[1].trim());
+    if (n == null) return null;
+    const factor = { mm: 1, cm: 10, m: 1000 }[metric[2]];
+    return (n * factor) / MM_PER_INCH;
+  }
+
+  const feet = text.match(/^(.+?)\s*(?:'|ft|feet|foot)\s*-?\s*(.*)$/);
+  if (feet) {
+    const ft = parseQuantity(feet[1].trim());
+    if (ft == null) return null;
+    if (!feet[2]) return ft * 12;
+    const inches = parseInches(feet[2]);
+    return inches == null ? null : ft * 12 + inches;
+  }
+
+  const explicitInches = /("|in|inch|inches)$/.test(text);
+  const n = parseInches(text);
+  if (n == null) return null;
+
+  // Bare decimals follow the job's system; fractions are always inches
+  const isBareDecimal = !explicitInches && DECIMAL.test(text);
+  if (isBareDecimal && getUnitSystem(units.system).id === "metric") {
+    return n / MM_PER_INCH;
+  }
+  return n;
+};
+
+const parseInches = (text) =>
+  parseQuantity(text.replace(/\s*("|inches|inch|in)$/, "").trim());
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+const trimDecimal = (n, step) => {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(step)));
+  return String(Number(n.toFixed(decimals)));
+};
+
+/**
+ * Format a length in inches for display in the job's units.
+ *
+ * Imperial rounds to the chosen fraction (23 5/8); pass
+ * { fractions: false } to get the same rounding as a decimal (23.625)
+ * for CSV and other machine-read output. Metric rounds to the chosen
+ * millimetre step.
+ */
+export const formatLength = (
+  inches,
+  units = DEFAULT_UNIT_SETTINGS,
+  { fractions = true } = {}
+) => {
+  if (inches == null || !Number.isFinite(inches)) return "";
+  const system = getUnitSystem(units.system);
+  const precision = getPrecision(units);
+
+  if (system.id === "metric") {
+    const mm = inches * MM_PER_INCH;
+    const rounded = Math.round(mm / precision.step) * precision.step;
+    return trimDecimal(rounded, precision.step);
+  }
+
+  if (precision.step) {
+    const rounded = Math.round(inches / precision.step) * precision.step;
+    return trimDecimal(rounded, precision.step);
+  }
+
+  const { denominator } = precision;
+  const ticks = Math.round(Math.abs(inches) * denominator);
+  const sign = inches < 0 && ticks > 0 ? "-" : "";
+
+  if (!fractions) {
+    return `${sign}${trimDecimal(ticks / denominator, 1e-5)}`;
+  }
+
+  const whole = Math.floor(ticks / denominator);
+  const remainder = ticks % denominator;
+  if (!remainder) return `${sign}${whole}`;
+
+  const divisor = gcd(remainder, denominator);
+  const fraction = `${remainder / divisor}/${denominator / divisor}`;
+  return whole ? `${sign}${whole} ${fraction}` : `${sign}${fraction}`;
+};
+
+/**
+ * Re-express a typed length in another unit system, for converting
+ * inputs when the job switches systems. Unreadable input is kept as-is.
+ */
+export const convertLengthInput = (value, fromUnits, toUnits) => {
+  const inches = parseLength(value, fromUnits);
+  if (inches == null) return value;
+  return formatLength(inches, toUnits, { fractions: true });
+};
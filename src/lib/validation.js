@@ -0,0 +1,171 @@
+// Spec checks for cabinet rows.
+//
+// Issues are { level, field, message }: "error" for rows that drop out
+// of the cut-list (or lose parts), "warning" for specs that compute but
+// look wrong. `field` names the row input to highlight, if any.
+//
+// These checks look at the typed spec; problems only the panel
+// calculation can see (a panel coming out negative, a slide that
+// doesn't fit) are reported alongside by computeRowPanels in
+// lib/cutList.js.
+import { getCabinetType } from "./cabinetTypes.js";
+import { parseNumber } from "./numbers.js";
+import { formatLength, getUnitSystem, parseLength } from "./units.js";
+
+const REQUIRED_LENGTHS = [
+  { field: "cabinetHeight", label: "Cabinet height" },
+  { field: "kickHeight", label: "Kick height" },
+  { field: "boxWidth", label: "Box width" },
+  { field: "boxDepth", label: "Box depth" },
+];
+
+const OPTIONAL_LENGTHS = [{ field: "braceHeight", label: "Brace height" }];
+
+// Counts typed per cabinet, checked for the types that show them (a
+// blank door count reads as no doors)
+const COUNT_FIELDS = [
+  { field: "shelfCount", label: "Shelf count", required: true },
+  { field: "doorCount", label: "Door count", required: false },
+];
+
+/**
+ * Usual size ranges per cabinet type, in inches. Sizes outside them
+ * are probably typos (a 2.4" depth, a 340" height) and get a warning.
+ */
+export const STANDARD_SIZES = {
+  base: { height: [28, 38], depth: [20, 25] },
+  wall: { height: [12, 48], depth: [10, 16] },
+  tall: { height: [72, 108], depth: [12, 25] },
+  drawer: { height: [28, 38], depth: [20, 25] },
+  sink: { height: [28, 38], depth: [20, 25] },
+};
+const WIDTH_RANGE = [6, 48];
+
+export const issue = (level, field, message) => ({ level, field, message });
+
+// Does a list of issues stop the row from reaching the cut-list?
+export const hasErrors = (issues) =>
+  issues.some((item) => item.level === "error");
+
+/**
+ * Check one row's typed spec. Returns a list of issues (see above).
+ */
+export const validateRow = (row, units) => {
+  const issues = [];
+  const suffix = getUnitSystem(units.system).suffix;
+  const size = (inches) => `${formatLength(inches, units)} ${suffix}`;
+  const lengths = {};
+
+  REQUIRED_LENGTHS.concat(OPTIONAL_LENGTHS).forEach(({ field, label }) => {
+    const value = String(row[field] ?? "").trim();
+    if (value === "") {
+      if (REQUIRED_LENGTHS.some((f) => f.field === field)) {
+        issues.push(issue("error", field, `${label} is missing`));
+      }
+      return;
+    }
+    const inches = parseLength(value, units);
+    if (inches == null) {
+      issues.push(
+        issue("error", field, `${label} "${value}" is not a length`)
+      );
+    } else if (inches < 0) {
+      issues.push(issue("error", field, `${label} can't be negative`));
+    } else {
+      lengths[field] = inches;
+    }
+  });
+
+  const quantity = String(row.quantity ?? "").trim();
+  const qty = parseNumber(quantity);
+  if (quantity === "") {
+    issues.push(issue("error", "quantity", "Quantity is missing"));
+  } else if (qty == null || qty <= 0 || !Number.isInteger(qty)) {
+    issues.push(
+      issue("error", "quantity", "Quantity must be a whole number above 0")
+    );
+  }
+
+  const type = getCabinetType(row.cabinetType);
+  COUNT_FIELDS.filter(({ field }) => type.fields.includes(field)).forEach(
+    ({ field, label, required }) => {
+      const value = String(row[field] ?? "").trim();
+      const count = parseNumber(value);
+      if (value === "") {
+        if (required) {
+          issues.push(issue("error", field, `${label} is missing`));
+        }
+      } else if (count == null || count < 0 || !Number.isInteger(count)) {
+        issues.push(
+          issue("error", field, `${label} must be a whole number`)
+        );
+      }
+    }
+  );
+
+  const { cabinetHeight, kickHeight, boxWidth, boxDepth, braceHeight } =
+    lengths;
+  if (cabinetHeight != null && kickHeight != null) {
+    if (kickHeight >= cabinetHeight) {
+      issues.push(
+        issue("error", "kickHeight", "Kick is not shorter than the cabinet")
+      );
+    } else if (
+      braceHeight != null &&
+      braceHeight > cabinetHeight - kickHeight
+    ) {
+      issues.push(
+        issue("warning", "braceHeight", "Brace is taller than the box")
+      );
+    }
+  }
+
+  // Outliers against the usual sizes for the type
+  const typeName = type.label.toLowerCase();
+  const ranges = STANDARD_SIZES[type.id];
+  const outside = (value, [min, max]) =>
+    value != null && value > 0 && (value < min || value > max);
+  if (ranges && outside(cabinetHeight, ranges.height)) {
+    issues.push(
+      issue(
+        "warning",
+        "cabinetHeight",
+        `${size(cabinetHeight)} is an unusual height for a ${typeName} cabinet`
+      )
+    );
+  }
+  if (ranges && outside(boxDepth, ranges.depth)) {
+    issues.push(
+      issue(
+        "warning",
+        "boxDepth",
+        `${size(boxDepth)} is an unusual depth for a ${typeName} cabinet`
+      )
+    );
+  }
+  if (outside(boxWidth, WIDTH_RANGE)) {
+    issues.push(
+      issue("warning", "boxWidth", `${size(boxWidth)} is an unusual width`)
+    );
+  }
+
+  if (type.fields.includes("drawerHeights")) {
+    String(row.drawerHeights || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        if (parseLength(entry, units) == null) {
+          issues.push(
+            issue(
+              "error",
+              "drawerHeights",
+              `Drawer height "${entry}" is not a length`
+            )
+          );
+        }
+      });
+  }
+
+  return issues;
+};
@@ -0,0 +1,97 @@
+// Rooms and walls: cabinets grouped by the wall they stand against.
+//
+// A wall is { id, name, length }, with the measured length typed in
+// the job's units. Rows point at a wall through wallId ("" for rows not
+// placed yet) and run left to right in table order.
+//
+// Elevations are front views built from each row's box width and
+// cabinet height. Floor cabinets (base, drawer, sink) stand on the
+// floor, wall cabinets hang with their bottom at WALL_CABINET_BOTTOM,
+// and tall cabinets take up both runs, so the run length is the longer
+// of the lower and upper runs.
+import { getCabinetType } from "./cabinetTypes.js";
+import { parseNumber } from "./numbers.js";
+import { parseLength } from "./units.js";
+
+// Bottom of wall cabinets above the floor: 18" over a 36" counter
+export const WALL_CABINET_BOTTOM = 54;
+
+// Which runs a cabinet type occupies
+const RUNS = {
+  base: ["lower"],
+  drawer: ["lower"],
+  sink: ["lower"],
+  wall: ["upper"],
+  tall: ["lower", "upper"],
+};
+
+export const createWallId = () =>
+  `wall-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+
+// Rows on a wall, in table order
+export const getWallRows = (rows, wallId) =>
+  rows.filter((row) => row.wallId === wallId);
+
+/**
+ * Rows grouped for the cabinet table: [{ wall, entries }] with one
+ * group per wall in order, then { wall: null } for the rows on no wall
+ * (or on one that was removed). Entries are { row, index }, index being
+ * the row's position in the job.
+ */
+export const groupRowsByWall = (rows, walls) => {
+  const groups = walls.map((wall) => ({ wall, entries: [] }));
+  const unplaced = { wall: null, entries: [] };
+  rows.forEach((row, index) => {
+    const group =
+      groups.find((g) => g.wall.id === row.wallId) || unplaced;
+    group.entries.push({ row, index });
+  });
+  return [...groups, unplaced];
+};
+
+/**
+ * Front elevation of one wall's rows. Returns:
+ *  - items:       [{ row, x, y, width, height }] in inches, x from the
+ *                 left end of the wall, y from the floor to the
+ *                 cabinet's bottom; one item per cabinet (quantity)
+ *  - runLength:   longest run, in inches
+ *  - lower/upper: length of the floor and wall-cabinet runs
+ *  - skipped:     rows left out for a missing width or height
+ */
+export const layoutElevation = (rows, units) => {
+  const cursor = { lower: 0, upper: 0 };
+  const items = [];
+  const skipped = [];
+
+  rows.forEach((row) => {
+    const type = getCabinetType(row.cabinetType);
+    const width = parseLength(row.boxWidth, units);
+    const height = parseLength(row.cabinetHeight, units);
+    const quantity = parseNumber(row.quantity);
+    if (width == null || width <= 0 || height == null || height <= 0) {
+      skipped.push(row);
+      return;
+    }
+    const runs = RUNS[type.id] || ["lower"];
+    const y = runs.includes("lower") ? 0 : WALL_CABINET_BOTTOM;
+
+    for (let i = 0; i < Math.max(1, Math.floor(quantity || 1)); i += 1) {
+      // A tall cabinet starts past whatever is on either run
+      const x = Math.max(...runs.map((run) => cursor[run]));
+      items.push({ row, x, y, width, height });
+      runs.forEach((run) => {
+        cursor[run] = x + width;
+      });
+    }
+  });
+
+  return {
+    items,
+    lower: cursor.lower,
+    upper: cursor.upper,
+    runLength: Math.max(cursor.lower, cursor.upper),
+    skipped,
+  };
+};
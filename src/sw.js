@@ -0,0 +1,81 @@
+// Service worker: keeps the app shell cached so the app opens and works
+// with no network. Jobs live in localStorage, so they come along.
+//
+// This file is a template. The build (serviceWorker plugin in
+// vite.config.js) fills in the version and the list of built files and
+// writes it to dist/sw.js, so every deploy changes the worker and the
+// browser installs it as an update. A new worker waits until the page
+// asks it to take over (lib/serviceWorker.js), which the user does from
+// the update prompt.
+
+const CACHE_VERSION = "__SW_VERSION__";
+const CACHE_PREFIX = "cabinet-counter-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Paths relative to the worker's scope, "" being index.html
+const PRECACHE = [/* __SW_PRECACHE__ */];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+const INDEX_URL = scopeUrl("");
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE.map(scopeUrl)))
+  );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX))
+            .filter((key) => key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// Cache first: the cached shell matches this worker's version, and a new
+// deploy arrives as a new worker rather than through fetches
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Any page in scope is the single-page app
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches
+        .match(INDEX_URL, { cacheName: CACHE_NAME })
+        .then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME }).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+    )
+  );
+});
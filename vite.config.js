@@ -1,7 +1,41 @@
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
+import { fileURLToPath } from "node:url";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+const SW_TEMPLATE = fileURLToPath(new URL("./src/sw.js", import.meta.url));
+const PUBLIC_DIR = fileURLToPath(new URL("./public", import.meta.url));
+
+// Writes dist/sw.js from the src/sw.js template, precaching every built
+// file and the public ones. Its version hashes the file names (which
+// carry content hashes) and index.html, so each deploy with changes
+// ships a new worker.
+const serviceWorker = () => ({
+  name: "cabinet-counter-service-worker",
+  apply: "build",
+  enforce: "post",
+  generateBundle(options, bundle) {
+    const built = Object.keys(bundle).filter((file) => file !== "sw.js");
+    const files = [...built, ...readdirSync(PUBLIC_DIR)].sort();
+    const hash = createHash("sha256").update(files.join("\n"));
+    const html = bundle["index.html"];
+    if (html) hash.update(String(html.source));
+    const precache = files.map((file) =>
+      JSON.stringify(file === "index.html" ? "" : file)
+    );
+
+    this.emitFile({
+      type: "asset",
+      fileName: "sw.js",
+      source: readFileSync(SW_TEMPLATE, "utf8")
+        .replace("__SW_VERSION__", hash.digest("hex").slice(0, 12))
+        .replace("/* __SW_PRECACHE__ */", precache.join(", ")),
+    });
+  },
+});
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: "/cabinet-counter/"
 });